@@ -0,0 +1,618 @@
+// ===== CUEAI API CLIENT (GENERATED) =====
+// Generated from server/openapi/spec.js by `npm run generate:client` (in server/).
+// Do not edit by hand; change the spec and regenerate.
+// API version 0.1.1
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error
+ * @property {string} [code] - Machine-readable reason, e.g. invalid_api_key
+ * @property {*} [details]
+ * @property {string} [requestId]
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} error
+ * @property {Object[]} details
+ */
+
+/**
+ * @typedef {Object} RateLimitError
+ * @property {string} error
+ * @property {number} retryAfter
+ */
+
+/**
+ * @typedef {Object} Quota
+ * @property {(number|null)} limit - Monthly tokens; null = unlimited
+ * @property {number} used
+ * @property {(number|null)} remaining
+ * @property {string} resetsAt
+ */
+
+/**
+ * @typedef {Object} QuotaError
+ * @property {string} error
+ * @property {'quota_exceeded'} code
+ * @property {Quota} quota
+ */
+
+/**
+ * Measured by rebuild-catalog.js (see catalog/audioMetadata.js); times in seconds
+ * @typedef {Object} AudioMetadata
+ * @property {number} [duration]
+ * @property {number} [channels]
+ * @property {number} [sampleRate]
+ * @property {(number|null)} [lufs] - Integrated loudness (ITU-R BS.1770); null when silent
+ * @property {(number|null)} [truePeakDb] - 4x oversampled peak, dBTP
+ * @property {number} [leadingSilence]
+ * @property {number} [trailingSilence]
+ * @property {number} [bytes] - File size when measured
+ */
+
+/**
+ * @typedef {Object} Sound
+ * @property {string} id
+ * @property {('music'|'sfx'|'ambience')} type
+ * @property {string} [name]
+ * @property {string} src - Audio URL (CDN or /media)
+ * @property {string[]} [tags]
+ * @property {boolean} [loop]
+ * @property {string} [license]
+ * @property {string} [attribution]
+ * @property {('dark'|'epic'|'tense'|'joyful'|'peaceful'|'calm')} [mood] - Set by the catalog rebuild (taxonomy or overrides)
+ * @property {('christmas'|'halloween'|'fantasy'|'horror'|'tavern'|'general')} [category]
+ * @property {number} [intensity]
+ * @property {('low'|'medium'|'high')} [energy]
+ * @property {('dnd'|'horror'|'halloween'|'christmas'|'bedtime'|'sing'|'auto')[]} [modes] - Analyze modes this sound suits
+ * @property {string[]} [aliases] - Former ids of a renamed sound; GET /sounds/{id} also resolves these
+ * @property {string} [fileHash] - sha256:<16 hex> of the media file (rebuilt catalogs)
+ * @property {AudioMetadata} [audio]
+ */
+
+/**
+ * @typedef {Object} SoundsFull
+ * @property {string} version
+ * @property {true} full
+ * @property {Sound[]} sounds
+ */
+
+/**
+ * @typedef {Object} SoundsDelta
+ * @property {string} version
+ * @property {string} since
+ * @property {false} full
+ * @property {Sound[]} added
+ * @property {Sound[]} changed
+ * @property {string[]} removed
+ */
+
+/**
+ * @typedef {Object} SoundsPage
+ * @property {string} version
+ * @property {number} total
+ * @property {Sound[]} sounds
+ * @property {(string|null)} [nextCursor]
+ * @property {Object<string, Object[]>} [facets]
+ */
+
+/**
+ * @typedef {Object} SoundResponse
+ * @property {string} version
+ * @property {Sound} sound
+ */
+
+/**
+ * @typedef {Object} SearchResponse
+ * @property {string} query
+ * @property {'lexical'} engine
+ * @property {number} count
+ * @property {Object[]} results
+ */
+
+/**
+ * What the client is currently doing; unknown fields are ignored
+ * @typedef {Object} AnalyzeContext
+ * @property {(string|null)} [mode]
+ * @property {boolean} [musicEnabled]
+ * @property {boolean} [sfxEnabled]
+ * @property {(number|null)} [moodBias] - 0-1
+ * @property {string[]} [recentSounds]
+ * @property {(string|null)} [recentMusic] - ID of the music that is playing
+ */
+
+/**
+ * @typedef {Object} AnalyzeRequest
+ * @property {string} transcript
+ * @property {('dnd'|'horror'|'halloween'|'christmas'|'bedtime'|'sing'|'auto'|null)} [mode]
+ * @property {AnalyzeContext} [context]
+ * @property {(string|null)} [sessionId] - Opt-in session memory; 8-64 letters, digits, _ or -
+ * @property {boolean} [debug] - Include prompt token stats (same as ?debug=1)
+ */
+
+/**
+ * @typedef {Object} Decision
+ * @property {string} scene
+ * @property {(Object|null)} music
+ * @property {Object[]} sfx
+ */
+
+/**
+ * @typedef {Object} AnalyzeResponse
+ * @property {string} scene
+ * @property {(Object|null)} music
+ * @property {Object[]} sfx
+ * @property {boolean} repaired - The model's first answer had to be fixed
+ * @property {string} catalogVersion
+ * @property {string} [sessionId]
+ * @property {Object} [cache] - Present when the decision cache is enabled
+ * @property {Object} [debug]
+ */
+
+/**
+ * @typedef {Object} AnalyzeStreamEventCandidates
+ * @property {'candidates'} type
+ * @property {string[]} sfx
+ * @property {string[]} music
+ */
+
+/**
+ * @typedef {Object} AnalyzeStreamEventSfx
+ * @property {'sfx'} type
+ * @property {Object} sfx
+ */
+
+/**
+ * @typedef {Object} AnalyzeStreamEventMusic
+ * @property {'music'} type
+ * @property {(Object|null)} music
+ */
+
+/**
+ * @typedef {Object} AnalyzeStreamEventScene
+ * @property {'scene'} type
+ * @property {string} scene
+ */
+
+/**
+ * @typedef {Object} AnalyzeStreamEventError
+ * @property {'error'} type
+ * @property {string} error
+ * @property {string} [requestId]
+ */
+
+/**
+ * One line of the POST /analyze/stream NDJSON response
+ * @typedef {(AnalyzeStreamEventCandidates|AnalyzeStreamEventSfx|AnalyzeStreamEventMusic|AnalyzeStreamEventScene|AnalyzeResponse|AnalyzeStreamEventError)} AnalyzeStreamEvent
+ */
+
+/**
+ * @typedef {Object} HealthSummary
+ * @property {('ok'|'degraded'|'not_ready')} status
+ * @property {string[]} [reasons]
+ * @property {boolean} [chroma]
+ * @property {boolean} [deepgram]
+ * @property {number} sounds
+ * @property {(string|null)} catalogVersion
+ * @property {boolean} [openai] - Any LLM provider configured (kept for older clients)
+ * @property {Object} [llm]
+ * @property {Object} [rateLimits]
+ * @property {boolean} [freesound] - Audio CDN reachable
+ * @property {boolean} [pixabay]
+ */
+
+/**
+ * @typedef {Object} Dependency
+ * @property {('pending'|'ok'|'error'|'unconfigured')} status
+ * @property {boolean} required
+ * @property {(string|null)} [checkedAt]
+ * @property {(number|null)} [latencyMs]
+ * @property {(string|null)} [error]
+ * @property {(Object|null)} [details]
+ */
+
+/**
+ * @typedef {Object} HealthDetails
+ * @property {('ok'|'degraded'|'not_ready')} status
+ * @property {boolean} ready
+ * @property {string[]} reasons
+ * @property {number} [checkIntervalMs]
+ * @property {Object<string, Dependency>} dependencies
+ */
+
+/**
+ * @typedef {Object} Readiness
+ * @property {('ready'|'not_ready')} status
+ * @property {string[]} [reasons]
+ */
+
+/**
+ * @typedef {Object} ReloadCatalogResponse
+ * @property {string} [message]
+ * @property {string} [version]
+ * @property {boolean} [changed]
+ * @property {number} [sounds]
+ * @property {number} [previous]
+ */
+
+/**
+ * Added/changed/deleted IDs and batch results
+ * @typedef {Object} ChromaSyncReport
+ */
+
+/**
+ * @typedef {Object} ChromaStatus
+ * @property {boolean} configured
+ * @property {string} collection
+ * @property {string} [error]
+ */
+
+/**
+ * Token bucket: capacity = burst size, perMinute = refill; false disables the limit
+ * @typedef {(Object|false)} RateLimitBudget
+ */
+
+/**
+ * @typedef {Object} CreateApiKeyRequest
+ * @property {string} name - Who the key is for
+ * @property {string} [plan] - A plan from GET /admin/api-keys (default free)
+ * @property {(number|null)} [monthlyTokens] - Overrides the plan's allowance; null = unlimited
+ * @property {Object<string, RateLimitBudget>} [rateLimits] - Overrides the plan's budgets per route (analyze, sounds, ws)
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} id
+ * @property {string} name
+ * @property {string} plan
+ * @property {string} prefix - First characters of the key, for recognizing it
+ * @property {string} createdAt
+ * @property {(string|null)} [createdBy]
+ * @property {(string|null)} revokedAt
+ * @property {(number|null)} [monthlyTokens]
+ * @property {Object<string, RateLimitBudget>} [rateLimits]
+ */
+
+/**
+ * @typedef {Object} ApiKeyUsage
+ * @property {Object<string, number>} requests - Served requests per route
+ * @property {Object} tokens
+ * @property {number} sttSeconds - Audio streamed to /ws/transcribe
+ */
+
+/**
+ * @typedef {Object} ApiKeyList
+ * @property {string} month
+ * @property {('optional'|'required')} mode
+ * @property {string} [defaultPlan]
+ * @property {Object} plans
+ * @property {number} count
+ * @property {ApiKey[]} keys
+ */
+
+/**
+ * @typedef {Object} CreatedApiKey
+ * @property {string} message
+ * @property {string} key - The key itself; only returned here
+ * @property {ApiKey} apiKey
+ */
+
+/**
+ * @typedef {Object} RevokedApiKey
+ * @property {string} message
+ * @property {ApiKey} apiKey
+ */
+
+/**
+ * @typedef {Object} AuditEntries
+ * @property {number} count
+ * @property {Object[]} entries
+ */
+
+/**
+ * @typedef {Object} DecisionCacheState
+ * @property {boolean} [enabled]
+ * @property {number} [maxEntries]
+ * @property {number} [ttlMs]
+ * @property {number} [similarity]
+ * @property {number} [size]
+ * @property {number} [hits]
+ * @property {number} [similarHits]
+ * @property {number} [misses]
+ * @property {number} [stores]
+ * @property {(number|null)} [hitRate]
+ * @property {Object[]} [entries]
+ */
+
+/**
+ * @typedef {Object} DecisionCacheFlushed
+ * @property {string} message
+ * @property {number} flushed
+ * @property {string} [mode]
+ */
+
+/**
+ * @typedef {Object} WsClientMessageStart
+ * @property {'start'} type
+ * @property {1} [version]
+ * @property {('linear16')} [encoding]
+ * @property {number} [sample_rate]
+ * @property {(1|2)} [channels]
+ * @property {('deepgram'|'vosk'|'fake')} [provider]
+ */
+
+/**
+ * @typedef {Object} WsClientMessagePing
+ * @property {'ping'} type
+ * @property {number} [ts]
+ */
+
+/**
+ * @typedef {Object} WsClientMessageStop
+ * @property {'stop'} type
+ */
+
+/**
+ * @typedef {(WsClientMessageStart|WsClientMessagePing|WsClientMessageStop)} WsClientMessage
+ */
+
+/**
+ * @typedef {Object} WsServerMessageReady
+ * @property {'ready'} type
+ * @property {number} version
+ * @property {string} provider
+ * @property {string} encoding
+ * @property {number} sample_rate
+ * @property {number} channels
+ */
+
+/**
+ * @typedef {Object} WsServerMessageTranscript
+ * @property {'transcript'} type
+ * @property {string} transcript
+ * @property {boolean} is_final - false: interim hypothesis that will be replaced
+ * @property {boolean} [speech_final] - End of a spoken phrase
+ * @property {number} [confidence]
+ * @property {number} [start]
+ * @property {number} [duration]
+ * @property {Object[]} [words]
+ */
+
+/**
+ * @typedef {Object} WsServerMessageUtteranceEnd
+ * @property {'utterance_end'} type
+ * @property {number} [last_word_end]
+ */
+
+/**
+ * @typedef {Object} WsServerMessagePong
+ * @property {'pong'} type
+ * @property {number} ts
+ */
+
+/**
+ * @typedef {Object} WsServerMessageError
+ * @property {'error'} type
+ * @property {string} code
+ * @property {string} message
+ */
+
+/**
+ * Server is shutting down; final results follow, then the socket closes
+ * @typedef {Object} WsServerMessageGoingAway
+ * @property {'going_away'} type
+ * @property {string} reason
+ * @property {number} reconnect_after_ms
+ */
+
+/**
+ * @typedef {(WsServerMessageReady|WsServerMessageTranscript|WsServerMessageUtteranceEnd|WsServerMessagePong|WsServerMessageError|WsServerMessageGoingAway)} WsServerMessage
+ */
+
+/**
+ * Per-call options for every client method
+ * @typedef {Object} RequestOptions
+ * @property {Object<string, string>} [headers]
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeoutMs] - overrides the client default
+ * @property {boolean} [raw] - resolve with the Response (e.g. to read ETag) instead of the body
+ */
+
+const CUEAI_OPERATIONS = {
+    listSounds: { method: 'GET', path: '/sounds', response: 'json' },
+    getSound: { method: 'GET', path: '/sounds/{id}', response: 'json' },
+    searchSounds: { method: 'GET', path: '/search', response: 'json' },
+    analyze: { method: 'POST', path: '/analyze', response: 'json' },
+    analyzeStream: { method: 'POST', path: '/analyze/stream', response: 'stream' },
+    getHealth: { method: 'GET', path: '/health', response: 'json' },
+    getHealthDetails: { method: 'GET', path: '/health/details', response: 'json' },
+    getLiveness: { method: 'GET', path: '/livez', response: 'json' },
+    getReadiness: { method: 'GET', path: '/readyz', response: 'json' },
+    getMetrics: { method: 'GET', path: '/metrics', response: 'text' },
+    getOpenApi: { method: 'GET', path: '/openapi.json', response: 'json' },
+    syncChroma: { method: 'POST', path: '/admin/sync-chroma', response: 'json' },
+    getChromaStatus: { method: 'GET', path: '/admin/chroma-status', response: 'json' },
+    reloadCatalog: { method: 'POST', path: '/admin/reload-catalog', response: 'json' },
+    listAuditEntries: { method: 'GET', path: '/admin/audit', response: 'json' },
+    inspectDecisionCache: { method: 'GET', path: '/admin/decision-cache', response: 'json' },
+    clearDecisionCache: { method: 'DELETE', path: '/admin/decision-cache', response: 'json' },
+    listApiKeys: { method: 'GET', path: '/admin/api-keys', response: 'json' },
+    createApiKey: { method: 'POST', path: '/admin/api-keys', response: 'json' },
+    revokeApiKey: { method: 'DELETE', path: '/admin/api-keys/{id}', response: 'json' }
+};
+
+/**
+ * Create a client for the CueAI backend.
+ * Non-2xx responses (other than 304) reject with errorFromResponse(resp). A 304 resolves
+ * with null, or with the Response when raw is set. NDJSON operations resolve with the
+ * Response so the caller can read the stream.
+ * @param {Object} options
+ * @param {string|function(): string} options.baseUrl - backend URL, or a function returning it
+ * @param {Object<string, string>|function(): Object<string, string>} [options.headers] - sent with
+ *   every request (e.g. X-API-Key), or a function returning them; per-call headers win
+ * @param {number} [options.timeoutMs=15000]
+ * @param {function(Response): Promise<Error>} [options.errorFromResponse]
+ */
+function createCueAIClient({ baseUrl, headers: defaultHeaders = {}, timeoutMs = 15000, errorFromResponse = cueaiDefaultError } = {}) {
+    async function request(operation, options = {}) {
+        const { params = {}, query = {}, body, signal, raw = false } = options;
+        const headers = { ...(typeof defaultHeaders === 'function' ? defaultHeaders() : defaultHeaders), ...options.headers };
+        const base = String(typeof baseUrl === 'function' ? baseUrl() : baseUrl).replace(/\/$/, '');
+        const pathname = operation.path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) search.set(key, String(value));
+        });
+        const timeout = AbortSignal.timeout(options.timeoutMs || timeoutMs);
+        const resp = await fetch(`${base}${pathname}${search.toString() ? `?${search}` : ''}`, {
+            method: operation.method,
+            cache: 'no-cache',
+            headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: signal && AbortSignal.any ? AbortSignal.any([signal, timeout]) : timeout
+        });
+        if (resp.status === 304) return raw ? resp : null;
+        if (!resp.ok) throw await errorFromResponse(resp);
+        if (raw || operation.response === 'stream') return resp;
+        if (operation.response === 'text') return resp.text();
+        if (!(resp.headers.get('content-type') || '').includes('application/json')) {
+            const requestId = resp.headers.get('X-Request-Id');
+            throw Object.assign(new Error(`Invalid JSON response${requestId ? ` (request ${requestId})` : ''}`), { status: resp.status, requestId });
+        }
+        return resp.json();
+    }
+
+    return {
+        /**
+         * GET /sounds - Full catalog, a ?since= delta, or a filtered page
+         * @param {RequestOptions & { query?: { since?: string, type?: string, tags?: string, tagMatch?: ('any'|'all'), mood?: string, category?: string, loop?: ('true'|'false'), q?: string, limit?: number, cursor?: string, facets?: string } }} [options]
+         * @returns {Promise<(SoundsFull|SoundsDelta|SoundsPage)|Response|null>}
+         */
+        listSounds: (options) => request(CUEAI_OPERATIONS.listSounds, options),
+        /**
+         * GET /sounds/{id} - One catalog entry
+         * @param {RequestOptions & { params: { id: string } }} options
+         * @returns {Promise<SoundResponse|Response|null>}
+         */
+        getSound: (options) => request(CUEAI_OPERATIONS.getSound, options),
+        /**
+         * GET /search - Local lexical search (BM25 + synonyms + fuzzy)
+         * @param {RequestOptions & { query?: { q: string, type?: ('music'|'sfx'|'ambience'), limit?: number } }} [options]
+         * @returns {Promise<SearchResponse|Response|null>}
+         */
+        searchSounds: (options) => request(CUEAI_OPERATIONS.searchSounds, options),
+        /**
+         * POST /analyze - Pick music and sound effects for a transcript
+         * @param {RequestOptions & { query?: { debug?: ('1') }, body: AnalyzeRequest }} options
+         * @returns {Promise<AnalyzeResponse|Response|null>}
+         */
+        analyze: (options) => request(CUEAI_OPERATIONS.analyze, options),
+        /**
+         * POST /analyze/stream - Same as /analyze, answered as NDJSON events as the model writes
+         * @param {RequestOptions & { query?: { debug?: ('1') }, body: AnalyzeRequest }} options
+         * @returns {Promise<Response>}
+         */
+        analyzeStream: (options) => request(CUEAI_OPERATIONS.analyzeStream, options),
+        /**
+         * GET /health - Summary flags for the frontend indicators (always 200)
+         * @param {RequestOptions} [options]
+         * @returns {Promise<HealthSummary|Response|null>}
+         */
+        getHealth: (options) => request(CUEAI_OPERATIONS.getHealth, options),
+        /**
+         * GET /health/details - Cached dependency checks
+         * @param {RequestOptions} [options]
+         * @returns {Promise<HealthDetails|Response|null>}
+         */
+        getHealthDetails: (options) => request(CUEAI_OPERATIONS.getHealthDetails, options),
+        /**
+         * GET /livez - Process is up
+         * @param {RequestOptions} [options]
+         * @returns {Promise<Object|Response|null>}
+         */
+        getLiveness: (options) => request(CUEAI_OPERATIONS.getLiveness, options),
+        /**
+         * GET /readyz - Catalog and search index loaded
+         * @param {RequestOptions} [options]
+         * @returns {Promise<Readiness|Response|null>}
+         */
+        getReadiness: (options) => request(CUEAI_OPERATIONS.getReadiness, options),
+        /**
+         * GET /metrics - Prometheus metrics
+         * @param {RequestOptions} [options]
+         * @returns {Promise<string|Response|null>}
+         */
+        getMetrics: (options) => request(CUEAI_OPERATIONS.getMetrics, options),
+        /**
+         * GET /openapi.json - This document
+         * @param {RequestOptions} [options]
+         * @returns {Promise<Object|Response|null>}
+         */
+        getOpenApi: (options) => request(CUEAI_OPERATIONS.getOpenApi, options),
+        /**
+         * POST /admin/sync-chroma - Upsert changed sounds into Chroma and delete removed ones
+         * @param {RequestOptions & { query?: { dryRun?: ('1'|'true') } }} [options]
+         * @returns {Promise<ChromaSyncReport|Response|null>}
+         */
+        syncChroma: (options) => request(CUEAI_OPERATIONS.syncChroma, options),
+        /**
+         * GET /admin/chroma-status - Chroma collection status
+         * @param {RequestOptions} [options]
+         * @returns {Promise<ChromaStatus|Response|null>}
+         */
+        getChromaStatus: (options) => request(CUEAI_OPERATIONS.getChromaStatus, options),
+        /**
+         * POST /admin/reload-catalog - Re-read soundCatalog.json
+         * @param {RequestOptions} [options]
+         * @returns {Promise<ReloadCatalogResponse|Response|null>}
+         */
+        reloadCatalog: (options) => request(CUEAI_OPERATIONS.reloadCatalog, options),
+        /**
+         * GET /admin/audit - Most recent admin actions, newest first
+         * @param {RequestOptions & { query?: { limit?: number } }} [options]
+         * @returns {Promise<AuditEntries|Response|null>}
+         */
+        listAuditEntries: (options) => request(CUEAI_OPERATIONS.listAuditEntries, options),
+        /**
+         * GET /admin/decision-cache - Decision cache settings, counters and recent entries
+         * @param {RequestOptions & { query?: { limit?: number } }} [options]
+         * @returns {Promise<DecisionCacheState|Response|null>}
+         */
+        inspectDecisionCache: (options) => request(CUEAI_OPERATIONS.inspectDecisionCache, options),
+        /**
+         * DELETE /admin/decision-cache - Drop cached decisions (all, or one mode's)
+         * @param {RequestOptions & { query?: { mode?: string } }} [options]
+         * @returns {Promise<DecisionCacheFlushed|Response|null>}
+         */
+        clearDecisionCache: (options) => request(CUEAI_OPERATIONS.clearDecisionCache, options),
+        /**
+         * GET /admin/api-keys - Issued API keys with one month's usage and token quota
+         * @param {RequestOptions & { query?: { month?: string, revoked?: ('true'|'false') } }} [options]
+         * @returns {Promise<ApiKeyList|Response|null>}
+         */
+        listApiKeys: (options) => request(CUEAI_OPERATIONS.listApiKeys, options),
+        /**
+         * POST /admin/api-keys - Issue a client API key (the key is only shown in this response)
+         * @param {RequestOptions & { body: CreateApiKeyRequest }} options
+         * @returns {Promise<CreatedApiKey|Response|null>}
+         */
+        createApiKey: (options) => request(CUEAI_OPERATIONS.createApiKey, options),
+        /**
+         * DELETE /admin/api-keys/{id} - Revoke an API key (usage history is kept)
+         * @param {RequestOptions & { params: { id: string } }} options
+         * @returns {Promise<RevokedApiKey|Response|null>}
+         */
+        revokeApiKey: (options) => request(CUEAI_OPERATIONS.revokeApiKey, options)
+    };
+}
+
+async function cueaiDefaultError(resp) {
+    let detail = '';
+    try { detail = (await resp.json()).error || ''; } catch (_) {}
+    return Object.assign(new Error(`HTTP ${resp.status}${detail ? ` - ${detail}` : ''}`), { status: resp.status });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createCueAIClient, CUEAI_OPERATIONS };
+}
@@ -16,31 +16,101 @@
 })();
 
 // Simple in-memory caches and backoff helpers (per page load)
-let __soundsCache = null; // { sounds: [...] }
+let __soundsCache = null; // [...sounds]
 let __soundsCacheTime = 0;
-const __SOUNDS_TTL = 60_000; // 60s
-let __backendCooldownUntil = 0; // timestamp ms
-
-// Small helper: fetch JSON with timeout and consistent error handling
-async function apiFetchJson(path, init = {}, timeoutMs = 15000) {
-    const base = getBackendUrl();
-    const url = `${base}${path.startsWith('/') ? path : '/' + path}`;
-    const resp = await fetch(url, {
-        cache: 'no-cache',
-        ...init,
-        signal: AbortSignal.timeout(timeoutMs)
-    });
-    if (!resp.ok) {
-        // Attempt to read error payload but ignore failures
-        let detail = '';
-        try { detail = (await resp.json()).error || ''; } catch (_) {}
-        throw new Error(`HTTP ${resp.status}${detail ? ` - ${detail}` : ''}`);
+let __soundsVersion = null; // backend catalog version the cache matches
+let __soundsEtag = null;
+const __SOUNDS_TTL = 60_000; // 60s; refreshes are cheap (304 or ?since= delta)
+const __SOUNDS_STORAGE_KEY = 'cueai_sound_catalog'; // { version, sounds } persisted across page loads
+let __backendCooldownUntil = 0; // timestamp ms, set from the backend's Retry-After on 429
+const __DEFAULT_COOLDOWN_MS = 60_000; // when a 429 carries no Retry-After
+let __analyzeStreamSupported = true; // cleared when the backend has no /analyze/stream
+let __quotaError = null; // last 402 quota_exceeded; the backend is skipped until its quota resets
+const __BACKEND_KEY_STORAGE_KEY = 'cueai_backend_key'; // issued CueAI API key (not the OpenAI key)
+
+let __backendClient = null;
+
+// Client generated from the backend's OpenAPI document (api-client.js, loaded before this file)
+function backendClient() {
+    if (!__backendClient) {
+        const create = typeof createCueAIClient === 'function' ? createCueAIClient : require('./api-client.js').createCueAIClient;
+        __backendClient = create({ baseUrl: getBackendUrl, headers: backendHeaders, errorFromResponse: responseError });
     }
+    return __backendClient;
+}
+
+// Backend request IDs (X-Request-Id) tie a client-side error to the server's log lines
+function withRequestId(message, requestId) {
+    return requestId ? `${message} (request ${requestId})` : message;
+}
+
+function backendHeaders() {
+    const key = getBackendApiKey();
+    return key ? { 'X-API-Key': key } : {};
+}
+
+// Error for a non-2xx response, carrying status, retryAfter, the backend request ID and,
+// for API key and quota errors, `code` plus a `userMessage` fit for the status bar
+async function responseError(resp) {
+    // Attempt to read error payload but ignore failures
+    let body = {};
+    try { body = (await resp.json()) || {}; } catch (_) {}
+    const detail = body.error || '';
+    const requestId = resp.headers.get('X-Request-Id');
+    const err = new Error(withRequestId(`HTTP ${resp.status}${detail ? ` - ${detail}` : ''}`, requestId));
+    err.status = resp.status;
+    err.requestId = requestId;
+    err.code = body.code || null;
+    if (body.code === 'quota_exceeded') {
+        err.quota = body.quota || null;
+        const resetsAt = err.quota?.resetsAt ? new Date(err.quota.resetsAt) : null;
+        const resets = resetsAt && !isNaN(resetsAt) ? ` It resets on ${resetsAt.toLocaleDateString(undefined, { month: 'long', day: 'numeric' })}.` : '';
+        err.userMessage = `This month's AI allowance for your CueAI API key is used up.${resets} Add your own OpenAI key in Settings to keep going.`;
+    } else if (resp.status === 401 && body.code) {
+        err.userMessage = body.code === 'api_key_required'
+            ? 'The CueAI backend needs an API key. Ask the server admin for one.'
+            : 'Your CueAI API key was rejected (invalid or revoked). Ask the server admin for a new one.';
+    }
+    // Seconds to wait (Retry-After on 429, else RateLimit-Reset); null if the backend didn't say
+    const retryAfter = parseInt(resp.headers.get('Retry-After') || resp.headers.get('RateLimit-Reset') || '', 10);
+    err.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+    return err;
+}
+
+// Read an NDJSON event stream (POST /analyze/stream). Every event except the final
+// "done" goes to onEvent as it arrives; resolves with the "done" event (minus its type).
+async function readNdjsonEvents(resp, onEvent = () => {}) {
     const ct = resp.headers.get('content-type') || '';
-    if (!ct.includes('application/json')) {
-        throw new Error('Invalid JSON response');
+    const requestId = resp.headers.get('X-Request-Id');
+    if (!resp.body || !ct.includes('application/x-ndjson')) {
+        throw new Error(withRequestId('Invalid stream response', requestId));
     }
-    return resp.json();
+
+    let result = null;
+    const handleLine = (line) => {
+        if (!line.trim()) return;
+        const { type, ...event } = JSON.parse(line);
+        if (type === 'error') throw new Error(withRequestId(event.error || 'Analysis failed', event.requestId || requestId));
+        if (type === 'done') result = event;
+        else onEvent({ type, ...event });
+    };
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffered);
+    if (!result) {
+        throw new Error(withRequestId('Analysis stream ended early', requestId));
+    }
+    return result;
 }
 
 /**
@@ -67,34 +137,135 @@ function getBackendUrl() {
 }
 
 /**
- * Fetch sound catalog from backend or fallback to local saved-sounds.json
+ * Get the model settings for the browser-side fallback.
+ * Override with window.CUEAI_LLM = { baseUrl, model, temperature, maxTokens }
+ * (e.g. baseUrl 'http://localhost:11434/v1' for a local Ollama/llama.cpp server).
+ * @returns {{baseUrl: string, model: string, temperature: number, maxTokens: number, isOpenAI: boolean}}
+ */
+function getClientLLMConfig() {
+    const cfg = (typeof window !== 'undefined' && window.CUEAI_LLM) || {};
+    const baseUrl = String(cfg.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    return {
+        baseUrl,
+        model: cfg.model || 'gpt-4o-mini',
+        temperature: typeof cfg.temperature === 'number' ? cfg.temperature : 0.7,
+        maxTokens: typeof cfg.maxTokens === 'number' ? cfg.maxTokens : 300,
+        isOpenAI: /api\.openai\.com/i.test(baseUrl)
+    };
+}
+
+/**
+ * Get the CueAI API key issued for this backend (sent as X-API-Key).
+ * Set window.CUEAI_BACKEND_API_KEY, or store it under localStorage 'cueai_backend_key'.
+ * @returns {string|null}
+ */
+function getBackendApiKey() {
+    if (typeof window !== 'undefined' && window.CUEAI_BACKEND_API_KEY) {
+        return window.CUEAI_BACKEND_API_KEY;
+    }
+    try {
+        return localStorage.getItem(__BACKEND_KEY_STORAGE_KEY) || null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Get the WebSocket URL for backend streaming speech-to-text
+ * @returns {string} ws(s):// URL of the /ws/transcribe endpoint (browsers can't set headers
+ *   on WebSockets, so the API key goes in the query string)
+ */
+function getTranscribeSocketUrl() {
+    const base = getBackendUrl().replace(/\/$/, '');
+    const key = getBackendApiKey();
+    return `${base.replace(/^http/i, 'ws')}/ws/transcribe${key ? `?api_key=${encodeURIComponent(key)}` : ''}`;
+}
+
+function loadPersistedSounds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(__SOUNDS_STORAGE_KEY) || 'null');
+        if (saved && saved.version && Array.isArray(saved.sounds)) {
+            __soundsCache = saved.sounds;
+            __soundsVersion = saved.version;
+        }
+    } catch (_) {}
+}
+
+function persistSounds() {
+    try {
+        localStorage.setItem(__SOUNDS_STORAGE_KEY, JSON.stringify({ version: __soundsVersion, sounds: __soundsCache }));
+    } catch (_) {} // quota or private mode: the in-memory cache still works
+}
+
+// Apply a /sounds response ({ version, full: true, sounds } or { version, full: false, added, changed, removed })
+function applySoundsResponse(data) {
+    const previousVersion = __soundsVersion;
+    if (data && data.full === false && __soundsCache) {
+        const removed = new Set([...(data.removed || []), ...(data.changed || []).map(s => s.id)]);
+        __soundsCache = __soundsCache.filter(s => !removed.has(s.id)).concat(data.changed || [], data.added || []);
+        window.debugLog(`[CueAI] Catalog delta ${previousVersion} → ${data.version}: +${(data.added || []).length} ~${(data.changed || []).length} -${(data.removed || []).length}`);
+    } else if (Array.isArray(data?.sounds)) {
+        __soundsCache = data.sounds;
+        window.debugLog(`[CueAI] Loaded ${data.sounds.length} sounds from backend (version ${data.version || 'unknown'})`);
+    } else {
+        throw new Error('Unexpected /sounds response shape');
+    }
+    __soundsVersion = data.version || null;
+    __soundsCacheTime = Date.now();
+    persistSounds();
+    if (previousVersion && __soundsVersion !== previousVersion && typeof window !== 'undefined') {
+        // Let the game swap its catalog so cached IDs don't go stale
+        window.dispatchEvent(new CustomEvent('cueai:catalog-updated', {
+            detail: { version: __soundsVersion, previousVersion, sounds: __soundsCache }
+        }));
+    }
+}
+
+/**
+ * Get the backend catalog version the cached sounds match (null if unknown)
+ * @returns {string|null}
+ */
+function getCatalogVersion() {
+    return __soundsVersion;
+}
+
+/**
+ * Fetch sound catalog from backend or fallback to local saved-sounds.json.
+ * Revalidates with If-None-Match and asks for a ?since= delta when a version is cached.
+ * @param {Object} [options] - { force: skip the TTL cache }
  * @returns {Promise<Array>} Array of sound objects
  */
-async function fetchSounds() {
+async function fetchSounds({ force = false } = {}) {
     // Serve from cache when fresh
     const now = Date.now();
-    if (__soundsCache && (now - __soundsCacheTime) < __SOUNDS_TTL) {
+    if (!force && __soundsCache && (now - __soundsCacheTime) < __SOUNDS_TTL) {
         return __soundsCache;
     }
+    if (!__soundsCache) loadPersistedSounds();
 
     try {
         // Try backend first
-        const data = await apiFetchJson('/sounds', {}, 5000);
-        if (Array.isArray(data)) {
-            // Backend returned an array of sounds directly
-            window.debugLog(`[CueAI] Loaded ${data.length} sounds from backend`);
-            __soundsCache = data;
-            __soundsCacheTime = Date.now();
-            return __soundsCache;
-        } else if (Array.isArray(data?.sounds)) {
-            // Legacy shape: { sounds: [...] }
-            window.debugLog(`[CueAI] Loaded ${data.sounds.length} sounds from backend (wrapped)`);
-            __soundsCache = data.sounds;
+        const resp = await backendClient().listSounds({
+            query: { since: __soundsVersion && __soundsCache ? __soundsVersion : undefined },
+            headers: __soundsEtag ? { 'If-None-Match': __soundsEtag } : {},
+            timeoutMs: 5000,
+            raw: true
+        });
+        if (resp.status === 304) {
+            if (!__soundsCache) throw new Error('HTTP 304 without a cached catalog');
             __soundsCacheTime = Date.now();
             return __soundsCache;
         }
-        throw new Error('Unexpected /sounds response shape');
+        const data = await resp.json();
+        applySoundsResponse(data);
+        __soundsEtag = resp.headers.get('ETag');
+        return __soundsCache;
     } catch (err) {
+        // A previously downloaded backend catalog beats the dev-only local list
+        if (__soundsCache && __soundsVersion) {
+            console.warn('Backend /sounds unavailable, using cached catalog:', err.message);
+            return __soundsCache;
+        }
         console.warn('Backend /sounds unavailable, falling back to local saved-sounds.json:', err.message);
         
         // Fallback to local saved-sounds.json (dev only)
@@ -113,6 +284,7 @@ async function fetchSounds() {
                         tags: f.keywords || [],
                         loop: f.type === 'music'
                     }));
+                    __soundsVersion = null;
                     __soundsCacheTime = Date.now();
                     return __soundsCache;
                 }
@@ -126,43 +298,110 @@ async function fetchSounds() {
     }
 }
 
+/**
+ * Backend dependency status from the server's background health checker
+ * @returns {Promise<Object|null>} { status, ready, reasons, dependencies: { llm, media, chroma, ... } },
+ *   or null when the backend is unreachable or predates /health/details
+ */
+async function fetchHealthDetails() {
+    try {
+        return await backendClient().getHealthDetails({ timeoutMs: 5000 });
+    } catch (err) {
+        window.debugLog('[CueAI] Backend health details unavailable:', err.message);
+        return null;
+    }
+}
+
 /**
  * Analyze transcript using backend or fallback to direct OpenAI call
- * @param {Object} payload - { transcript, mode, context }
+ * @param {Object} payload - { transcript, mode, context, sessionId }
+ * @param {Object} [options]
+ * @param {Function} [options.onSfx] - called with each sfx decision ({ id, when, volume }) as soon
+ *   as the backend streams it, before music and scene are known. The resolved decision still
+ *   lists every sfx, so callers should skip the ones they already played. If the stream fails
+ *   part-way, the fallback decision leaves out the sfx that were already streamed.
  * @returns {Promise<Object>} AI decision object
  */
-async function analyzeTranscript(payload) {
-    const { transcript, mode, context } = payload;
+async function analyzeTranscript(payload, { onSfx } = {}) {
+    const { transcript, mode, context, sessionId } = payload;
     
     if (!transcript || !transcript.trim()) {
         throw new Error('Transcript is required');
     }
     
+    const streamedSfxIds = new Set(); // already handed to onSfx
     try {
-        // Respect temporary cooldown after 429s
+        // Respect temporary cooldown after 429s (and until the quota resets after a 402)
         if (Date.now() < __backendCooldownUntil) {
-            throw new Error('backend_cooldown');
+            throw __quotaError || new Error('backend_cooldown');
+        }
+        __quotaError = null;
+        // Try backend first (debug mode asks the server for prompt token stats)
+        const debug = !!(typeof window !== 'undefined' && window.CONFIG && window.CONFIG.DEBUG_MODE);
+        const request = { body: { transcript, mode, context, sessionId, debug }, timeoutMs: 28000 };
+        let decision = null;
+        if (onSfx && __analyzeStreamSupported && typeof TextDecoder !== 'undefined') {
+            try {
+                const resp = await backendClient().analyzeStream(request);
+                decision = await readNdjsonEvents(resp, (event) => {
+                    if (event.type === 'sfx' && event.sfx) {
+                        streamedSfxIds.add(event.sfx.id);
+                        onSfx(event.sfx);
+                    } else if (event.type === 'candidates') {
+                        window.debugLog(`[CueAI] Backend candidates: ${event.sfx.length} sfx, ${event.music.length} music`);
+                    }
+                });
+            } catch (err) {
+                // Older backends have no streaming route; use plain /analyze from now on
+                if (err.status !== 404) throw err;
+                __analyzeStreamSupported = false;
+            }
+        }
+        if (!decision) {
+            decision = await backendClient().analyze(request);
         }
-        // Try backend first
-        const decision = await apiFetchJson('/analyze', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ transcript, mode, context })
-        }, 28000);
         window.debugLog('✓ Got AI decision from backend:', decision);
+        // Backend catalog moved on: refresh in the background so new IDs resolve
+        if (decision.catalogVersion && __soundsVersion && decision.catalogVersion !== __soundsVersion) {
+            fetchSounds({ force: true }).catch(() => {});
+        }
+        if (decision.cache?.hit) {
+            window.debugLog(`[CueAI] Decision served from backend cache (${decision.cache.match}, similarity ${decision.cache.similarity})`);
+        }
+        if (decision.debug?.prompt) {
+            const p = decision.debug.prompt;
+            window.debugLog(`[CueAI] Backend prompt ~${p.promptTokens}/${p.budget} tokens (${p.sfxCandidates} sfx, ${p.musicCandidates} music, ${p.extraIds} ids)`);
+        }
         return decision;
         
-        // Note: if apiFetchJson throws, we'll handle below
+        // Note: if the backend call throws, we'll handle below
     } catch (err) {
-        // If backend rate limited, back off for 60s to avoid hammering backend
-        if (String(err.message || '').includes('429') || err.message === 'backend_cooldown') {
-            // Back off for 60s to avoid hammering backend
-            __backendCooldownUntil = Date.now() + 60_000;
+        // If backend rate limited, back off for as long as it asked (Retry-After)
+        if (err.status === 429) {
+            const waitMs = err.retryAfter !== null ? err.retryAfter * 1000 : __DEFAULT_COOLDOWN_MS;
+            __backendCooldownUntil = Date.now() + waitMs;
+            window.debugLog(`[CueAI] Backend rate limited; retrying backend in ${Math.round(waitMs / 1000)}s`);
+        }
+        // Out of monthly tokens: stop calling the backend until the allowance resets
+        if (err.status === 402 && err.code === 'quota_exceeded') {
+            const resetsAt = Date.parse(err.quota?.resetsAt || '');
+            __backendCooldownUntil = Number.isFinite(resetsAt) ? resetsAt : Date.now() + __DEFAULT_COOLDOWN_MS;
+            __quotaError = err;
+        }
+        // Without a browser-side OpenAI key there is nothing to fall back to; show why
+        const hasClientKey = typeof getOpenAIKey === 'function' && !!getOpenAIKey();
+        if (err.userMessage && !hasClientKey) {
+            throw err;
         }
         console.warn('Backend /analyze unavailable, falling back to client-side OpenAI:', err.message);
         
-        // Fallback to direct OpenAI call from client
-        return await analyzeTranscriptClientSide(payload);
+        // Fallback to direct OpenAI call from client; effects the failed stream already
+        // started must not play a second time
+        const decision = await analyzeTranscriptClientSide(payload);
+        if (streamedSfxIds.size > 0 && Array.isArray(decision.sfx)) {
+            decision.sfx = decision.sfx.filter(sfx => !streamedSfxIds.has(sfx.id));
+        }
+        return decision;
     }
 }
 
@@ -176,8 +415,10 @@ async function analyzeTranscriptClientSide(payload) {
     
     // Guard: getOpenAIKey may not be defined yet if game.js hasn't loaded
     const apiKey = (typeof getOpenAIKey === "function") ? getOpenAIKey() : null;
+    const llm = getClientLLMConfig();
     
-    if (!apiKey) {
+    // Local OpenAI-compatible servers usually don't need a key
+    if (!apiKey && llm.isOpenAI) {
         console.warn('[CueAI] No OpenAI key available in browser fallback.');
         throw new Error('OpenAI API key not found. Please set your API key or use backend.');
     }
@@ -194,27 +435,26 @@ async function analyzeTranscriptClientSide(payload) {
     const prompt = buildAnalysisPrompt(transcript, mode, context, availableSounds);
     
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+        const response = await fetch(`${llm.baseUrl}/chat/completions`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
+            headers,
             body: JSON.stringify({
-                model: 'gpt-4o-mini',
+                model: llm.model,
                 messages: [
                     { role: 'system', content: 'You are a JSON-only audio decision engine. Always return valid JSON.' },
                     { role: 'user', content: prompt }
                 ],
-                temperature: 0.7,
-                max_tokens: 300
+                temperature: llm.temperature,
+                max_tokens: llm.maxTokens
             }),
             signal: AbortSignal.timeout(25000)
         });
         
         if (!response.ok) {
             const err = await response.json().catch(() => ({}));
-            throw new Error(`OpenAI error: ${response.status} ${err.error?.message || ''}`);
+            throw new Error(`LLM error: ${response.status} ${err.error?.message || ''}`);
         }
         
         const data = await response.json();
@@ -228,40 +468,68 @@ async function analyzeTranscriptClientSide(payload) {
             if (match) {
                 return JSON.parse(match[0]);
             }
-            throw new Error('Failed to parse OpenAI response as JSON');
+            throw new Error('Failed to parse model response as JSON');
         }
     } catch (error) {
-        console.error('Client-side OpenAI call failed:', error);
+        console.error('Client-side LLM call failed:', error);
         throw error;
     }
 }
 
+// Prompt budget for the browser fallback; mirrors server/analysis/promptBuilder.js
+const __PROMPT_TOKEN_BUDGET = 1500;
+const __PROMPT_STOP_WORDS = new Set(['the', 'and', 'for', 'into', 'over', 'with', 'from', 'one', 'man', 'this', 'that', 'music', 'looping', 'background']);
+
+// Rough token estimate (~4 characters per token)
+function estimatePromptTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function promptWords(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+        .filter(w => w.length > 2 && !__PROMPT_STOP_WORDS.has(w))
+        .map(w => w.replace(/(ing|ed|es|s)$/, ''));
+}
+
 /**
- * Build analysis prompt for OpenAI (simplified version)
+ * Build analysis prompt for the browser fallback within a token budget:
+ * best-matching SFX and music (with a few tags) first, then bare IDs while budget remains.
  * @param {string} transcript - User's speech
  * @param {string} mode - Current mode (dnd, bedtime, etc.)
  * @param {Object} context - Additional context
+ * @param {Array} availableSounds - Sound catalog
  * @returns {string} Formatted prompt
  */
 function buildAnalysisPrompt(transcript, mode, context, availableSounds = []) {
-        const idsList = availableSounds.map(s => s.id).join(', ');
-        const catalogItems = availableSounds.map(s => `${s.id} (${s.type}${s.tags && s.tags.length ? `, tags: ${s.tags.join(',')}` : ''})`).join('\n');
-        return `You are a JSON-only audio decision engine for a ${mode || 'auto'} experience.
+        const spoken = new Set(promptWords(transcript));
+        const ranked = availableSounds
+            .map((s, i) => {
+                const terms = new Set([...promptWords(s.id.replace(/_/g, ' ')), ...(s.tags || []).flatMap(promptWords)]);
+                let score = 0;
+                terms.forEach(t => { if (spoken.has(t)) score++; });
+                if (context?.recentMusic && s.id === context.recentMusic) score += 100;
+                return { s, i, score };
+            })
+            .sort((a, b) => b.score - a.score || a.i - b.i)
+            .map(r => r.s);
+        const describe = s => {
+            const tags = (s.tags || []).filter(t => !__PROMPT_STOP_WORDS.has(t)).slice(0, 6);
+            return `${s.id} (${s.type}${tags.length ? `, tags: ${tags.join(',')}` : ''})`;
+        };
+        const render = (details, ids) => `You are a JSON-only audio decision engine for a ${mode || 'auto'} experience.
 User said: "${transcript}"
+Current music: ${context?.recentMusic || 'none'}
 
 Rules:
 - Return STRICT JSON only, no markdown or commentary
-- Use only IDs from the approved catalog list below
+- Use only IDs from the catalog lists below
 - Music: choose one looping track or null
 - SFX: up to 2 effects, each with a when and volume
 - Volume range: 0.0 to 1.0
 
-Approved catalog IDs:
-${idsList}
-
-Catalog details:
-${catalogItems}
-
+Best matching sounds:
+${details.join('\n') || 'none'}
+${ids.length ? `\nOther catalog IDs:\n${ids.join(', ')}\n` : ''}
 Response format (STRICT JSON):
 {
     "scene": "short description",
@@ -270,9 +538,34 @@ Response format (STRICT JSON):
         { "id": "<one_of_the_ids_above>", "when": "immediate", "volume": 0.7 }
     ]
 }`;
+
+        let remaining = __PROMPT_TOKEN_BUDGET - estimatePromptTokens(render([], []));
+        const details = [];
+        const ids = [];
+        const sfx = ranked.filter(s => s.type !== 'music').slice(0, 12);
+        const music = ranked.filter(s => s.type === 'music').slice(0, 8);
+        for (const s of [...sfx, ...music]) {
+            const line = describe(s);
+            const cost = estimatePromptTokens(line) + 1;
+            if (cost > remaining) break;
+            details.push(line);
+            remaining -= cost;
+        }
+        const listed = new Set([...sfx, ...music].slice(0, details.length).map(s => s.id));
+        for (const s of ranked) {
+            if (listed.has(s.id)) continue;
+            const cost = estimatePromptTokens(s.id) + 1;
+            if (cost > remaining) break;
+            ids.push(s.id);
+            remaining -= cost;
+        }
+
+        const prompt = render(details, ids);
+        window.debugLog(`[CueAI] Fallback prompt ~${estimatePromptTokens(prompt)}/${__PROMPT_TOKEN_BUDGET} tokens (${details.length} detailed, ${ids.length} ids, ${availableSounds.length - details.length - ids.length} omitted)`);
+        return prompt;
 }
 
 // Export for use in game.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { fetchSounds, analyzeTranscript, getBackendUrl };
+    module.exports = { fetchSounds, getCatalogVersion, analyzeTranscript, fetchHealthDetails, getBackendUrl, getBackendApiKey, getTranscribeSocketUrl, getClientLLMConfig };
 }
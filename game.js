@@ -15,7 +15,13 @@ const CONFIG = {
     BACKEND_COOLDOWN: 60000,
     SOUNDS_CACHE_TTL: 60000,
     PRELOAD_DELAY: 300,
-    MODE_CHANGE_VERSION_DELAY: 100
+    MODE_CHANGE_VERSION_DELAY: 100,
+    STT_RECONNECT_MAX: 3, // server streaming reconnect attempts before falling back to Web Speech
+    STT_RECONNECT_BASE_DELAY: 1000, // doubles on each attempt
+    STT_PROTOCOL_VERSION: 1, // /ws/transcribe message protocol (server/stt/protocol.js)
+    STT_PING_INTERVAL: 15000,
+    STT_PONG_TIMEOUT: 45000, // reconnect if the server stops answering pings
+    MUSIC_INTENSITY_JUMP: 0.4 // catalog intensity difference (0-1) that counts as a scene change
 };
 
 // Expose CONFIG globally for modules that read window.CONFIG (e.g., api.js debugLog)
@@ -220,6 +226,8 @@ class CueAI {
         this.backendUrl = this.getBackendUrl();
         this.soundCatalog = []; // Loaded from backend /sounds endpoint
         this.backendAvailable = false; // Track if backend is reachable
+        this.backendHealth = null; // GET /health summary flags
+        this.backendHealthDetails = null; // GET /health/details (per-dependency status and errors)
         
         // Music Context Management
         this.currentMusicContext = null; // Track current music mood/scene
@@ -245,6 +253,7 @@ class CueAI {
         this.minVolume = 0.2;
         this.maxVolume = 0.7;
         this.analysisVersion = 0; // increment on mode changes to ignore stale AI results
+        this.analysisSessionId = null; // backend /analyze session memory (new per listening session)
         this.storyContext = ''; // User-provided story context for better AI understanding
     // Playback preferences
     this.musicEnabled = JSON.parse(localStorage.getItem('cueai_music_enabled') ?? 'true');
@@ -260,6 +269,19 @@ class CueAI {
         
         // Speech Recognition
         this.recognition = null;
+        this.sttMode = localStorage.getItem('cueai_stt_mode') || 'browser'; // 'browser' (Web Speech) or 'server' (/ws/transcribe)
+        this.activeSttMode = null; // engine actually running for the current listening session
+        this.sttSocket = null;
+        this.sttStream = null; // mic MediaStream for server streaming
+        this.sttSource = null;
+        this.sttWorklet = null;
+        this.sttSink = null;
+        this.sttWorkletLoaded = false;
+        this.sttReconnectAttempts = 0;
+        this.sttReconnectTimer = null;
+        this.sttReady = false; // server acknowledged the start handshake
+        this.sttPingTimer = null;
+        this.sttLastPong = 0;
         this.transcriptBuffer = [];
     this.lastAnalysisTime = 0;
     // Analyze interval with adaptive rate limiting
@@ -356,48 +378,10 @@ class CueAI {
     this.predictionEnabled = JSON.parse(localStorage.getItem('cueai_prediction_enabled') ?? 'true');
     // Story preferences
     this.autoStartStoryListening = JSON.parse(localStorage.getItem('cueai_auto_start_story_listening') ?? 'false');
-            this.instantKeywords = {
-                'bang': { query: 'gunshot explosion', volume: 0.9 },
-                'crash': { query: 'crash metal', volume: 0.8 },
-                'boom': { query: 'explosion boom', volume: 0.9 },
-                'thunder': { query: 'thunder storm', volume: 0.8 },
-                'scream': { query: 'scream horror', volume: 0.7 },
-                'roar': { query: 'monster roar', volume: 0.8 },
-                'growl': { query: 'monster growl', volume: 0.8 },
-                'snarl': { query: 'monster growl', volume: 0.8 },
-                'ogre': { query: 'monster growl', volume: 0.8 },
-                'troll': { query: 'monster growl', volume: 0.8 },
-                'orc': { query: 'monster growl', volume: 0.8 },
-                'goblin': { query: 'monster growl', volume: 0.8 },
-                'beast': { query: 'monster growl', volume: 0.8 },
-                'slam': { query: 'door slam', volume: 0.7 },
-                'splash': { query: 'water splash', volume: 0.6 },
-                'whoosh': { query: 'wind whoosh', volume: 0.6 },
-                'thud': { query: 'heavy thud', volume: 0.7 },
-                // Everyday quick cues
-                'bark': { query: 'dog bark', volume: 0.7 },
-                'woof': { query: 'dog bark', volume: 0.7 },
-                'meow': { query: 'cat meow', volume: 0.6 },
-                'knock': { query: 'door knock', volume: 0.7 },
-                'footsteps': { query: 'footsteps', volume: 0.6 },
-                'footstep': { query: 'footsteps', volume: 0.6 },
-                'clap': { query: 'applause', volume: 0.7 },
-                'applause': { query: 'applause', volume: 0.7 },
-                'laugh': { query: 'laugh', volume: 0.7 },
-                'giggle': { query: 'laugh', volume: 0.6 },
-                // Horror-focused additions
-                'creak': { query: 'door creak', volume: 0.6 },
-                'whisper': { query: 'whisper breath', volume: 0.5 },
-                'heartbeat': { query: 'heartbeat', volume: 0.6 },
-                // Christmas additions
-                'jingle': { query: 'jingle bells', volume: 0.7 },
-                'sleigh': { query: 'sleigh bells', volume: 0.7 },
-                'hohoho': { query: 'santa laugh ho ho', volume: 0.8 },
-                // Halloween additions
-                'cackle': { query: 'witch cackle laugh', volume: 0.7 },
-                'boo': { query: 'ghost boo', volume: 0.6 },
-                'howl': { query: 'wolf howl', volume: 0.7 }
-            };
+        // Spoken-word cues and tag expansion come from taxonomy.json (loadTaxonomy)
+        this.taxonomy = null;
+        this.instantKeywords = {};
+        this.storyCueMap = {};
         
         // Initialize
         this.init();
@@ -419,6 +403,8 @@ class CueAI {
             startBtn.style.cursor = 'not-allowed';
         }
         
+        // Load the shared tag taxonomy (synonyms, mood/category, spoken cues)
+        this.taxonomyReady = this.loadTaxonomy().catch(e => console.warn('Taxonomy load failed:', e.message));
         // Load sound catalog from backend
         this.loadSoundCatalog().catch(e => console.warn('Backend catalog unavailable:', e.message));
         // Load local saved sounds (legacy/fallback)
@@ -460,6 +446,14 @@ class CueAI {
     }
     
     async loadSoundCatalog() {
+        // api.js announces backend catalog changes (new version seen on refresh or /analyze)
+        if (!this.catalogUpdateListener) {
+            this.catalogUpdateListener = (e) => {
+                this.soundCatalog = e.detail.sounds;
+                debugLog(`✓ Catalog updated to ${e.detail.version} (${this.soundCatalog.length} sounds)`);
+            };
+            window.addEventListener('cueai:catalog-updated', this.catalogUpdateListener);
+        }
         try {
             // Use centralized API service (from api.js)
             this.soundCatalog = await fetchSounds();
@@ -482,6 +476,13 @@ class CueAI {
         }
     }
 
+    // Catalog entry by id; ids renamed through catalogOverrides.json still resolve via `aliases`
+    findSound(id) {
+        return this.soundCatalog.find(s => s.id === id) ||
+               this.soundCatalog.find(s => Array.isArray(s.aliases) && s.aliases.includes(id)) ||
+               null;
+    }
+
     // Quick HEAD verifier for first N catalog URLs (debug only)
     async verifyCatalog(headCount = 10) {
         const list = Array.isArray(this.soundCatalog) ? this.soundCatalog.slice(0, headCount) : [];
@@ -501,6 +502,15 @@ class CueAI {
         }
     }
 
+    async loadTaxonomy() {
+        const resp = await fetch('taxonomy.json', { cache: 'no-cache' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        this.taxonomy = CueTaxonomy.createTaxonomy(await resp.json());
+        this.instantKeywords = this.taxonomy.instantCues();
+        this.storyCueMap = this.taxonomy.storyCues();
+        debugLog(`✓ Loaded taxonomy v${this.taxonomy.version}`);
+    }
+
     async loadSavedSounds() {
         try {
             const resp = await fetch('saved-sounds.json', { cache: 'no-cache' });
@@ -714,42 +724,9 @@ class CueAI {
         }
     }
 
-    // Map common keywords in stories to SFX searches
+    // Map common keywords in stories to SFX searches (taxonomy.json cues.story)
     getStoryCueMap() {
-        return {
-            'bell': 'bell chime',
-            'bells': 'bell chime',
-            'clock': 'tick tock',
-            'midnight': 'clock chime',
-            'horse': 'horse galloping',
-            'horses': 'horse galloping',
-            'coach': 'carriage creak',
-            'step': 'footsteps',
-            'steps': 'footsteps',
-            'door': 'door creak',
-            'knock': 'door knock',
-            'wind': 'wind whoosh',
-            'storm': 'thunder',
-            'thunder': 'thunder',
-            'rain': 'rain on windows',
-            'owl': 'owl hoot',
-            'wolf': 'wolf howl',
-            'crowd': 'crowd cheering',
-            'applause': 'applause',
-            'fire': 'fireplace',
-            'flame': 'fireplace',
-            'witch': 'witch cackle',
-            'magic': 'magic whoosh',
-            'spell': 'magic spell',
-            'sword': 'sword swing',
-            'glass': 'glass shatter',
-            'mirror': 'glass shatter',
-            'beast': 'monster growl',
-            'dragon': 'dragon growl',
-            'heart': 'heartbeat',
-            'cry': 'woman scream',
-            'scream': 'woman scream',
-        };
+        return this.storyCueMap;
     }
 
     prefetchStoryWindow() {
@@ -795,6 +772,7 @@ class CueAI {
             return;
         }
 
+        await this.taxonomyReady;
         debugLog('Preloading instant keyword buffers...');
         
         // Priority instant keywords for immediate playback
@@ -863,7 +841,7 @@ class CueAI {
         ];
         
         topSoundIds.forEach(id => {
-            const sound = this.soundCatalog.find(s => s.id === id);
+            const sound = this.findSound(id);
             if (sound) {
                 const link = document.createElement('link');
                 link.rel = 'prefetch';
@@ -914,6 +892,8 @@ class CueAI {
                 } catch (_) {
                     this.backendHealth = null;
                 }
+                // Per-dependency reasons for the status indicators (null on older backends)
+                this.backendHealthDetails = await fetchHealthDetails();
                 modal.classList.add('hidden');
                 appContainer.classList.remove('hidden');
                 this.updateStatus('✓ Connected to backend — ready to use');
@@ -925,6 +905,7 @@ class CueAI {
             console.warn('Backend not available, checking for local API key:', err.message);
             this.backendAvailable = false;
             this.backendHealth = null;
+            this.backendHealthDetails = null;
         }
         
         // PRIORITY 2: Check if user has their own API key (advanced users)
@@ -939,6 +920,7 @@ class CueAI {
         // PRIORITY 3: Show API key modal only if backend is down AND no local key
         this.backendAvailable = false;
         this.backendHealth = null;
+        this.backendHealthDetails = null;
         modal.classList.remove('hidden');
         appContainer.classList.add('hidden');
         this.updateApiStatusIndicators();
@@ -1266,6 +1248,17 @@ class CueAI {
                 this.updateStatus(`Low Latency Mode ${this.lowLatencyMode ? 'enabled (3s analysis)' : 'disabled (5s analysis)'}`);
             });
         }
+        // Speech recognition engine selector
+        const sttModeSelect = document.getElementById('sttMode');
+        if (sttModeSelect) {
+            sttModeSelect.value = this.sttMode;
+            sttModeSelect.addEventListener('change', (e) => {
+                this.sttMode = e.target.value === 'server' ? 'server' : 'browser';
+                localStorage.setItem('cueai_stt_mode', this.sttMode);
+                const label = this.sttMode === 'server' ? 'Server Streaming' : 'Browser (Web Speech)';
+                this.updateStatus(`Speech recognition: ${label}${this.isListening ? ' (applies next time you start listening)' : ''}`);
+            });
+        }
         // Low Latency tooltip interactions (hover via CSS; add touch/keyboard support)
         const ttLabel = document.getElementById('lowLatencyTooltip');
         const ttHelp = document.getElementById('lowLatencyHelp');
@@ -1588,7 +1581,9 @@ class CueAI {
     initializeSpeechRecognition() {
         // Feature detection with UI feedback
         if (!isSpeechRecognitionAvailable()) {
-            this.updateStatus('⚠️ Speech recognition not supported in this browser. Please use Chrome/Edge or connect to backend STT.', 'error');
+            if (this.sttMode !== 'server') {
+                this.updateStatus('⚠️ Speech recognition not supported in this browser. Please use Chrome/Edge or switch to Server Streaming in Settings.', 'error');
+            }
             console.warn('Speech recognition not available');
             return;
         }
@@ -1708,7 +1703,223 @@ class CueAI {
             this.updateStatus(`Recognition error: ${event.error}`);
         }
     }
-    
+
+    // ===== SERVER STREAMING STT (/ws/transcribe) =====
+    async startServerStreaming() {
+        if (!this.audioContext || !this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            throw new Error('AudioWorklet not supported in this browser');
+        }
+        if (!this.sttWorkletLoaded) {
+            await this.audioContext.audioWorklet.addModule('stt-worklet.js');
+            this.sttWorkletLoaded = true;
+        }
+
+        this.sttStream = await navigator.mediaDevices.getUserMedia({
+            audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+
+        // Graph: mic -> pcm-capture worklet -> muted gain -> destination
+        // (the worklet must be pulled by the graph, but the mic must never reach the speakers)
+        this.sttSource = this.audioContext.createMediaStreamSource(this.sttStream);
+        this.sttWorklet = new AudioWorkletNode(this.audioContext, 'pcm-capture');
+        this.sttSink = this.audioContext.createGain();
+        this.sttSink.gain.value = 0;
+        this.sttSource.connect(this.sttWorklet);
+        this.sttWorklet.connect(this.sttSink);
+        this.sttSink.connect(this.audioContext.destination);
+
+        // Worklet posts 16 kHz linear16 chunks; forward them once the server is ready
+        this.sttWorklet.port.onmessage = (e) => {
+            if (this.sttReady && this.sttSocket && this.sttSocket.readyState === WebSocket.OPEN) {
+                this.sttSocket.send(e.data);
+            }
+        };
+
+        this.sttReconnectAttempts = 0;
+        this.connectTranscribeSocket();
+    }
+
+    connectTranscribeSocket() {
+        const ws = new WebSocket(getTranscribeSocketUrl());
+        ws.binaryType = 'arraybuffer';
+        this.sttSocket = ws;
+
+        ws.onopen = () => {
+            debugLog('✓ Connected to /ws/transcribe');
+            // Handshake: describe the audio the worklet produces
+            ws.send(JSON.stringify({
+                type: 'start',
+                version: CONFIG.STT_PROTOCOL_VERSION,
+                encoding: 'linear16',
+                sample_rate: 16000,
+                channels: 1
+            }));
+            // Application-level keepalive (browsers can't send ws pings)
+            this.sttLastPong = Date.now();
+            if (this.sttPingTimer) clearInterval(this.sttPingTimer);
+            this.sttPingTimer = setInterval(() => {
+                if (Date.now() - this.sttLastPong > CONFIG.STT_PONG_TIMEOUT) {
+                    console.warn('Transcribe server stopped answering pings, reconnecting');
+                    try { ws.close(); } catch (_) {}
+                    return;
+                }
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ type: 'ping', ts: Date.now() }));
+                }
+            }, CONFIG.STT_PING_INTERVAL);
+        };
+        ws.onmessage = (event) => this.handleStreamMessage(event.data);
+        ws.onerror = () => debugLog('Transcribe socket error');
+        ws.onclose = () => {
+            // Ignore sockets we closed or replaced on purpose
+            if (this.sttSocket !== ws) return;
+            this.sttSocket = null;
+            this.sttReady = false;
+            if (this.sttPingTimer) {
+                clearInterval(this.sttPingTimer);
+                this.sttPingTimer = null;
+            }
+            if (this.isListening && this.activeSttMode === 'server') {
+                this.scheduleTranscribeReconnect();
+            }
+        };
+    }
+
+    scheduleTranscribeReconnect() {
+        if (this.sttReconnectAttempts >= CONFIG.STT_RECONNECT_MAX) {
+            this.fallbackToWebSpeech('Server speech streaming unavailable');
+            return;
+        }
+        const delay = CONFIG.STT_RECONNECT_BASE_DELAY * Math.pow(2, this.sttReconnectAttempts++);
+        this.updateStatus(`Speech server disconnected - reconnecting in ${Math.round(delay / 1000)}s...`, 'warning');
+        this.sttReconnectTimer = setTimeout(() => {
+            this.sttReconnectTimer = null;
+            if (this.isListening && this.activeSttMode === 'server') {
+                this.connectTranscribeSocket();
+            }
+        }, delay);
+    }
+
+    // Server restart (deploy): the old socket still delivers its final results, but audio
+    // goes to a new connection after the hinted delay. Not counted as a failed reconnect.
+    handleTranscribeGoingAway(msg) {
+        debugLog(`Transcribe server going away (${msg.reason}), reconnecting`);
+        this.sttSocket = null; // the old socket's onclose now ignores it
+        this.sttReady = false;
+        if (this.sttPingTimer) {
+            clearInterval(this.sttPingTimer);
+            this.sttPingTimer = null;
+        }
+        if (this.sttReconnectTimer) clearTimeout(this.sttReconnectTimer);
+        this.updateStatus('Speech server restarting - reconnecting...', 'warning');
+        this.sttReconnectTimer = setTimeout(() => {
+            this.sttReconnectTimer = null;
+            if (this.isListening && this.activeSttMode === 'server') {
+                this.connectTranscribeSocket();
+            }
+        }, Math.max(0, Number(msg.reconnect_after_ms) || 0));
+    }
+
+    handleStreamMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch (_) {
+            return;
+        }
+
+        switch (msg.type) {
+            case 'ready':
+                this.sttReady = true;
+                debugLog(`Transcribe stream ready (provider: ${msg.provider}, v${msg.version})`);
+                this.updateStatus('Listening (server streaming)... Speak clearly!');
+                return;
+            case 'pong':
+                this.sttLastPong = Date.now();
+                return;
+            case 'utterance_end':
+                // Speaker paused: commit any interim text the engine never finalized
+                if (this.currentInterim) {
+                    this.handleStreamTranscript({ transcript: this.currentInterim, is_final: true });
+                }
+                return;
+            case 'error':
+                console.warn(`Transcribe server error (${msg.code}):`, msg.message);
+                // Close so the reconnect/fallback path takes over
+                try { this.sttSocket && this.sttSocket.close(); } catch (_) {}
+                return;
+            case 'going_away':
+                this.handleTranscribeGoingAway(msg);
+                return;
+            default:
+                // 'transcript' (or a pre-protocol server that only sends { transcript })
+                if (msg.transcript) this.handleStreamTranscript(msg);
+        }
+    }
+
+    handleStreamTranscript(msg) {
+        const transcript = String(msg.transcript || '').trim();
+        if (!transcript) return;
+        // Only count the connection as healthy once it actually produces text
+        this.sttReconnectAttempts = 0;
+
+        // Shape the message like a SpeechRecognitionEvent so both engines share one pipeline
+        const result = [{ transcript, confidence: msg.confidence, words: msg.words || [] }];
+        result.isFinal = msg.is_final !== false; // servers without is_final only send committed text
+        this.handleSpeechResult({ resultIndex: 0, results: [result] });
+    }
+
+    stopServerStreaming() {
+        if (this.sttReconnectTimer) {
+            clearTimeout(this.sttReconnectTimer);
+            this.sttReconnectTimer = null;
+        }
+        if (this.sttPingTimer) {
+            clearInterval(this.sttPingTimer);
+            this.sttPingTimer = null;
+        }
+        this.sttReady = false;
+        const ws = this.sttSocket;
+        this.sttSocket = null;
+        if (ws) {
+            try { ws.close(1000, 'client stopped'); } catch (_) {}
+        }
+        if (this.sttWorklet) {
+            this.sttWorklet.port.onmessage = null;
+            try { this.sttWorklet.disconnect(); } catch (_) {}
+            this.sttWorklet = null;
+        }
+        if (this.sttSource) {
+            try { this.sttSource.disconnect(); } catch (_) {}
+            this.sttSource = null;
+        }
+        if (this.sttSink) {
+            try { this.sttSink.disconnect(); } catch (_) {}
+            this.sttSink = null;
+        }
+        if (this.sttStream) {
+            this.sttStream.getTracks().forEach(track => track.stop());
+            this.sttStream = null;
+        }
+    }
+
+    fallbackToWebSpeech(reason) {
+        console.warn(`${reason} - falling back to browser speech recognition`);
+        this.stopServerStreaming();
+        if (!this.recognition) {
+            this.updateStatus(`⚠️ ${reason} and browser speech recognition is not supported.`, 'error');
+            this.stopListening();
+            return;
+        }
+        this.activeSttMode = 'browser';
+        try {
+            this.recognition.start();
+            this.updateStatus(`${reason} - using browser speech recognition`, 'warning');
+        } catch (e) {
+            debugLog('Recognition start skipped:', e.message);
+        }
+    }
+
     updateTranscriptDisplay() {
         const transcriptBox = document.getElementById('transcript');
         const recentText = this.transcriptBuffer.slice(-5).join(' ');
@@ -1808,8 +2019,19 @@ class CueAI {
             // Capture analysis version to avoid applying stale results after mode change
             const versionAtStart = this.analysisVersion;
             
+            // Immediate effects streamed ahead of the full decision start right away;
+            // music, scene and after_music_start effects wait for the complete response
+            const streamedSfx = new Set();
+            const onSfx = (sfx) => {
+                if (this.analysisVersion !== versionAtStart || !this.predictionEnabled || !this.sfxEnabled) return;
+                if (sfx.when !== 'immediate' || streamedSfx.has(sfx.id)) return;
+                if (streamedSfx.size === 0) this.fadeOutStaleSfx();
+                streamedSfx.add(sfx.id);
+                this.playSoundEffectById(sfx).catch(e => console.warn('Streamed SFX failed:', e));
+            };
+            
             // Call centralized API service (from api.js)
-            const response = await this.callBackendAnalyze(recentTranscript);
+            const response = await this.callBackendAnalyze(recentTranscript, onSfx);
             
             // Success - reset interval to fast (after any previous backoff)
             this.analysisInterval = this.baseAnalysisInterval;
@@ -1821,7 +2043,7 @@ class CueAI {
             }
 
             if (response) {
-                await this.processSoundDecisions(response);
+                await this.processSoundDecisions(response, streamedSfx);
             }
         } catch (error) {
             // Check for rate limiting
@@ -1831,11 +2053,16 @@ class CueAI {
                 console.warn(`Rate limited, backing off to ${this.analysisInterval}ms`);
             }
             console.error('AI Analysis error:', error);
-            this.updateStatus('⚠️ Analysis error. Check console for details.');
+            // API key and quota problems from the backend come with a readable explanation
+            if (error?.userMessage) {
+                this.updateStatus(`⚠️ ${error.userMessage}`, 'error');
+            } else {
+                this.updateStatus('⚠️ Analysis error. Check console for details.');
+            }
         }
     }
     
-    async callBackendAnalyze(transcript) {
+    async callBackendAnalyze(transcript, onSfx = null) {
         // Build context for backend
         const context = {
             mode: this.currentMode,
@@ -1846,13 +2073,19 @@ class CueAI {
             recentMusic: this.currentMusic?.dataset?.id || null
         };
         
+        // One backend session per listening session so the server can keep story memory
+        if (!this.analysisSessionId) {
+            this.analysisSessionId = (crypto.randomUUID ? crypto.randomUUID() : `s${Date.now()}${Math.random().toString(36).slice(2)}`);
+        }
+        
         // Use centralized API service (from api.js)
         // This will try backend first, then fallback to client-side OpenAI if needed
         return await analyzeTranscript({
             transcript,
             mode: this.currentMode,
-            context
-        });
+            context,
+            sessionId: this.analysisSessionId
+        }, { onSfx });
     }
 
     // Stop all audio immediately and clear tracking
@@ -2069,19 +2302,44 @@ ${modeSpecificRules[this.currentMode]}`;
     
     
     // ===== SOUND DECISION ENGINE =====
-    async processSoundDecisions(decisions) {
+    // alreadyPlayed: sfx ids started early from the streamed response (see analyzeContext)
+    async processSoundDecisions(decisions, alreadyPlayed = new Set()) {
         debugLog('Sound Decisions:', decisions);
         // Respect AI prediction toggle: do not auto-play when disabled
         if (!this.predictionEnabled) { return; }
         
-        // Stop long-running SFX from previous context (scene change)
-        // Keep only very short SFX (< 2s) or looping ambient effects
+        // Streamed effects already cleared the previous scene's SFX when they started
+        if (alreadyPlayed.size === 0) {
+            this.fadeOutStaleSfx();
+        }
+        
+        // Handle Music (backend returns { id, action, volume })
+        if (this.musicEnabled && decisions.music && decisions.music.id) {
+            await this.updateMusicById(decisions.music);
+        }
+        
+        // Handle Sound Effects (backend returns [{ id, when, volume }])
+        if (this.sfxEnabled && decisions.sfx && decisions.sfx.length > 0) {
+            for (const sfx of decisions.sfx) {
+                if (alreadyPlayed.has(sfx.id)) continue;
+                await this.playSoundEffectById(sfx);
+            }
+        }
+        
+    this.updateStatus(`${decisions.scene || 'Playing sounds...'}`);
+    }
+    
+    // Stop long-running SFX from previous context (scene change)
+    // Keep only very short SFX (< 2s) or looping ambient effects. When the catalog knows how
+    // long a sound is, one that is about to end anyway is left to finish.
+    fadeOutStaleSfx() {
         const now = Date.now();
         this.activeSounds.forEach((soundObj, id) => {
             if (soundObj.type === 'sfx') {
                 const age = now - (soundObj.startTime || now);
-                // If SFX has been playing for more than 2 seconds, fade it out
-                if (age > 2000) {
+                const remaining = soundObj.audibleMs ? soundObj.audibleMs - age : Infinity;
+                // If SFX has been playing for more than 2 seconds (and isn't nearly over), fade it out
+                if (age > 2000 && remaining > 750) {
                     try {
                         if (soundObj._howl) {
                             soundObj._howl.fade(soundObj._howl.volume(), 0, 300);
@@ -2094,20 +2352,6 @@ ${modeSpecificRules[this.currentMode]}`;
                 }
             }
         });
-        
-        // Handle Music (backend returns { id, action, volume })
-        if (this.musicEnabled && decisions.music && decisions.music.id) {
-            await this.updateMusicById(decisions.music);
-        }
-        
-        // Handle Sound Effects (backend returns [{ id, when, volume }])
-        if (this.sfxEnabled && decisions.sfx && decisions.sfx.length > 0) {
-            for (const sfx of decisions.sfx) {
-                await this.playSoundEffectById(sfx);
-            }
-        }
-        
-    this.updateStatus(`${decisions.scene || 'Playing sounds...'}`);
     }
     
     async updateMusicById(musicData) {
@@ -2139,7 +2383,7 @@ ${modeSpecificRules[this.currentMode]}`;
             }
         
         // Find sound in catalog
-        const sound = this.soundCatalog.find(s => s.id === musicData.id);
+        const sound = this.findSound(musicData.id);
         if (!sound) {
             console.warn('Music ID not found in catalog:', musicData.id);
             return;
@@ -2229,7 +2473,7 @@ ${modeSpecificRules[this.currentMode]}`;
                 const allowedTransitions = [
                     ['calm', 'peaceful'],
                     ['tense', 'epic'],
-                    ['mysterious', 'dark']
+                    ['tense', 'dark']
                 ];
             
                 const isAllowedTransition = allowedTransitions.some(([a, b]) => 
@@ -2249,35 +2493,30 @@ ${modeSpecificRules[this.currentMode]}`;
                 return true;
             }
         
+            // Same mood family but a much calmer or much more intense track
+            if (Math.abs(this.currentMusicContext.intensity - newContext.intensity) > CONFIG.MUSIC_INTENSITY_JUMP) {
+                debugLog('Intensity jump detected:', this.currentMusicContext.intensity, '->', newContext.intensity);
+                return true;
+            }
+        
             return false;
         }
     
-        // Get music context from sound ID or tags
+        // Mood, category, intensity, energy and modes stored in the catalog entry; the
+        // taxonomy only fills in fields an older catalog lacks (same rules as the backend)
         getMusicContext(soundId) {
-            const sound = this.soundCatalog.find(s => s.id === soundId);
-            if (!sound) return { mood: 'unknown', category: 'general' };
-        
+            const sound = this.findSound(soundId);
+            if (!sound) return { mood: 'unknown', category: 'general', intensity: 0.5, energy: 'medium', modes: [], tags: [] };
             const tags = sound.tags || [];
-            const id = sound.id.toLowerCase();
-        
-            // Determine mood
-            let mood = 'calm';
-            if (tags.some(t => ['horror', 'creepy', 'dark', 'eerie'].includes(t))) mood = 'dark';
-            else if (tags.some(t => ['epic', 'battle', 'war', 'intense'].includes(t))) mood = 'epic';
-            else if (tags.some(t => ['tense', 'suspense', 'mysterious'].includes(t))) mood = 'tense';
-            else if (tags.some(t => ['joyful', 'happy', 'festive', 'christmas'].includes(t))) mood = 'joyful';
-            else if (tags.some(t => ['peaceful', 'calm', 'gentle', 'ambient'].includes(t))) mood = 'peaceful';
-            else if (tags.some(t => ['mysterious', 'enigmatic'].includes(t))) mood = 'mysterious';
-        
-            // Determine category
-            let category = 'general';
-            if (tags.includes('christmas') || id.includes('christmas')) category = 'christmas';
-            else if (tags.includes('halloween') || id.includes('halloween')) category = 'halloween';
-            else if (tags.includes('medieval') || tags.includes('fantasy') || tags.includes('rpg')) category = 'fantasy';
-            else if (tags.includes('horror') || mood === 'dark') category = 'horror';
-            else if (tags.includes('tavern') || id.includes('tavern')) category = 'tavern';
-        
-            return { mood, category, tags };
+            if (this.taxonomy) return { ...this.taxonomy.classify(sound), tags };
+            return {
+                mood: sound.mood || 'calm',
+                category: sound.category || 'general',
+                intensity: typeof sound.intensity === 'number' ? sound.intensity : 0.5,
+                energy: sound.energy || 'medium',
+                modes: sound.modes || [],
+                tags
+            };
         }
     
         // Check if two music tracks belong to the same context
@@ -2296,19 +2535,26 @@ ${modeSpecificRules[this.currentMode]}`;
         buildMusicRotationQueue(primaryId) {
             const context = this.getMusicContext(primaryId);
         
-            // Find all music tracks matching this context
+            // Find all music tracks matching this context that suit the current mode
             const relatedTracks = this.soundCatalog.filter(s => {
                 if (s.type !== 'music') return false;
                 const trackContext = this.getMusicContext(s.id);
                 return trackContext.category === context.category &&
-                       trackContext.mood === context.mood;
+                       trackContext.mood === context.mood &&
+                       (s.id === primaryId || !this.currentMode || trackContext.modes.includes(this.currentMode));
             });
         
+            // Prefer tracks of similar intensity, unless that leaves nothing to rotate to
+            const similar = relatedTracks.filter(s =>
+                Math.abs(this.getMusicContext(s.id).intensity - context.intensity) <= CONFIG.MUSIC_INTENSITY_JUMP / 2
+            );
+            const tracks = similar.length > 1 ? similar : relatedTracks;
+        
             // Shuffle for variety
-            this.musicRotationQueue = this.shuffleArray([...relatedTracks]);
+            this.musicRotationQueue = this.shuffleArray([...tracks]);
             this.musicRotationIndex = 0;
         
-            debugLog(`Built music rotation queue: ${this.musicRotationQueue.length} tracks in ${context.category}/${context.mood}`);
+            debugLog(`Built music rotation queue: ${this.musicRotationQueue.length} tracks in ${context.category}/${context.mood} (intensity ~${context.intensity})`);
         }
     
         // Get next music track in rotation
@@ -2343,7 +2589,7 @@ ${modeSpecificRules[this.currentMode]}`;
         }
         
         // Find sound in catalog
-        const sound = this.soundCatalog.find(s => s.id === sfxData.id);
+        const sound = this.findSound(sfxData.id);
         if (!sound) {
             console.warn('SFX ID not found in catalog:', sfxData.id);
             return;
@@ -2368,15 +2614,17 @@ ${modeSpecificRules[this.currentMode]}`;
             soundUrl = encodeURI(`${this.backendUrl}${sound.src}`);
         }
         
-        // Apply volume with SFX level
-        const effectiveVol = Math.max(0, Math.min(1, (sfxData.volume || 0.7) * this.sfxLevel));
+        // Apply volume with SFX level, leveled by the catalog's loudness measurement when present
+        const norm = this.computeNormalizationGain(null, sound.audio);
+        const effectiveVol = Math.max(0, Math.min(1, (sfxData.volume || 0.7) * this.sfxLevel * norm));
         
         const played = await this.playAudio(soundUrl, {
             type: 'sfx',
             name: sound.id,
             volume: effectiveVol,
             loop: false,
-            id: sound.id
+            id: sound.id,
+            audio: sound.audio || null
         });
         
         if (played) {
@@ -2503,31 +2751,9 @@ ${modeSpecificRules[this.currentMode]}`;
             const base = norm(query);
             if (!base) return null;
             
-            // Build expanded token set with synonyms
+            // Build expanded token set with synonyms, related and broader tags
             const tokens = base.split(' ').filter(Boolean);
-            const expand = new Set(tokens);
-            tokens.forEach(t=>{
-                if (t.startsWith('footstep')) expand.add('footsteps');
-                if (t === 'bark' || t === 'woof') { expand.add('dog'); expand.add('bark'); }
-                if (t === 'howl') { expand.add('wolf'); expand.add('dog'); }
-                if (t === 'creak' || t === 'squeak') { expand.add('door'); expand.add('wood'); expand.add('creak'); }
-                if (t === 'door') expand.add('creak');
-                if (t === 'whoosh' || t === 'swish') expand.add('wind');
-                if (t === 'lightning') expand.add('thunder');
-                if (t === 'meow') expand.add('cat');
-                if (t === 'explosion' || t === 'boom') { expand.add('blast'); expand.add('bang'); }
-                if (t === 'scream' || t === 'yell') { expand.add('woman'); expand.add('horror'); }
-                if (t === 'monster' || t === 'zombie') { expand.add('growl'); expand.add('undead'); }
-                // New creature synonyms
-                if (t === 'ogre' || t === 'troll' || t === 'orc' || t === 'goblin' || t === 'beast') { expand.add('monster'); expand.add('creature'); }
-                // Vocalization synonyms
-                if (t === 'roar' || t === 'snarl' || t === 'growl') { expand.add('growl'); expand.add('roar'); }
-                // Weapon synonyms
-                if (t === 'blade' || t === 'steel') { expand.add('sword'); expand.add('metal'); }
-                // Movement synonyms
-                if (t === 'steps' || t === 'walking') { expand.add('footsteps'); }
-                if (t === 'gallop' || t === 'galloping' || t === 'trot' || t === 'trotting') { expand.add('horse'); expand.add('galloping'); }
-            });
+            const expand = this.taxonomy ? this.taxonomy.expand(new Set(tokens)) : new Set(tokens);
             const exTokens = Array.from(expand);
             
             const candidates = this.savedSounds.files.filter(f => f.type === (type === 'music' ? 'music' : 'sfx'));
@@ -2874,7 +3100,8 @@ ${modeSpecificRules[this.currentMode]}`;
             name: options.name, 
             originalVolume: original, 
             type: 'sfx',
-            startTime: Date.now() // Track when SFX started for age-based cleanup
+            startTime: Date.now(), // Track when SFX started for age-based cleanup
+            audibleMs: this.getAudibleMs(options.audio) // null when the catalog has no measurements
         });
         
             debugLog(`Playing SFX: ${options.name} at ${Math.round(effective * 100)}%`);
@@ -2982,7 +3209,23 @@ ${modeSpecificRules[this.currentMode]}`;
         return Math.max(0, Math.min(1, (this.currentMusicBase || 0.5) * moodMul * this.musicLevel));
     }
 
-    computeNormalizationGain(buffer) {
+    // Playing time up to the last audible sample (catalog `audio` measurements), in ms
+    getAudibleMs(audio) {
+        if (!audio || !Number.isFinite(audio.duration)) return null;
+        return Math.max(0, audio.duration - (audio.trailingSilence || 0)) * 1000;
+    }
+
+    // Gain that brings a sound to a common loudness. Prefers the catalog's measured
+    // integrated loudness (`audio.lufs`, kept below -1 dBTP); otherwise estimates RMS from
+    // a decoded buffer; 1 when neither is available.
+    computeNormalizationGain(buffer, audio = null) {
+        if (audio && Number.isFinite(audio.lufs)) {
+            const targetLufs = -20; // ~ the RMS target below
+            let gainDb = targetLufs - audio.lufs;
+            if (Number.isFinite(audio.truePeakDb)) gainDb = Math.min(gainDb, -1 - audio.truePeakDb);
+            return Math.max(0.5, Math.min(2.5, Math.pow(10, gainDb / 20)));
+        }
+        if (!buffer) return 1;
         try {
             const chData = buffer.getChannelData(0);
             let sumSq = 0;
@@ -3168,8 +3411,8 @@ ${modeSpecificRules[this.currentMode]}`;
             return;
         }
         
-        // Check if speech recognition is available
-        if (!this.recognition) {
+        // Check if speech recognition is available (server streaming does not need Web Speech)
+        if (!this.recognition && this.sttMode !== 'server') {
             this.updateStatus('⚠️ Speech recognition not initialized. Please use a supported browser.', 'error');
             return;
         }
@@ -3216,9 +3459,23 @@ ${modeSpecificRules[this.currentMode]}`;
         // Start visualizer
         this.startVisualizer();
         
-        // Start speech recognition
+        // Start speech recognition (server streaming or browser Web Speech)
         try {
-            this.recognition.start();
+            if (this.sttMode === 'server') {
+                this.activeSttMode = 'server';
+                try {
+                    await this.startServerStreaming();
+                } catch (err) {
+                    console.warn('Server speech streaming failed to start:', err.message);
+                    this.stopServerStreaming();
+                    if (!this.recognition) throw err;
+                    this.activeSttMode = 'browser';
+                    this.recognition.start();
+                }
+            } else {
+                this.activeSttMode = 'browser';
+                this.recognition.start();
+            }
             this.updateStatus('Requesting microphone... Please speak!');
             
             // Add helpful tip after 3 seconds if no speech detected
@@ -3255,6 +3512,7 @@ ${modeSpecificRules[this.currentMode]}`;
     
     stopListening() {
         this.isListening = false;
+        this.analysisSessionId = null;
         this.currentInterim = '';
         if (this.analysisTimer) {
             clearInterval(this.analysisTimer);
@@ -3269,6 +3527,8 @@ ${modeSpecificRules[this.currentMode]}`;
                     console.warn('Error stopping recognition:', error);
             }
         }
+        this.stopServerStreaming();
+        this.activeSttMode = null;
         
         // Stop all audio completely
         if (this.currentMusic) {
@@ -3621,24 +3881,56 @@ ${modeSpecificRules[this.currentMode]}`;
         if (overlay) overlay.classList.add('hidden');
     }
 
+    // Human-readable state of one backend dependency from /health/details
+    describeBackendDependency(label, dep) {
+        if (!dep) return null;
+        const checked = dep.checkedAt ? ` (checked ${new Date(dep.checkedAt).toLocaleTimeString()})` : '';
+        switch (dep.status) {
+            case 'ok':
+                return `${label} available via backend${dep.latencyMs != null ? `, ${dep.latencyMs} ms` : ''}${checked}`;
+            case 'unconfigured':
+                return `${label} is not configured on the backend${dep.details?.reason ? `: ${dep.details.reason}` : ''}`;
+            case 'pending':
+                return `${label}: backend is still checking`;
+            default:
+                return `${label} failing on backend: ${dep.error || 'unknown error'}${checked}`;
+        }
+    }
+
+    // Set indicator state plus the reason as tooltip and screen-reader label
+    setApiStatus(element, active, reason) {
+        element.className = `api-status ${active ? 'active' : 'inactive'}`;
+        element.setAttribute('aria-label', reason);
+        element.setAttribute('title', reason);
+    }
+
     updateApiStatusIndicators() {
         const openaiStatus = document.getElementById('openaiStatus');
         const freesoundStatus = document.getElementById('freesoundStatus');
         const pixabayStatus = document.getElementById('pixabayStatus');
+        const deps = this.backendAvailable ? this.backendHealthDetails?.dependencies : null;
+        const notReady = this.backendAvailable && this.backendHealthDetails?.ready === false
+            ? `Backend not ready: ${this.backendHealthDetails.reasons.join('; ')}`
+            : null;
         
         if (openaiStatus) {
             // Prefer explicit backend health flag if available
             const backendOpenAI = this.backendHealth?.openai === true;
             const assumedBackend = this.backendAvailable && this.backendHealth == null; // older servers
             if (this.apiKey && this.apiKey.length > 10) {
-                openaiStatus.className = 'api-status active';
-                openaiStatus.setAttribute('aria-label', 'OpenAI API key is configured (local)');
+                this.setApiStatus(openaiStatus, true, 'OpenAI API key is configured (local)');
+            } else if (notReady) {
+                this.setApiStatus(openaiStatus, false, notReady);
+            } else if (deps?.llm) {
+                const llm = deps.llm.details;
+                const label = llm ? `AI (${llm.provider}, ${llm.model})` : 'AI';
+                this.setApiStatus(openaiStatus, deps.llm.status === 'ok', this.describeBackendDependency(label, deps.llm));
             } else if (backendOpenAI || assumedBackend) {
-                openaiStatus.className = 'api-status active';
-                openaiStatus.setAttribute('aria-label', 'OpenAI available via backend');
+                this.setApiStatus(openaiStatus, true, 'OpenAI available via backend');
             } else {
-                openaiStatus.className = 'api-status inactive';
-                openaiStatus.setAttribute('aria-label', 'OpenAI API key is missing (no backend)');
+                this.setApiStatus(openaiStatus, false, this.backendAvailable
+                    ? 'Backend has no AI provider configured'
+                    : 'OpenAI API key is missing (no backend)');
             }
         }
         
@@ -3646,30 +3938,27 @@ ${modeSpecificRules[this.currentMode]}`;
             const backendFreesound = this.backendHealth?.freesound === true;
             const catalogAvailable = Array.isArray(this.soundCatalog) && this.soundCatalog.length > 0;
             if (this.freesoundApiKey && this.freesoundApiKey.length > 10) {
-                freesoundStatus.className = 'api-status active';
-                freesoundStatus.setAttribute('aria-label', 'Freesound API key is configured (local)');
+                this.setApiStatus(freesoundStatus, true, 'Freesound API key is configured (local)');
+            } else if (notReady) {
+                this.setApiStatus(freesoundStatus, false, notReady);
+            } else if (deps?.media) {
+                this.setApiStatus(freesoundStatus, deps.media.status === 'ok', this.describeBackendDependency('Audio CDN', deps.media));
             } else if (backendFreesound || (this.backendAvailable && catalogAvailable)) {
-                freesoundStatus.className = 'api-status active';
-                freesoundStatus.setAttribute('aria-label', 'Audio sources available via backend');
+                this.setApiStatus(freesoundStatus, true, 'Audio sources available via backend');
             } else {
-                freesoundStatus.className = 'api-status inactive';
-                freesoundStatus.setAttribute('aria-label', 'Freesound API key is missing');
+                this.setApiStatus(freesoundStatus, false, 'Freesound API key is missing');
             }
         }
         
         if (pixabayStatus) {
             if (this.pixabayApiKey && this.pixabayApiKey.length > 10) {
-                pixabayStatus.className = 'api-status active';
-                pixabayStatus.setAttribute('aria-label', 'Pixabay API key is configured (local)');
+                this.setApiStatus(pixabayStatus, true, 'Pixabay API key is configured (local)');
+            } else if (deps?.pixabay) {
+                this.setApiStatus(pixabayStatus, deps.pixabay.status === 'ok',
+                    deps.pixabay.status === 'ok' ? 'Pixabay key configured on backend (future support)' : 'Pixabay (future support)');
             } else {
                 const backendPixabay = this.backendHealth?.pixabay === true;
-                if (backendPixabay) {
-                    pixabayStatus.className = 'api-status active';
-                    pixabayStatus.setAttribute('aria-label', 'Pixabay available via backend');
-                } else {
-                    pixabayStatus.className = 'api-status inactive';
-                    pixabayStatus.setAttribute('aria-label', 'Pixabay (future support)');
-                }
+                this.setApiStatus(pixabayStatus, backendPixabay, backendPixabay ? 'Pixabay available via backend' : 'Pixabay (future support)');
             }
         }
     }
@@ -0,0 +1,216 @@
+// server/analysis/decisionCache.js
+// LRU + TTL cache of /analyze decisions, so repeated lines (a story read again, stock
+// phrases at a D&D table) don't cost another model call.
+// Entries are grouped by mode and the music context (category/mood of the track that is
+// playing). Within a group a transcript hits when its normalized text is identical, or when
+// its word set is similar enough (Jaccard >= DECISION_CACHE_SIMILARITY) and so are its last
+// TAIL_WORDS words. The client sends a sliding window of recent utterances, so consecutive
+// windows share most of their words; what is new ("...a dragon roars") sits at the end,
+// and a window whose end differs from the cached one is a miss. Entries made
+// against another catalog version never hit, since their IDs may no longer exist.
+// Requests from a session with story context don't use the cache at all (cacheKeyOf in
+// ../index.js), since their prompt depends on more than the transcript and music.
+//   DECISION_CACHE_SIZE        max entries (default 500, 0 disables the cache)
+//   DECISION_CACHE_TTL_MS      entry lifetime (default 10 minutes)
+//   DECISION_CACHE_SIMILARITY  0-1; 1 means exact matches only (default 0.85)
+
+import { musicContextOf } from "../catalog/soundContext.js";
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(value) ? value : fallback;
+};
+
+const MAX_ENTRIES = Math.max(0, numberFromEnv("DECISION_CACHE_SIZE", 500));
+const TTL_MS = numberFromEnv("DECISION_CACHE_TTL_MS", 10 * 60 * 1000);
+const SIMILARITY = Math.min(1, Math.max(0, numberFromEnv("DECISION_CACHE_SIMILARITY", 0.85)));
+const FILLER_WORDS = new Set(["um", "uh", "erm", "hmm", "uhm"]);
+const TAIL_WORDS = 6; // roughly the newest utterance
+
+export const isDecisionCacheEnabled = MAX_ENTRIES > 0;
+
+const entries = new Map(); // key -> entry; insertion order doubles as LRU order
+const counters = { hits: 0, similarHits: 0, misses: 0, stores: 0 };
+
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, "") : word);
+
+// Lowercase, punctuation and filler words removed, whitespace collapsed
+export function normalizeTranscript(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s]/g, " ")
+    .split(/\s+/)
+    .map((w) => w.replace(/^'+|'+$/g, ""))
+    .filter((w) => w && !FILLER_WORDS.has(w))
+    .join(" ");
+}
+
+const wordSetOf = (normalized) => new Set(normalized.split(" ").filter(Boolean).map(stem));
+const tailSetOf = (normalized) => wordSetOf(normalized.split(" ").slice(-TAIL_WORDS).join(" "));
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function groupOf(mode, music) {
+  if (!music) return `${mode || "auto"}|none`;
+  const { category, mood } = musicContextOf(music);
+  return `${mode || "auto"}|${category}/${mood}`;
+}
+
+/**
+ * Find a cached decision for this request.
+ * @param {Object} request
+ * @param {string} request.transcript
+ * @param {string} [request.mode]
+ * @param {Object|null} [request.music] - catalog entry of the music that is playing
+ * @param {string} request.catalogVersion
+ * @returns {{ decision: object, repaired: boolean, meta: object } | null}
+ */
+export function lookupDecision({ transcript, mode, music = null, catalogVersion }) {
+  if (!isDecisionCacheEnabled) return null;
+  const now = Date.now();
+  const group = groupOf(mode, music);
+  const normalized = normalizeTranscript(transcript);
+  if (!normalized) return null;
+
+  let match = entries.get(`${group}\n${normalized}`);
+  let similarity = 1;
+  let kind = "exact";
+  if (match && (match.expiresAt <= now || match.catalogVersion !== catalogVersion)) {
+    entries.delete(match.key);
+    match = null;
+  }
+
+  if (!match && SIMILARITY < 1) {
+    const words = wordSetOf(normalized);
+    const tail = tailSetOf(normalized);
+    let best = null;
+    for (const entry of entries.values()) {
+      if (entry.expiresAt <= now) {
+        entries.delete(entry.key);
+        continue;
+      }
+      if (entry.group !== group || entry.catalogVersion !== catalogVersion) continue;
+      // The whole window and its newest words both have to match
+      const score = Math.min(jaccard(words, entry.words), jaccard(tail, entry.tail));
+      // Later entries are more recently used, so ties go to them
+      if (score >= SIMILARITY && (!best || score >= best.score)) best = { entry, score };
+    }
+    if (best) {
+      match = best.entry;
+      similarity = Math.round(best.score * 1000) / 1000;
+      kind = "similar";
+    }
+  }
+
+  if (!match) {
+    counters.misses++;
+    return null;
+  }
+
+  counters.hits++;
+  if (kind === "similar") counters.similarHits++;
+  match.hits++;
+  match.lastHitAt = now;
+  entries.delete(match.key); // re-insert to mark as most recently used
+  entries.set(match.key, match);
+  return {
+    decision: structuredClone(match.decision),
+    repaired: match.repaired,
+    meta: {
+      hit: true,
+      match: kind,
+      similarity,
+      cachedTranscript: match.transcript,
+      ageMs: now - match.createdAt,
+      hits: match.hits,
+    },
+  };
+}
+
+/**
+ * Remember a model decision for later lookups (same request shape as lookupDecision).
+ */
+export function storeDecision({ transcript, mode, music = null, catalogVersion }, { decision, repaired }) {
+  if (!isDecisionCacheEnabled) return;
+  const normalized = normalizeTranscript(transcript);
+  if (!normalized) return;
+  const now = Date.now();
+  const group = groupOf(mode, music);
+  const key = `${group}\n${normalized}`;
+
+  entries.delete(key);
+  entries.set(key, {
+    key,
+    group,
+    transcript: normalized,
+    words: wordSetOf(normalized),
+    tail: tailSetOf(normalized),
+    catalogVersion,
+    decision: structuredClone(decision),
+    repaired,
+    createdAt: now,
+    expiresAt: now + TTL_MS,
+    lastHitAt: null,
+    hits: 0,
+  });
+  counters.stores++;
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Settings, counters and the most recently used entries (for GET /admin/decision-cache)
+export function describeDecisionCache({ limit = 50 } = {}) {
+  const now = Date.now();
+  const lookups = counters.hits + counters.misses;
+  return {
+    enabled: isDecisionCacheEnabled,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: TTL_MS,
+    similarity: SIMILARITY,
+    size: entries.size,
+    ...counters,
+    hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+    entries: [...entries.values()]
+      .reverse()
+      .slice(0, limit)
+      .map((entry) => ({
+        group: entry.group,
+        transcript: entry.transcript,
+        catalogVersion: entry.catalogVersion,
+        hits: entry.hits,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        lastHitAt: entry.lastHitAt ? new Date(entry.lastHitAt).toISOString() : null,
+        expiresInMs: Math.max(0, entry.expiresAt - now),
+        decision: entry.decision,
+      })),
+  };
+}
+
+/**
+ * Drop cached decisions; with `mode`, only that mode's entries.
+ * @returns {number} entries removed
+ */
+export function flushDecisionCache({ mode } = {}) {
+  if (!mode) {
+    const count = entries.size;
+    entries.clear();
+    return count;
+  }
+  let count = 0;
+  for (const entry of [...entries.values()]) {
+    if (entry.group.startsWith(`${mode}|`)) {
+      entries.delete(entry.key);
+      count++;
+    }
+  }
+  return count;
+}
@@ -0,0 +1,220 @@
+// server/analysis/decisionSchema.js
+// JSON Schema for the /analyze decision object and a small validator for it.
+// The validator repairs what it safely can (clamps numbers, strips unknown fields,
+// fills defaults, truncates over-long arrays) and reports everything else as
+// errors so /analyze can send one corrective re-prompt to the model.
+
+export const MAX_SFX = 2;
+
+export const DECISION_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: "https://cueai.app/schemas/decision.json",
+  title: "CueAI decision",
+  type: "object",
+  additionalProperties: false,
+  required: ["scene", "music", "sfx"],
+  properties: {
+    scene: { type: "string", maxLength: 200, default: "" },
+    music: {
+      type: ["object", "null"],
+      default: null,
+      additionalProperties: false,
+      required: ["id", "action", "volume"],
+      properties: {
+        id: { type: "string", format: "catalog-id" },
+        action: { type: "string", enum: ["play_or_continue", "change"], default: "play_or_continue" },
+        volume: { type: "number", minimum: 0, maximum: 1, default: 0.5 },
+      },
+    },
+    sfx: {
+      type: "array",
+      default: [],
+      maxItems: MAX_SFX,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["id", "when", "volume"],
+        properties: {
+          id: { type: "string", format: "catalog-id" },
+          when: { type: "string", enum: ["immediate", "after_music_start"], default: "immediate" },
+          volume: { type: "number", minimum: 0, maximum: 1, default: 0.7 },
+        },
+      },
+    },
+  },
+};
+
+const INVALID = Symbol("invalid");
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+const show = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+};
+
+// Walk `value` against `schema`; returns the repaired value or INVALID
+function check(value, schema, at, ctx) {
+  const types = [].concat(schema.type);
+  let type = typeOf(value);
+
+  // Numeric strings ("0.8") are a common slip; coerce them
+  if (type === "string" && types.includes("number") && value.trim() !== "" && Number.isFinite(Number(value))) {
+    ctx.repairs.push(`${at}: converted ${show(value)} to a number`);
+    value = Number(value);
+    type = "number";
+  }
+  if (type === "number" && !Number.isFinite(value)) type = "invalid";
+
+  if (!types.includes(type)) {
+    ctx.errors.push(`${at}: expected ${types.join(" or ")}, got ${show(value)}`);
+    return INVALID;
+  }
+
+  switch (type) {
+    case "number": {
+      const clamped = Math.min(schema.maximum ?? Infinity, Math.max(schema.minimum ?? -Infinity, value));
+      if (clamped !== value) {
+        ctx.repairs.push(`${at}: clamped ${value} to ${clamped}`);
+      }
+      return clamped;
+    }
+    case "string": {
+      let text = value.trim();
+      if (schema.enum && !schema.enum.includes(text)) {
+        const match = schema.enum.find((option) => option === text.toLowerCase());
+        if (match) {
+          text = match;
+        } else if ("default" in schema) {
+          ctx.repairs.push(`${at}: replaced ${show(value)} with ${show(schema.default)}`);
+          text = schema.default;
+        } else {
+          ctx.errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+          return INVALID;
+        }
+      }
+      if (schema.format === "catalog-id" && !ctx.isKnownId(text)) {
+        ctx.errors.push(`${at}: ${show(text)} is not an id from the sound catalog`);
+        return INVALID;
+      }
+      if (schema.maxLength && text.length > schema.maxLength) {
+        ctx.repairs.push(`${at}: truncated to ${schema.maxLength} characters`);
+        text = text.slice(0, schema.maxLength);
+      }
+      return text;
+    }
+    case "array": {
+      // Validate first so an invalid item doesn't use up one of the allowed slots
+      const items = value.map((item, i) => check(item, schema.items, `${at}[${i}]`, ctx)).filter((item) => item !== INVALID);
+      if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+        ctx.repairs.push(`${at}: kept the first ${schema.maxItems} of ${items.length} items`);
+        return items.slice(0, schema.maxItems);
+      }
+      return items;
+    }
+    case "object": {
+      const out = {};
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key] && schema.additionalProperties === false) {
+          ctx.repairs.push(`${at}: removed unknown field "${key}"`);
+        }
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties)) {
+        const path = `${at}.${key}`;
+        if (value[key] === undefined) {
+          if ("default" in propSchema) {
+            out[key] = propSchema.default;
+            if (schema.required?.includes(key)) ctx.repairs.push(`${path}: missing, used ${show(propSchema.default)}`);
+          } else if (schema.required?.includes(key)) {
+            ctx.errors.push(`${path}: is required`);
+            return INVALID;
+          }
+          continue;
+        }
+        const checked = check(value[key], propSchema, path, ctx);
+        if (checked !== INVALID) {
+          out[key] = checked;
+        } else if ("default" in propSchema) {
+          out[key] = propSchema.default;
+        } else if (schema.required?.includes(key)) {
+          return INVALID;
+        }
+      }
+      return out;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse raw model output as JSON. Tolerates markdown fences and text around a single object.
+ * @returns {{ value: any, extracted: boolean, errors: string[] }}
+ */
+export function parseModelJSON(text) {
+  const raw = String(text ?? "").trim();
+  try {
+    return { value: JSON.parse(raw), extracted: false, errors: [] };
+  } catch (err) {
+    const match = raw.match(/\{[\s\S]*\}/);
+    if (match) {
+      try {
+        return { value: JSON.parse(match[0]), extracted: true, errors: [] };
+      } catch (_) {}
+    }
+    return { value: undefined, extracted: false, errors: [`response is not valid JSON (${err.message})`] };
+  }
+}
+
+/**
+ * Validate a parsed model response against DECISION_SCHEMA.
+ * Always returns a usable decision; `errors` lists what could not be repaired locally
+ * (those parts are dropped), `repairs` lists what was fixed in place.
+ * @param {any} value - parsed model output
+ * @param {{ isKnownId?: (id: string) => boolean }} [options]
+ * @returns {{ decision: { scene: string, music: object|null, sfx: object[] }, errors: string[], repairs: string[] }}
+ */
+export function validateDecision(value, { isKnownId = () => true } = {}) {
+  const ctx = { errors: [], repairs: [], isKnownId };
+  const checked = check(value, DECISION_SCHEMA, "$", ctx);
+  const decision = checked === INVALID ? { scene: "", music: null, sfx: [] } : checked;
+  return { decision, errors: ctx.errors, repairs: ctx.repairs };
+}
+
+/**
+ * Validate a single sfx item on its own (used while the decision is still streaming).
+ * @returns {object|null} the repaired item, or null if it cannot be used
+ */
+export function validateSfxItem(value, { isKnownId = () => true } = {}) {
+  const ctx = { errors: [], repairs: [], isKnownId };
+  const checked = check(value, DECISION_SCHEMA.properties.sfx.items, "$.sfx[]", ctx);
+  return checked === INVALID ? null : checked;
+}
+
+/**
+ * Parse and validate raw model output in one step.
+ * @returns {{ decision: object, errors: string[], repairs: string[] }}
+ */
+export function validateModelOutput(text, options) {
+  const parsed = parseModelJSON(text);
+  if (parsed.errors.length > 0) {
+    return { decision: { scene: "", music: null, sfx: [] }, errors: parsed.errors, repairs: [] };
+  }
+  const result = validateDecision(parsed.value, options);
+  if (parsed.extracted) result.repairs.unshift("$: extracted JSON from surrounding text");
+  return result;
+}
+
+// Follow-up message for the single corrective re-prompt
+export function buildCorrectionPrompt(errors) {
+  return `Your previous response did not match the required decision schema:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Return the corrected decision as STRICT JSON only, matching this JSON Schema
+("catalog-id" means an id copied exactly from the catalog list you were given):
+${JSON.stringify(DECISION_SCHEMA)}`;
+}
@@ -0,0 +1,78 @@
+// server/analysis/decisionStream.js
+// Picks sfx items out of a decision while the model is still writing it. The prompt asks
+// for "sfx" first, so each item object can be handed to the client as soon as its closing
+// brace arrives; music and scene are only known once the whole response is in.
+// Only tracks strings and nesting, so it tolerates markdown fences or text around the JSON.
+
+import { MAX_SFX, validateSfxItem } from "./decisionSchema.js";
+
+const SFX_KEY = /"sfx"\s*:\s*$/;
+
+/**
+ * Incremental parser for streamed decision text.
+ * @param {Object} options
+ * @param {(item: {id: string, when: string, volume: number}) => void} options.onSfx - called once per valid, unique item
+ * @param {(id: string) => boolean} [options.isKnownId]
+ * @returns {{ push: (chunk: string) => void, emitted: () => object[] }}
+ */
+export function createDecisionStreamParser({ onSfx, isKnownId }) {
+  let text = "";
+  let pos = 0;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let sfxDepth = null; // nesting depth inside the sfx array
+  let sfxDone = false;
+  let itemStart = null;
+  const items = [];
+
+  function emitItem(raw) {
+    if (items.length >= MAX_SFX) return;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (_) {
+      return;
+    }
+    const item = validateSfxItem(value, { isKnownId });
+    if (!item || items.some((i) => i.id === item.id)) return;
+    items.push(item);
+    onSfx(item);
+  }
+
+  function push(chunk) {
+    text += chunk;
+    for (; pos < text.length; pos++) {
+      const ch = text[pos];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === "[") {
+        depth++;
+        if (!sfxDone && sfxDepth === null && SFX_KEY.test(text.slice(Math.max(0, pos - 16), pos))) sfxDepth = depth;
+      } else if (ch === "{") {
+        depth++;
+        if (sfxDepth !== null && depth === sfxDepth + 1) itemStart = pos;
+      } else if (ch === "}") {
+        if (sfxDepth !== null && depth === sfxDepth + 1 && itemStart !== null) {
+          emitItem(text.slice(itemStart, pos + 1));
+          itemStart = null;
+        }
+        depth--;
+      } else if (ch === "]") {
+        if (depth === sfxDepth) {
+          sfxDepth = null;
+          sfxDone = true;
+        }
+        depth--;
+      }
+    }
+  }
+
+  return { push, emitted: () => items.slice() };
+}
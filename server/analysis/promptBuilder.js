@@ -0,0 +1,210 @@
+// server/analysis/promptBuilder.js
+// Builds the /analyze prompt within a token budget. Instead of appending the whole
+// catalog, the catalog part is filled in priority order until the budget runs out:
+//   1. SFX shortlist (Chroma hits + lexical matches) with tags
+//   2. Music candidates filtered by mode and the music that is already playing
+//   3. A compact list of further IDs
+// Token counts are estimated (~4 characters per token) so no tokenizer is needed.
+// The response format lists "sfx" first so /analyze/stream can forward effects early.
+
+import { describeSession } from "./sessionMemory.js";
+import { musicContextOf, MODES } from "../catalog/soundContext.js";
+
+export const DEFAULT_PROMPT_TOKEN_BUDGET = Number(process.env.PROMPT_TOKEN_BUDGET) || 1500;
+const MAX_SFX_CANDIDATES = 12;
+const MAX_MUSIC_CANDIDATES = 8;
+const MAX_TAGS_PER_SOUND = 8;
+const GENERIC_TAGS = new Set(["music", "looping", "background", "sfx", "sound", "effect", "the", "one", "man", "for", "into"]);
+const STOP_WORDS = new Set(["the", "and", "for", "into", "over", "with", "from", "one", "man", "this", "that", "then", "there"]);
+
+const CLOSE_INTENSITY = 0.2; // tracks this close to the current one's intensity rank higher
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+const wordsOf = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w))
+    .map((w) => w.replace(/(ing|ed|es|s)$/, ""));
+
+// Word overlap between the transcript and a sound's id/tags
+function lexicalScore(sound, spoken) {
+  const terms = new Set([...wordsOf(sound.id.replace(/_/g, " ")), ...(sound.tags || []).flatMap(wordsOf)]);
+  let score = 0;
+  for (const term of terms) {
+    if (spoken.has(term)) score++;
+  }
+  return score;
+}
+
+function describeSound(sound) {
+  const tags = (sound.tags || []).filter((t) => !GENERIC_TAGS.has(t)).slice(0, MAX_TAGS_PER_SOUND);
+  return `${sound.id}${tags.length ? ` (tags: ${tags.join(",")})` : ""}`;
+}
+
+function rankSfx(catalog, matchedSounds, spoken) {
+  const seen = new Set();
+  const ranked = [];
+  for (const sound of matchedSounds) {
+    if (sound.type !== "music" && !seen.has(sound.id)) {
+      seen.add(sound.id);
+      ranked.push(sound);
+    }
+  }
+  const lexical = catalog
+    .filter((s) => s.type !== "music" && !seen.has(s.id))
+    .map((sound) => ({ sound, score: lexicalScore(sound, spoken) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.sound.id.localeCompare(b.sound.id));
+  return ranked.concat(lexical.map((r) => r.sound)).slice(0, MAX_SFX_CANDIDATES);
+}
+
+function rankMusic(catalog, matchedSounds, spoken, mode, currentMusicId) {
+  const tracks = catalog.filter((s) => s.type === "music");
+  const current = tracks.find((s) => s.id === currentMusicId);
+  const currentContext = current ? musicContextOf(current) : null;
+  const chromaIds = new Set(matchedSounds.filter((s) => s.type === "music").map((s) => s.id));
+
+  return tracks
+    .map((sound) => {
+      const ctx = musicContextOf(sound);
+      // Each track lists the modes it suits (catalog `modes`); unknown modes see every track
+      const fitsMode = !MODES.includes(mode) || ctx.modes.includes(mode);
+      const sameContext = !!currentContext && ctx.category === currentContext.category && ctx.mood === currentContext.mood;
+      let score = lexicalScore(sound, spoken) + (chromaIds.has(sound.id) ? 3 : 0);
+      if (sound.id === currentMusicId) score += 100;
+      else if (sameContext) score += 5;
+      if (currentContext && sound.id !== currentMusicId && Math.abs(ctx.intensity - currentContext.intensity) <= CLOSE_INTENSITY) score += 1;
+      return { sound, score, keep: fitsMode || sameContext || sound.id === currentMusicId || chromaIds.has(sound.id) };
+    })
+    .filter((r) => r.keep)
+    .sort((a, b) => b.score - a.score || a.sound.id.localeCompare(b.sound.id))
+    .slice(0, MAX_MUSIC_CANDIDATES)
+    .map((r) => r.sound);
+}
+
+function renderPrompt({ transcript, mode, context, sessionStr, hasSession, sfxLines, musicLines, idList }) {
+  return `You are CueAI, an intelligent audio companion. Your job is to analyze spoken transcript and decide what music and sound effects to play.
+
+Mode: ${mode || "auto"}
+Recent sounds played: ${context?.recentSounds?.join(", ") || "none"}
+Current music: ${context?.recentMusic || "none"}
+${sessionStr}
+Transcript:
+"${transcript}"
+
+Sound effect candidates:
+${sfxLines.length ? sfxLines.join("\n") : "none"}
+
+Music candidates:
+${musicLines.length ? musicLines.join("\n") : "none"}
+${idList.length ? `\nOther catalog IDs (only if nothing above fits):\n${idList.join(", ")}\n` : ""}
+Rules:
+- Return STRICT JSON only, no markdown
+- Use "id" values exactly as shown above
+- Music: choose one looping track or null
+- SFX: max 2 effects per response
+- SFX "when": "immediate" or "after_music_start"
+- Volume: 0.0 to 1.0
+${hasSession ? "- Use the session memory to stay consistent with where the story is; keep the current music unless the scene clearly changes\n" : ""}
+Response format (STRICT JSON, keys in this order):
+{
+  "sfx": [
+    {
+      "id": "ep_door_creak_01",
+      "when": "immediate",
+      "volume": 0.9
+    }
+  ],
+  "music": {
+    "id": "ep_fantasy_tension_loop",
+    "action": "play_or_continue",
+    "volume": 0.85
+  },
+  "scene": "short description of what's happening"
+}
+
+Return only valid JSON, no extra text.`;
+}
+
+/**
+ * Build the analysis prompt within a token budget.
+ * @param {Object} options
+ * @param {string} options.transcript
+ * @param {string} [options.mode]
+ * @param {Object} [options.context] - client context (recentSounds, recentMusic, ...)
+ * @param {Array} [options.matchedSounds] - search hits (Chroma or lexical), best first
+ * @param {Array} options.catalog - full sound catalog
+ * @param {Object|null} [options.session] - session memory from ./sessionMemory.js
+ * @param {number} [options.budget] - max estimated prompt tokens
+ * @returns {{ prompt: string, candidates: Array, stats: Object }}
+ */
+export function buildAnalysisPrompt({
+  transcript,
+  mode,
+  context,
+  matchedSounds = [],
+  catalog,
+  session = null,
+  budget = DEFAULT_PROMPT_TOKEN_BUDGET,
+}) {
+  const spoken = new Set(wordsOf(transcript));
+  const transcriptWords = String(transcript).split(/\s+/).filter(Boolean).length;
+  const sessionStr = session
+    ? `\nSession memory (what happened before this transcript):\n${describeSession(session, transcriptWords)}\n`
+    : "";
+  const parts = { transcript, mode, context, sessionStr, hasSession: !!session, sfxLines: [], musicLines: [], idList: [] };
+
+  const baseTokens = estimateTokens(renderPrompt(parts));
+  let remaining = budget - baseTokens;
+  const take = (list, line) => {
+    const cost = estimateTokens(line) + 1;
+    if (cost > remaining) return false;
+    list.push(line);
+    remaining -= cost;
+    return true;
+  };
+
+  // Sections are filled in priority order; each stops at the first item that doesn't fit
+  const sfx = rankSfx(catalog, matchedSounds, spoken);
+  const music = rankMusic(catalog, matchedSounds, spoken, mode, context?.recentMusic);
+  const included = [];
+  for (const sound of sfx) {
+    if (!take(parts.sfxLines, describeSound(sound))) break;
+    included.push(sound);
+  }
+  for (const sound of music) {
+    const ctx = musicContextOf(sound);
+    const line = `${describeSound(sound)} [${ctx.category}/${ctx.mood}, intensity ${ctx.intensity}, ${ctx.energy} energy]`;
+    if (!take(parts.musicLines, line)) break;
+    included.push(sound);
+  }
+  const listed = new Set(included.map((s) => s.id));
+  const rest = catalog
+    .filter((s) => !listed.has(s.id))
+    .map((sound, i) => ({ sound, i, score: lexicalScore(sound, spoken) }))
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+  for (const { sound } of rest) {
+    if (!take(parts.idList, sound.id)) break;
+  }
+
+  const prompt = renderPrompt(parts);
+  const promptTokens = estimateTokens(prompt);
+  return {
+    prompt,
+    candidates: included,
+    stats: {
+      budget,
+      promptTokens,
+      baseTokens,
+      sessionTokens: estimateTokens(sessionStr),
+      sfxCandidates: parts.sfxLines.length,
+      musicCandidates: parts.musicLines.length,
+      extraIds: parts.idList.length,
+      omittedIds: catalog.length - listed.size - parts.idList.length,
+    },
+  };
+}
@@ -0,0 +1,183 @@
+// server/analysis/sessionMemory.js
+// Per-session memory for /analyze: rolling transcript, "story so far" summary,
+// cue history, current scene and the music that is playing.
+// In-memory only; idle sessions expire after SESSION_TTL_MS.
+
+import { logger } from "../observability/logger.js";
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 2 * 60 * 60 * 1000; // 2 hours idle
+const MAX_SESSIONS = Number(process.env.SESSION_MAX) || 1000;
+const TRANSCRIPT_MAX_WORDS = 400; // summarize once the rolling transcript grows past this
+const TRANSCRIPT_KEEP_WORDS = 150; // newest words kept verbatim after summarizing
+const MAX_CUES = 50;
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const sessions = new Map(); // insertion order doubles as LRU order
+
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+export function getSession(id) {
+  const now = Date.now();
+  let session = sessions.get(id);
+  if (session) {
+    sessions.delete(id); // re-insert to mark as most recently used
+  } else {
+    session = {
+      id,
+      createdAt: now,
+      updatedAt: now,
+      words: [], // rolling transcript, one entry per spoken word
+      summary: "", // condensed "story so far" for transcript older than `words`
+      summarizing: false,
+      cues: [], // [{ id, type, at }]
+      scene: null,
+      music: null, // { id, since }
+      turns: 0,
+    };
+  }
+  session.updatedAt = now;
+  sessions.set(id, session);
+
+  if (sessions.size > MAX_SESSIONS) {
+    const oldestId = sessions.keys().next().value;
+    sessions.delete(oldestId);
+  }
+  return session;
+}
+
+const normalizeWord = (w) => w.toLowerCase().replace(/[^a-z0-9']/g, "");
+
+// The client sends a sliding window of recent speech, so consecutive requests overlap.
+// Append only the words that extend past what we already have.
+export function appendTranscript(session, text) {
+  const incoming = String(text || "").split(/\s+/).filter(Boolean);
+  if (incoming.length === 0) return 0;
+
+  const stored = session.words;
+  const storedNorm = stored.slice(-incoming.length * 2).map(normalizeWord);
+  const incomingNorm = incoming.map(normalizeWord);
+
+  // Longest suffix of the stored transcript that is a prefix of the incoming window
+  let overlap = 0;
+  for (let len = Math.min(storedNorm.length, incomingNorm.length); len > 0; len--) {
+    let match = true;
+    for (let i = 0; i < len; i++) {
+      if (storedNorm[storedNorm.length - len + i] !== incomingNorm[i]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) {
+      overlap = len;
+      break;
+    }
+  }
+
+  // Whole window already seen (e.g. a retry of the same request)
+  if (overlap === 0 && storedNorm.join(" ").includes(incomingNorm.join(" "))) {
+    return 0;
+  }
+
+  const added = incoming.slice(overlap);
+  stored.push(...added);
+  return added.length;
+}
+
+export function needsSummary(session) {
+  return !session.summarizing && session.words.length > TRANSCRIPT_MAX_WORDS;
+}
+
+// Fold the oldest part of the rolling transcript into the summary.
+// `summarize(previousSummary, olderText)` resolves to the new summary text.
+export async function compactSession(session, summarize) {
+  if (!needsSummary(session)) return;
+  session.summarizing = true;
+  const cut = session.words.length - TRANSCRIPT_KEEP_WORDS;
+  const older = session.words.slice(0, cut).join(" ");
+  try {
+    const summary = await summarize(session.summary, older);
+    session.summary = String(summary || "").trim() || fallbackSummary(session.summary, older);
+  } catch (err) {
+    logger.warn("Session summary failed, using extractive fallback", { sessionId: session.id, err: err.message });
+    session.summary = fallbackSummary(session.summary, older);
+  } finally {
+    // Words that arrived while summarizing stay; only the summarized prefix is dropped
+    session.words.splice(0, cut);
+    session.summarizing = false;
+  }
+}
+
+// No model available: keep the tail of the combined text
+function fallbackSummary(previous, older) {
+  const combined = [previous, older].filter(Boolean).join(" ");
+  return combined.length > 600 ? `…${combined.slice(-600)}` : combined;
+}
+
+// Record what the model decided so later prompts know what already played
+export function recordDecision(session, decision, clientMusicId = null) {
+  const now = Date.now();
+  session.turns++;
+  if (decision.scene) {
+    session.scene = decision.scene;
+  }
+
+  if (decision.music?.id) {
+    if (session.music?.id !== decision.music.id) {
+      session.music = { id: decision.music.id, since: now };
+    }
+    session.cues.push({ id: decision.music.id, type: "music", at: now });
+  } else if (clientMusicId && session.music?.id !== clientMusicId) {
+    // The client is the source of truth for what is actually playing
+    session.music = { id: clientMusicId, since: now };
+  }
+
+  for (const sfx of decision.sfx || []) {
+    session.cues.push({ id: sfx.id, type: "sfx", at: now });
+  }
+  if (session.cues.length > MAX_CUES) {
+    session.cues.splice(0, session.cues.length - MAX_CUES);
+  }
+}
+
+// Plain-text block for the analysis prompt.
+// `currentWords` is the size of the transcript window already quoted in the prompt.
+export function describeSession(session, currentWords = 0) {
+  const now = Date.now();
+  const ago = (t) => {
+    const s = Math.round((now - t) / 1000);
+    return s < 60 ? `${s}s ago` : `${Math.round(s / 60)}m ago`;
+  };
+
+  const lines = [];
+  if (session.summary) {
+    lines.push(`Story so far: ${session.summary}`);
+  }
+  const earlier = session.words.slice(0, Math.max(0, session.words.length - currentWords)).slice(-TRANSCRIPT_KEEP_WORDS);
+  if (earlier.length > 0) {
+    lines.push(`Earlier conversation: "${earlier.join(" ")}"`);
+  }
+  lines.push(`Current scene: ${session.scene || "unknown"}`);
+  lines.push(
+    session.music
+      ? `Music playing: ${session.music.id} (since ${ago(session.music.since)})`
+      : "Music playing: none"
+  );
+  const recentCues = session.cues.slice(-10).reverse();
+  lines.push(
+    `Cue history: ${recentCues.length ? recentCues.map((c) => `${c.id} [${c.type}, ${ago(c.at)}]`).join(", ") : "none"}`
+  );
+  return lines.join("\n");
+}
+
+// Drop idle sessions
+const cleanup = setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const [id, session] of sessions) {
+    if (session.updatedAt < cutoff) {
+      sessions.delete(id);
+    }
+  }
+}, 300000);
+cleanup.unref();
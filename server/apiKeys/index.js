@@ -0,0 +1,290 @@
+// server/apiKeys/index.js
+// Issued client API keys with per-key plans, rate limits, monthly token allowances and usage.
+//   API_KEY_MODE    optional (default): requests without a key are served, rate limited by
+//                   IP and metered per IP on the API_KEYLESS_PLAN plan (so leaving the key off
+//                   doesn't skip the 402); required: /analyze, /sounds and /ws/transcribe
+//                   answer 401 without a valid key
+//   API_KEYLESS_PLAN plan for keyless traffic in optional mode (default "keyless")
+//   API_PLANS       JSON overrides/additions to DEFAULT_PLANS, e.g.
+//                   {"pro":{"monthlyTokens":10000000},"internal":{"monthlyTokens":null}}
+//                   (null = unlimited; rateLimits uses the RATE_LIMITS shape, see ../rateLimit)
+//   API_KEYS_FILE   key and usage store (default server/data/api-keys.json)
+//
+// Keys look like cue_<32 base64url chars> and are created with POST /admin/api-keys, which
+// is the only time the key itself is shown; the store keeps its SHA-256 hash and a prefix
+// for display. Clients send it as X-API-Key (or ?api_key= where headers aren't possible,
+// e.g. the WebSocket). Usage is counted per key and UTC calendar month: served requests per
+// route, LLM tokens (including session summaries) and streamed STT audio seconds. Once a
+// key's monthly tokens are spent, analyses get 402 until the 1st of the next month.
+import { createHash, randomBytes, randomUUID } from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApiKeyStore } from "./store.js";
+import { logger } from "../observability/logger.js";
+import { clientIp } from "../rateLimit/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEY_PREFIX = "cue_";
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 6;
+
+const DEFAULT_PLANS = {
+  keyless: { monthlyTokens: 50000 }, // per client IP, requests without a key (optional mode)
+  free: { monthlyTokens: 200000 }, // server-wide rate limits
+  pro: {
+    monthlyTokens: 5000000,
+    rateLimits: {
+      analyze: { capacity: 30, perMinute: 60 },
+      sounds: { capacity: 120, perMinute: 240 },
+      ws: { capacity: 10, perMinute: 20 },
+    },
+  },
+};
+export const DEFAULT_PLAN = "free";
+
+export const API_KEY_MODE = process.env.API_KEY_MODE === "required" ? "required" : "optional";
+const KEYLESS_PLAN = process.env.API_KEYLESS_PLAN || "keyless";
+
+function loadPlans() {
+  const plans = { ...DEFAULT_PLANS };
+  if (process.env.API_PLANS) {
+    try {
+      Object.assign(plans, JSON.parse(process.env.API_PLANS));
+    } catch (err) {
+      logger.warn("Ignoring invalid API_PLANS JSON", { err: err.message });
+    }
+  }
+  return plans;
+}
+
+const plans = loadPlans();
+const store = createApiKeyStore(process.env.API_KEYS_FILE || path.join(__dirname, "..", "data", "api-keys.json"));
+
+const hashKey = (key) => createHash("sha256").update(String(key)).digest("hex");
+
+// "2026-10" for any time in October 2026 (UTC)
+export const monthOf = (date = new Date()) => date.toISOString().slice(0, 7);
+
+function nextMonthStart(month) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthIndex, 1)).toISOString(); // monthIndex is already "next" (0-based)
+}
+
+const emptyUsage = () => ({
+  requests: {},
+  tokens: { prompt: 0, completion: 0, total: 0 },
+  sttSeconds: 0,
+});
+
+export const isKnownPlan = (plan) => Object.hasOwn(plans, plan);
+
+export function describePlans() {
+  return { mode: API_KEY_MODE, defaultPlan: DEFAULT_PLAN, keylessPlan: KEYLESS_PLAN, plans };
+}
+
+// Usage account for a keyless client: one per IP, metered like a key on KEYLESS_PLAN
+function keylessAccountOf(req) {
+  const id = `keyless:${hashKey(clientIp(req)).slice(0, 16)}`;
+  return { id, name: "keyless", plan: KEYLESS_PLAN, keyless: true };
+}
+
+// Per-key settings win over the plan's; `undefined` on the key means "use the plan"
+function limitsFor(record) {
+  const plan = plans[record.plan] || plans[DEFAULT_PLAN] || {};
+  return {
+    monthlyTokens: record.monthlyTokens !== undefined ? record.monthlyTokens : plan.monthlyTokens ?? null,
+    rateLimits: { ...(plan.rateLimits || {}), ...(record.rateLimits || {}) },
+  };
+}
+
+function quotaFor(record, month = monthOf()) {
+  const { monthlyTokens } = limitsFor(record);
+  const used = store.getUsage(record.id, month)?.tokens.total || 0;
+  return {
+    limit: monthlyTokens,
+    used,
+    remaining: monthlyTokens === null ? null : Math.max(0, monthlyTokens - used),
+    resetsAt: nextMonthStart(month),
+  };
+}
+
+// Store record minus the hash
+function publicRecord(record) {
+  const { hash: _hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Issue a new key. The returned `key` is not stored and can't be recovered later.
+ * @param {{ name: string, plan?: string, monthlyTokens?: number|null, rateLimits?: object, createdBy?: string|null }} options
+ * @returns {{ key: string, apiKey: object }}
+ */
+export function createApiKey({ name, plan = DEFAULT_PLAN, monthlyTokens, rateLimits, createdBy = null }) {
+  if (!isKnownPlan(plan)) throw new Error(`Unknown plan: ${plan} (expected ${Object.keys(plans).join(", ")})`);
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: randomUUID(),
+    name,
+    plan,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    revokedAt: null,
+    ...(monthlyTokens !== undefined ? { monthlyTokens } : {}),
+    ...(rateLimits ? { rateLimits } : {}),
+  };
+  store.saveKey(record);
+  return { key, apiKey: publicRecord(record) };
+}
+
+/**
+ * Revoke a key; requests using it get 401 from then on. Usage history is kept.
+ * @returns {{ apiKey: object, alreadyRevoked: boolean } | null} null for an unknown id
+ */
+export function revokeApiKey(id) {
+  const record = store.getKey(id);
+  if (!record) return null;
+  if (record.revokedAt) return { apiKey: publicRecord(record), alreadyRevoked: true };
+  const revoked = { ...record, revokedAt: new Date().toISOString() };
+  store.saveKey(revoked);
+  return { apiKey: publicRecord(revoked), alreadyRevoked: false };
+}
+
+/**
+ * Every key (newest first) with its limits, usage and token quota for `month`.
+ * @param {{ month?: string, includeRevoked?: boolean }} [options]
+ */
+export function listApiKeys({ month = monthOf(), includeRevoked = true } = {}) {
+  return store
+    .listKeys()
+    .filter((record) => includeRevoked || !record.revokedAt)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((record) => ({
+      ...publicRecord(record),
+      limits: limitsFor(record),
+      usage: store.getUsage(record.id, month) || emptyUsage(),
+      quota: quotaFor(record, month),
+    }));
+}
+
+/**
+ * Look up a presented key.
+ * @returns {{ apiKey: { id, name, plan, rateLimits } } | { error: { status, code, message } } | {}}
+ *   empty when no key was presented and keys are optional
+ */
+export function authenticateApiKey(presented) {
+  if (!presented) {
+    if (API_KEY_MODE !== "required") return {};
+    return {
+      error: { status: 401, code: "api_key_required", message: "API key required (X-API-Key header or api_key query parameter)" },
+    };
+  }
+  const record = store.findKeyByHash(hashKey(presented));
+  if (!record) return { error: { status: 401, code: "invalid_api_key", message: "Invalid API key" } };
+  if (record.revokedAt) return { error: { status: 401, code: "api_key_revoked", message: "API key has been revoked" } };
+  const { id, name, plan } = record;
+  return { apiKey: { id, name, plan, rateLimits: limitsFor(record).rateLimits } };
+}
+
+const presentedKey = (req, query = req.query || {}) => req.headers?.["x-api-key"] || query.api_key || null;
+
+function recordUsage(apiKey, update) {
+  if (!apiKey) return;
+  store.updateUsage(apiKey.id, monthOf(), emptyUsage, update);
+}
+
+export function recordRequest(apiKey, route) {
+  recordUsage(apiKey, (usage) => {
+    usage.requests[route] = (usage.requests[route] || 0) + 1;
+  });
+}
+
+// `usage` is an LLM result's { prompt_tokens, completion_tokens, total_tokens }
+export function recordTokenUsage(apiKey, usage) {
+  if (!usage) return;
+  const prompt = usage.prompt_tokens || 0;
+  const completion = usage.completion_tokens || 0;
+  recordUsage(apiKey, ({ tokens }) => {
+    tokens.prompt += prompt;
+    tokens.completion += completion;
+    tokens.total += usage.total_tokens || prompt + completion;
+  });
+}
+
+export function recordSttSeconds(apiKey, seconds) {
+  if (!seconds) return;
+  recordUsage(apiKey, (usage) => {
+    usage.sttSeconds = Math.round((usage.sttSeconds + seconds) * 100) / 100;
+  });
+}
+
+/**
+ * Express middleware: authenticate the request's API key (see API_KEY_MODE) and set
+ * req.apiKey. Mount before rateLimit() so keyed clients get their plan's budgets.
+ * req.usageAccount is what usage is recorded against: the key, or the keyless account of
+ * the client's IP. Requests answered below 400 count towards its usage for `route`.
+ * @param {"analyze"|"sounds"} route
+ */
+export function requireApiKey(route) {
+  return (req, res, next) => {
+    const { apiKey, error } = authenticateApiKey(presentedKey(req));
+    if (error) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    if (apiKey) req.apiKey = apiKey;
+    const account = apiKey || keylessAccountOf(req);
+    req.usageAccount = account;
+    res.on("finish", () => {
+      if (res.statusCode < 400) recordRequest(account, route);
+    });
+    next();
+  };
+}
+
+// Express middleware: 402 once the monthly token allowance of the key, or of a keyless
+// client's IP, is used up. Mount after requireApiKey().
+export function enforceTokenQuota(req, res, next) {
+  const account = req.usageAccount;
+  const record = account?.keyless ? account : account && store.getKey(account.id);
+  if (!record) return next();
+  const quota = quotaFor(record);
+  if (quota.limit !== null && quota.remaining <= 0) {
+    req.log?.info("Over the monthly token allowance", { account: record.id, plan: record.plan, ...quota });
+    return res.status(402).json({
+      error: `Monthly token allowance used up (${quota.used}/${quota.limit} tokens on the ${record.plan} plan${record.keyless ? ", requests without an API key" : ""}); resets ${quota.resetsAt}`,
+      code: "quota_exceeded",
+      quota,
+    });
+  }
+  next();
+}
+
+/**
+ * Authenticate a WebSocket upgrade (key from X-API-Key or ?api_key=) and set request.apiKey
+ * and request.usageAccount (see requireApiKey).
+ * On rejection the socket gets a plain HTTP 401 and is closed.
+ * @returns {boolean} true if the upgrade may proceed
+ */
+export function authenticateUpgrade(request, socket) {
+  const { searchParams } = new URL(request.url, "http://localhost");
+  const { apiKey, error } = authenticateApiKey(presentedKey(request, Object.fromEntries(searchParams)));
+  if (error) {
+    socket.write(
+      "HTTP/1.1 401 Unauthorized\r\n" +
+        `X-Error-Code: ${error.code}\r\n` +
+        "Connection: close\r\n\r\n"
+    );
+    socket.destroy();
+    return false;
+  }
+  request.apiKey = apiKey || null;
+  request.usageAccount = apiKey || keylessAccountOf(request);
+  return true;
+}
+
+// Persist pending usage on shutdown
+export function closeApiKeyStore() {
+  store.close();
+}
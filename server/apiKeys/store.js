@@ -0,0 +1,59 @@
+// server/apiKeys/store.js
+// Persistent store for issued API keys and their monthly usage:
+//   { keys: { <id>: record }, usage: { <id>: { "2026-10": counters } } }
+// Reads and writes are synchronous on the request path; changes are written to a JSON file
+// in the background (same snapshot + atomic rename as ../rateLimit/stores.js).
+import fs from "fs";
+import path from "path";
+import { logger } from "../observability/logger.js";
+
+const FILE_FLUSH_INTERVAL = 5000;
+
+export function createApiKeyStore(filePath) {
+  let data = { keys: {}, usage: {} };
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    data = { keys: saved.keys || {}, usage: saved.usage || {} };
+    logger.info("Loaded API keys", { keys: Object.keys(data.keys).length, file: filePath });
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.warn("Could not read API key store, starting empty", { err: err.message });
+  }
+
+  let dirty = false;
+  const flush = () => {
+    if (!dirty) return;
+    dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), ...data }, null, 2));
+      fs.renameSync(tmp, filePath); // atomic replace so a crash never leaves half a file
+    } catch (err) {
+      logger.warn("Could not save API key store", { err: err.message });
+    }
+  };
+  const timer = setInterval(flush, FILE_FLUSH_INTERVAL);
+  timer.unref();
+
+  return {
+    getKey: (id) => data.keys[id] || null,
+    findKeyByHash: (hash) => Object.values(data.keys).find((record) => record.hash === hash) || null,
+    listKeys: () => Object.values(data.keys),
+    saveKey(record) {
+      data.keys[record.id] = record;
+      dirty = true;
+      flush(); // key changes are rare and must survive a crash; write them right away
+    },
+    getUsage: (id, month) => data.usage[id]?.[month] || null,
+    // update(counters) mutates the month's counters in place
+    updateUsage(id, month, createCounters, update) {
+      const byMonth = (data.usage[id] ||= {});
+      update((byMonth[month] ||= createCounters()));
+      dirty = true;
+    },
+    close() {
+      clearInterval(timer);
+      flush();
+    },
+  };
+}
@@ -0,0 +1,184 @@
+// server/catalog/audioMetadata.js
+// Technical metadata for catalog entries, measured from the decoded audio (rebuild-catalog.js):
+//   { duration, channels, sampleRate, lufs, truePeakDb, leadingSilence, trailingSilence, bytes }
+// Times are seconds. lufs is integrated loudness per ITU-R BS.1770-4 (K-weighted, 400 ms
+// blocks, -70 LUFS absolute and -10 LU relative gates; null for silent files), truePeakDb the
+// 4x-oversampled peak in dBTP. Silence is anything below SILENCE_THRESHOLD_DB on every channel.
+// Decoding is pure JS/WebAssembly (audio-decode): mp3, wav, ogg (Vorbis/Opus) and flac.
+import { readFile } from "fs/promises";
+import decode from "audio-decode";
+
+export const ANALYZED_EXTENSIONS = [".mp3", ".wav", ".ogg", ".flac"];
+const SILENCE_THRESHOLD_DB = -60;
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1; // 75% block overlap
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const TRUE_PEAK_TAPS_PER_PHASE = 12;
+
+const round = (value, digits) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const toDb = (amplitude) => (amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity);
+
+// BS.1770 K-weighting: high-shelf "pre-filter" then the RLB high-pass, for any sample rate
+// (coefficients derived as in libebur128)
+function kWeightingFilters(sampleRate) {
+  let f0 = 1681.974450955533;
+  const gainDb = 3.999843853973347;
+  let q = 0.7071752369554196;
+  let k = Math.tan((Math.PI * f0) / sampleRate);
+  const vh = Math.pow(10, gainDb / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  let a0 = 1 + k / q + k * k;
+  const shelf = {
+    b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+    a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+  };
+
+  f0 = 38.13547087602444;
+  q = 0.5003270373238773;
+  k = Math.tan((Math.PI * f0) / sampleRate);
+  a0 = 1 + k / q + k * k;
+  const highPass = { b: [1, -2, 1], a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0] };
+  return [shelf, highPass];
+}
+
+// Biquad (direct form I) over a whole channel
+function applyBiquad(input, { b, a }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+// BS.1770 channel weights; surrounds (5.1 order L R C LFE Ls Rs) count 1.41, LFE not at all
+const channelWeight = (index, channels) => (channels < 6 ? 1 : [1, 1, 1, 0, 1.41, 1.41][index] ?? 1);
+
+function integratedLoudness(channelData, sampleRate) {
+  const filters = kWeightingFilters(sampleRate);
+  const length = channelData[0].length;
+  const step = Math.round(STEP_SECONDS * sampleRate);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const steps = Math.floor(length / step);
+
+  // Weighted sum of squares per 100 ms step, summed over channels
+  const stepEnergy = new Float64Array(Math.max(steps, 1));
+  channelData.forEach((samples, index) => {
+    const weight = channelWeight(index, channelData.length);
+    if (!weight) return;
+    const filtered = filters.reduce(applyBiquad, samples);
+    if (steps === 0) {
+      // Shorter than one step: measure the whole file as a single block
+      stepEnergy[0] += weight * filtered.reduce((sum, v) => sum + v * v, 0);
+      return;
+    }
+    for (let s = 0; s < steps; s++) {
+      let sum = 0;
+      for (let i = s * step; i < (s + 1) * step; i++) sum += filtered[i] * filtered[i];
+      stepEnergy[s] += weight * sum;
+    }
+  });
+
+  // Mean square per 400 ms block (a single shorter block for very short files)
+  const blocks = [];
+  if (steps < stepsPerBlock) {
+    blocks.push(stepEnergy.reduce((a, b) => a + b, 0) / (steps === 0 ? length : steps * step));
+  } else {
+    for (let s = 0; s + stepsPerBlock <= steps; s++) {
+      let sum = 0;
+      for (let j = s; j < s + stepsPerBlock; j++) sum += stepEnergy[j];
+      blocks.push(sum / (stepsPerBlock * step));
+    }
+  }
+
+  const loudnessOf = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  const aboveAbsolute = blocks.filter((z) => z > 0 && loudnessOf(z) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) return null;
+  const relativeGate = loudnessOf(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter((z) => loudnessOf(z) > relativeGate);
+  return loudnessOf(mean(gated));
+}
+
+// Windowed-sinc interpolation filter for `factor`x oversampling, as polyphase taps[phase][k]
+function interpolationPhases(factor) {
+  const length = TRUE_PEAK_TAPS_PER_PHASE * factor;
+  const center = (length - 1) / 2;
+  const phases = Array.from({ length: factor }, () => new Float64Array(TRUE_PEAK_TAPS_PER_PHASE));
+  for (let m = 0; m < length; m++) {
+    const t = (m - center) / factor;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (m + 0.5)) / length); // Hann
+    phases[m % factor][Math.floor(m / factor)] = sinc * window;
+  }
+  return phases;
+}
+
+// Highest absolute value of the signal reconstructed between samples (dBTP)
+function truePeak(channelData, sampleRate) {
+  const factor = sampleRate < 96000 ? 4 : sampleRate < 192000 ? 2 : 1;
+  const phases = factor > 1 ? interpolationPhases(factor) : [];
+  let peak = 0;
+  for (const samples of channelData) {
+    for (let n = 0; n < samples.length; n++) {
+      const sample = Math.abs(samples[n]);
+      if (sample > peak) peak = sample;
+      for (const taps of phases) {
+        let y = 0;
+        for (let k = 0; k < taps.length && k <= n; k++) y += taps[k] * samples[n - k];
+        if (Math.abs(y) > peak) peak = Math.abs(y);
+      }
+    }
+  }
+  return toDb(peak);
+}
+
+// Seconds below the silence threshold at the start and end (the whole file if it is silent)
+function silenceBounds(channelData, sampleRate) {
+  const threshold = Math.pow(10, SILENCE_THRESHOLD_DB / 20);
+  const length = channelData[0].length;
+  const audible = (i) => channelData.some((samples) => Math.abs(samples[i]) > threshold);
+  let first = 0;
+  while (first < length && !audible(first)) first++;
+  if (first === length) return { leading: length / sampleRate, trailing: length / sampleRate };
+  let last = length - 1;
+  while (last > first && !audible(last)) last--;
+  return { leading: first / sampleRate, trailing: (length - 1 - last) / sampleRate };
+}
+
+/**
+ * Measure decoded audio.
+ * @param {{ channelData: Float32Array[], sampleRate: number }} audio
+ */
+export function measureAudio({ channelData, sampleRate }) {
+  const length = channelData[0]?.length || 0;
+  if (!length) return { duration: 0, channels: channelData.length, sampleRate, lufs: null, truePeakDb: null, leadingSilence: 0, trailingSilence: 0 };
+  const { leading, trailing } = silenceBounds(channelData, sampleRate);
+  return {
+    duration: round(length / sampleRate, 3),
+    channels: channelData.length,
+    sampleRate,
+    lufs: round(integratedLoudness(channelData, sampleRate), 1),
+    truePeakDb: round(truePeak(channelData, sampleRate), 1),
+    leadingSilence: round(leading, 3),
+    trailingSilence: round(trailing, 3),
+  };
+}
+
+/**
+ * Decode an audio file and measure it. `bytes` (the file size) lets the rebuild skip
+ * files that haven't changed since the last run.
+ * @param {string} filePath - .mp3, .wav, .ogg or .flac
+ */
+export async function readAudioMetadata(filePath) {
+  const data = await readFile(filePath);
+  const decoded = await decode(data);
+  return { ...measureAudio(decoded), bytes: data.length };
+}
@@ -0,0 +1,193 @@
+// server/catalog/catalogLint.js
+// Consistency checks for soundCatalog.json (tools/lint-catalog.js). Each issue is
+//   { rule, severity, id, message, ...details }
+// "error" rules describe a catalog that plays the wrong thing or nothing at all and
+// should not be deployed; "warning" rules describe entries that work but match poorly.
+import fs from "fs";
+import path from "path";
+import { MEDIA_FOLDERS, generateId, mediaPathOf } from "./mediaPaths.js";
+import { taxonomy } from "../search/taxonomy.js";
+import { applyCatalogOverrides } from "./catalogOverrides.js";
+
+export const RULES = {
+  "invalid-entry": "error", // missing id or src, or an unknown type
+  "duplicate-id": "error", // several entries share an id; lookups only ever find the first
+  "alias-collision": "error", // an alias that is also an id, or claimed by two entries
+  "id-collision": "error", // media files the rebuild would give the same id (after overrides)
+  "missing-file": "error", // src points at a file that isn't under server/media (CDN srcs only with checkCdnFiles)
+  "unencoded-url": "error", // CDN URL with characters that must be percent-encoded
+  "double-encoded-url": "error", // %25xx in a CDN URL, or any escape in a /media path
+  "type-folder-mismatch": "error", // e.g. type "music" served from .../sfx/...
+  "music-not-looping": "warning",
+  "no-meaningful-tags": "warning", // only type tags and filename filler words (taxonomy stopWords)
+  "fallback-classification": "warning", // no tag or override sets its mood, category, intensity or energy
+  "missing-audio": "warning", // no measured `audio` (npm run measure:catalog), so no loudness normalization
+};
+
+const TYPES = ["music", "sfx", "ambience"];
+const MEDIA_FILE = /\.(mp3|wav|ogg|flac|m4a)$/i; // what rebuild-catalog.js picks up
+// What the taxonomy gives a sound none of whose tags it knows
+const FALLBACK = taxonomy.classify({ tags: [] });
+const FALLBACK_FIELDS = ["mood", "category", "intensity", "energy"];
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (_) {
+    return text;
+  }
+}
+
+// Path of a URL exactly as written (new URL() would quietly encode it)
+const rawPathOf = (src) => src.replace(/^https?:\/\/[^/]+/i, "").replace(/[?#].*$/, "");
+
+function checkUrl(sound, report) {
+  const { id, src } = sound;
+  if (!/^https?:\/\//i.test(src)) {
+    if (/%[0-9a-f]{2}/i.test(src)) {
+      report("double-encoded-url", id, "local /media paths are encoded by the client; store them unencoded", { src });
+    }
+    return;
+  }
+  for (const segment of rawPathOf(src).split("/").filter(Boolean)) {
+    const once = safeDecode(segment);
+    if (once !== segment && /%[0-9a-f]{2}/i.test(once) && safeDecode(once) !== once) {
+      report("double-encoded-url", id, `path segment "${segment}" is encoded twice (npm run fix:catalog)`, { src });
+      return;
+    }
+    if (segment !== encodeURIComponent(once)) {
+      report("unencoded-url", id, `path segment "${segment}" is not percent-encoded (npm run fix:catalog)`, { src });
+      return;
+    }
+  }
+}
+
+function checkAliases(sounds, report) {
+  const ids = new Set(sounds.map((s) => s.id));
+  const owners = new Map();
+  for (const sound of sounds) {
+    for (const alias of sound.aliases || []) {
+      if (ids.has(alias)) {
+        report("alias-collision", sound.id, `alias ${alias} is also the id of another entry, which wins`, { alias });
+      } else if (owners.has(alias) && owners.get(alias) !== sound.id) {
+        report("alias-collision", sound.id, `alias ${alias} is also claimed by ${owners.get(alias)}`, { alias });
+      } else {
+        owners.set(alias, sound.id);
+      }
+    }
+  }
+}
+
+// Files in server/media whose names the rebuild would turn into the same id. Overrides
+// keyed by id or media file (renames, exclusions) are applied the way the rebuild applies
+// them; hash keys are not, since that would mean hashing every file.
+function checkMediaIds(mediaDir, overrides, report) {
+  const generated = [];
+  for (const folder of MEDIA_FOLDERS) {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(mediaDir, folder)).filter((f) => !f.startsWith(".") && MEDIA_FILE.test(f));
+    } catch (_) {
+      continue; // folder doesn't exist here
+    }
+    for (const file of files.sort()) {
+      generated.push({ id: generateId(file), src: `/media/${folder}/${file}`, file: `${folder}/${file}` });
+    }
+  }
+  const { sounds } = applyCatalogOverrides(generated, overrides);
+  const byId = new Map();
+  for (const { id, file } of sounds) byId.set(id, [...(byId.get(id) || []), file]);
+  for (const [id, files] of byId) {
+    if (files.length > 1) report("id-collision", id, `${files.length} media files map to this id`, { files });
+  }
+}
+
+/**
+ * Lint a parsed catalog.
+ * @param {object[]} sounds
+ * @param {{ mediaDir?: string, checkCdnFiles?: boolean, overrides?: object }} [options]
+ *   mediaDir: server/media to check files against (skipped when absent);
+ *   checkCdnFiles: also require CDN-hosted entries to have a local copy;
+ *   overrides: from loadCatalogOverrides(), for the id-collision check
+ * @returns {{ ok: boolean, counts: { sounds: number, errors: number, warnings: number, unchecked: number },
+ *   issues: object[] }} unchecked: entries whose file was not looked for (CDN srcs without
+ *   checkCdnFiles, or no mediaDir); nothing here fetches from the CDN
+ */
+export function lintCatalog(sounds, { mediaDir = null, checkCdnFiles = false, overrides = {} } = {}) {
+  const issues = [];
+  const report = (rule, id, message, details = {}) => issues.push({ rule, severity: RULES[rule], id, message, ...details });
+  const hasMedia = !!mediaDir && fs.existsSync(mediaDir);
+
+  const counts = new Map();
+  let unchecked = 0;
+  for (const sound of sounds) {
+    if (!sound || typeof sound.id !== "string" || !sound.id || typeof sound.src !== "string" || !TYPES.includes(sound.type)) {
+      report("invalid-entry", sound?.id ?? null, "entry needs a string id and src and a type of music, sfx or ambience", {
+        entry: sound,
+      });
+      continue;
+    }
+    counts.set(sound.id, (counts.get(sound.id) || 0) + 1);
+    const { id, type, src } = sound;
+
+    checkUrl(sound, report);
+
+    const media = mediaPathOf(src);
+    if (media && media.folder !== type) {
+      report("type-folder-mismatch", id, `type ${type} but the file is in ${media.folder}/`, { src });
+    }
+    const isLocal = !/^https?:\/\//i.test(src);
+    if (hasMedia && media && (isLocal || checkCdnFiles)) {
+      const file = path.join(mediaDir, media.folder, isLocal ? media.file : safeDecode(media.file));
+      if (!fs.existsSync(file)) report("missing-file", id, `${path.relative(mediaDir, file)} not found in server/media`, { src });
+    } else {
+      unchecked++;
+    }
+
+    if (type === "music" && sound.loop !== true) {
+      report("music-not-looping", id, "music should loop (loop: true)");
+    }
+    if (!sound.audio || typeof sound.audio !== "object") {
+      report(
+        "missing-audio",
+        id,
+        "no measured audio metadata; put the file in server/media and run npm run measure:catalog",
+        { src }
+      );
+    }
+
+    const tags = Array.isArray(sound.tags) ? sound.tags : [];
+    const meaningful = tags.filter(
+      (t) => typeof t === "string" && t.length > 2 && !taxonomy.isTypeTag(t) && !taxonomy.stopWords.has(t) && !/^\d+$/.test(t)
+    );
+    if (meaningful.length === 0) {
+      report("no-meaningful-tags", id, "no tags beyond the type and filename filler words", { tags });
+    }
+
+    const classified = taxonomy.classify(sound);
+    if (FALLBACK_FIELDS.every((field) => classified[field] === FALLBACK[field])) {
+      report(
+        "fallback-classification",
+        id,
+        `classified ${FALLBACK.mood}/${FALLBACK.category}/${FALLBACK.intensity}/${FALLBACK.energy} only because no tag carries a mood or intensity; add one to taxonomy.json or curate it in catalogOverrides.json`,
+        { tags, modes: classified.modes }
+      );
+    }
+  }
+
+  for (const [id, count] of counts) {
+    if (count > 1) {
+      const srcs = sounds.filter((s) => s?.id === id).map((s) => s.src);
+      report("duplicate-id", id, `${count} entries use this id; lookups return the first`, { srcs });
+    }
+  }
+  checkAliases(sounds.filter((s) => s && typeof s.id === "string"), report);
+  if (hasMedia) checkMediaIds(mediaDir, overrides, report);
+
+  const errors = issues.filter((i) => i.severity === "error").length;
+  return {
+    ok: errors === 0,
+    counts: { sounds: sounds.length, errors, warnings: issues.length - errors, unchecked },
+    issues,
+  };
+}
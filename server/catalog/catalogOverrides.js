@@ -0,0 +1,258 @@
+// server/catalog/catalogOverrides.js
+// Hand curation that survives catalog rebuilds, kept in catalogOverrides.json next to
+// soundCatalog.json (CATALOG_OVERRIDES_PATH to move it):
+//   {
+//     "version": 1,
+//     "overrides": {
+//       "<sound id, the entry's fileHash (sha256:...) or its media file (sfx/Thunder.wav)>": {
+//         "addTags": ["storm"], "removeTags": ["effect"],
+//         "mood": "dark", "category": "horror", "intensity": 0.8,
+//         "energy": "low", "modes": ["dnd", "horror"],
+//         "rename": "thunder_close",      // new id; the old one keeps resolving as an alias
+//         "exclude": true,                // leave the file out of the catalog
+//         "license": "CC-BY-4.0", "attribution": "Jane Doe"
+//       }
+//     },
+//     "aliases": { "<retired id>": "<current id>" }
+//   }
+// rebuild-catalog.js and tools/encode-catalog.js apply it. The merge is deterministic and
+// idempotent (applying it to its own output changes nothing): keys match an entry by
+// fileHash, media file (<folder>/<file name> of its src, unencoded; this tells apart entries
+// that share an id), id or one of its aliases. File keys (hash or path) apply before id
+// keys, each group in key order, so when both set a field differently the id key wins.
+// A renamed entry keeps its old id as an alias unless another entry still has that id.
+// Such clashes, tags that are
+// both added and removed (removal wins), renames onto a taken id (skipped) and bad values
+// are returned as conflicts rather than thrown.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { MOODS, CATEGORIES, MODES, ENERGY_LEVELS } from "./soundContext.js";
+import { MEDIA_FOLDERS, mediaPathOf } from "./mediaPaths.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const OVERRIDES_PATH = process.env.CATALOG_OVERRIDES_PATH || path.join(__dirname, "..", "catalogOverrides.json");
+const SUPPORTED_VERSION = 1;
+const HASH_KEY = /^sha256:[0-9a-f]{16}$/;
+const PATH_KEY = new RegExp(`^(${MEDIA_FOLDERS.join("|")})/.`);
+const isFileKey = (key) => HASH_KEY.test(key) || PATH_KEY.test(key);
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (_) {
+    return text;
+  }
+}
+
+/**
+ * The media-file key of a catalog entry, e.g. "sfx/Thunder Close.wav" (src decoded).
+ * @returns {string|null} null when the src isn't under a media folder
+ */
+export function mediaKeyOf(sound) {
+  const media = mediaPathOf(sound.src);
+  return media ? `${media.folder}/${/^https?:\/\//i.test(sound.src) ? safeDecode(media.file) : media.file}` : null;
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+
+// Field -> check; a failing check makes the field a conflict and it is ignored
+const FIELDS = {
+  addTags: isStringList,
+  removeTags: isStringList,
+  mood: (value) => MOODS.includes(value),
+  category: (value) => CATEGORIES.includes(value),
+  intensity: (value) => typeof value === "number" && value >= 0 && value <= 1,
+  energy: (value) => ENERGY_LEVELS.includes(value),
+  modes: (value) => Array.isArray(value) && value.every((m) => MODES.includes(m)),
+  rename: isNonEmptyString,
+  exclude: (value) => typeof value === "boolean",
+  license: isNonEmptyString,
+  attribution: isNonEmptyString,
+};
+const SCALAR_FIELDS = ["mood", "category", "intensity", "energy", "modes", "rename", "exclude", "license", "attribution"];
+const SET_FIELDS = ["mood", "category", "intensity", "energy", "modes", "license", "attribution"];
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Read the overrides file; a missing file means no overrides.
+ * @returns {{ version: number, overrides: object, aliases: object }}
+ */
+export function loadCatalogOverrides(filePath = OVERRIDES_PATH) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { version: SUPPORTED_VERSION, overrides: {}, aliases: {} };
+    throw new Error(`Could not read ${filePath}: ${err.message}`);
+  }
+  if (data.version !== SUPPORTED_VERSION) {
+    throw new Error(`${path.basename(filePath)}: unsupported version ${data.version} (expected ${SUPPORTED_VERSION})`);
+  }
+  return { version: data.version, overrides: data.overrides || {}, aliases: data.aliases || {} };
+}
+
+const byKey = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Valid fields of one override; everything else becomes a conflict
+function validOverride(key, override, conflicts) {
+  const valid = {};
+  if (!override || typeof override !== "object" || Array.isArray(override)) {
+    conflicts.push({ key, message: "override must be an object" });
+    return valid;
+  }
+  for (const [field, value] of Object.entries(override)) {
+    if (!FIELDS[field]) conflicts.push({ key, field, message: `unknown field ${field}` });
+    else if (!FIELDS[field](value)) conflicts.push({ key, field, message: `invalid value ${JSON.stringify(value)}` });
+    else valid[field] = value;
+  }
+  return valid;
+}
+
+// Combine every override matching one entry into a single patch
+function mergePatches(id, matches, conflicts) {
+  const patch = { addTags: new Set(), removeTags: new Set() };
+  const setBy = {};
+  for (const { key, override } of matches) {
+    (override.addTags || []).forEach((t) => patch.addTags.add(t));
+    (override.removeTags || []).forEach((t) => patch.removeTags.add(t));
+    for (const field of SCALAR_FIELDS) {
+      if (override[field] === undefined) continue;
+      if (field in patch && !sameValue(patch[field], override[field])) {
+        conflicts.push({
+          key,
+          id,
+          field,
+          message: `${field} ${JSON.stringify(override[field])} overrides ${JSON.stringify(patch[field])} from ${setBy[field]}`,
+        });
+      }
+      patch[field] = override[field];
+      setBy[field] = key;
+    }
+  }
+  for (const tag of patch.addTags) {
+    if (patch.removeTags.has(tag)) {
+      conflicts.push({ id, field: "tags", message: `tag "${tag}" is both added and removed; removing it` });
+    }
+  }
+  return patch;
+}
+
+function applyPatch(sound, patch) {
+  const removed = patch.removeTags;
+  const tags = (sound.tags || []).filter((t) => !removed.has(t));
+  for (const tag of patch.addTags) {
+    if (!removed.has(tag) && !tags.includes(tag)) tags.push(tag);
+  }
+  const next = { ...sound, tags };
+  for (const field of SET_FIELDS) {
+    if (patch[field] !== undefined) next[field] = patch[field];
+  }
+  return next;
+}
+
+// A copy of the entry with the alias added (the entry itself when it already has it)
+const withAlias = (sound, alias) =>
+  alias === sound.id || (sound.aliases || []).includes(alias) ? sound : { ...sound, aliases: [...(sound.aliases || []), alias] };
+
+/**
+ * Apply overrides to catalog entries (the input is not modified).
+ * @param {object[]} sounds - catalog entries in catalog order
+ * @param {{ overrides: object, aliases: object }} overrides - from loadCatalogOverrides()
+ * @returns {{ sounds: object[], conflicts: { key?, id?, field?, message }[], unused: string[],
+ *   stats: { matched: number, excluded: number, renamed: number } }}
+ */
+export function applyCatalogOverrides(sounds, { overrides = {}, aliases = {} } = {}) {
+  const conflicts = [];
+  const entries = Object.entries(overrides).sort(byKey);
+  const fileKeys = entries.filter(([key]) => isFileKey(key));
+  const idKeys = entries.filter(([key]) => !isFileKey(key));
+  for (const [key] of idKeys) {
+    if (key.startsWith("sha256:")) conflicts.push({ key, message: "hash keys look like sha256:<16 hex digits> (the entry's fileHash)" });
+  }
+  const valid = new Map([...fileKeys, ...idKeys].map(([key, override]) => [key, validOverride(key, override, conflicts)]));
+
+  const used = new Set();
+  const stats = { matched: 0, excluded: 0, renamed: 0 };
+  const kept = [];
+  for (const sound of sounds) {
+    const names = [sound.id, ...(sound.aliases || [])];
+    const mediaKey = mediaKeyOf(sound);
+    const matches = [
+      ...fileKeys.filter(([key]) => key === sound.fileHash || key === mediaKey),
+      ...idKeys.filter(([key]) => names.includes(key)),
+    ].map(([key]) => ({ key, override: valid.get(key) }));
+    if (matches.length === 0) {
+      kept.push({ sound, rename: null });
+      continue;
+    }
+    matches.forEach(({ key }) => used.add(key));
+    stats.matched++;
+    const patch = mergePatches(sound.id, matches, conflicts);
+    if (patch.exclude) {
+      stats.excluded++;
+      continue;
+    }
+    kept.push({ sound: applyPatch(sound, patch), rename: patch.rename || null });
+  }
+
+  // Renames go last so they can be checked against every final id; first in catalog order wins
+  const taken = new Set(kept.filter((k) => !k.rename || k.rename === k.sound.id).map((k) => k.sound.id));
+  const renamedFrom = new Map(); // kept item -> its old id
+  for (const item of kept) {
+    const { sound, rename } = item;
+    if (!rename || rename === sound.id) continue;
+    if (taken.has(rename)) {
+      conflicts.push({ id: sound.id, field: "rename", message: `cannot rename to ${rename}: id already in use` });
+      taken.add(sound.id);
+      continue;
+    }
+    taken.add(rename);
+    item.sound = { ...sound, id: rename };
+    renamedFrom.set(item, sound.id);
+    stats.renamed++;
+  }
+  // The old id keeps resolving to a renamed entry, unless another entry still uses it
+  for (const [item, oldId] of renamedFrom) {
+    if (!taken.has(oldId)) item.sound = withAlias(item.sound, oldId);
+  }
+  const result = kept.map((k) => k.sound);
+
+  // Ids seen more than once make lookups ambiguous (the first entry wins)
+  const counts = new Map();
+  result.forEach((s) => counts.set(s.id, (counts.get(s.id) || 0) + 1));
+  for (const [id, count] of counts) {
+    if (count > 1) conflicts.push({ id, message: `id used by ${count} entries; lookups return the first` });
+  }
+
+  const indexById = new Map(result.map((s, i) => [s.id, i]).reverse()); // first entry wins
+  const aliasOwner = new Map();
+  result.forEach((s) => (s.aliases || []).forEach((a) => aliasOwner.set(a, s.id)));
+  for (const [alias, target] of Object.entries(aliases).sort(byKey)) {
+    const index = indexById.get(target);
+    if (index === undefined) conflicts.push({ key: alias, message: `alias target ${target} is not in the catalog` });
+    else if (indexById.has(alias)) conflicts.push({ key: alias, message: `alias ${alias} is also a catalog id; the entry wins` });
+    else if (aliasOwner.has(alias) && aliasOwner.get(alias) !== target) {
+      conflicts.push({ key: alias, message: `alias ${alias} already resolves to ${aliasOwner.get(alias)}` });
+    } else {
+      result[index] = withAlias(result[index], alias); // unpatched entries are the caller's objects
+      aliasOwner.set(alias, target);
+    }
+  }
+
+  const unused = entries.map(([key]) => key).filter((key) => !used.has(key));
+  return { sounds: result, conflicts, unused, stats };
+}
+
+// Console summary for the catalog scripts
+export function reportOverrides({ conflicts, unused, stats }, log = console) {
+  log.log(`✓ Overrides: ${stats.matched} entries matched, ${stats.renamed} renamed, ${stats.excluded} excluded`);
+  for (const key of unused) log.warn(`⚠️  Override ${key} matches no catalog entry`);
+  for (const c of conflicts) {
+    const where = [c.key && `override ${c.key}`, c.id && `sound ${c.id}`].filter(Boolean).join(", ");
+    log.warn(`⚠️  Conflict${where ? ` (${where})` : ""}: ${c.message}`);
+  }
+}
@@ -0,0 +1,130 @@
+// server/catalog/catalogStore.js
+// Owns the in-memory sound catalog and the lexical search index built from it.
+// `soundCatalog`, `soundIndex` and `catalogVersion` are live ESM bindings: importers
+// always see the latest loaded catalog, so a reload needs no restart.
+// Reloads happen when soundCatalog.json changes on disk (watchSoundCatalog) or via
+// POST /admin/reload-catalog. Each load gets a content-hash version; a short history
+// of versions lets GET /sounds?since=<version> answer with just the changes.
+import fs from "fs";
+import { readFile } from "fs/promises";
+import { createHash } from "crypto";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../observability/logger.js";
+import { createSoundIndex } from "../search/soundIndex.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CATALOG_PATH = process.env.SOUND_CATALOG_PATH || path.join(__dirname, "..", "soundCatalog.json");
+const MAX_VERSION_HISTORY = 20;
+const WATCH_DEBOUNCE_MS = 300;
+
+export let soundCatalog = [];
+export let soundIndex = createSoundIndex([]); // lexical fallback for Chroma, rebuilt with the catalog
+export let catalogVersion = null;
+export let catalogLoadedAt = null;
+export let catalogLoadError = null; // { message, at } from the last failed load, cleared on success
+let soundsById = new Map();
+
+// Oldest first: [{ version, entries: Map<id, entryHash> }]
+const versionHistory = [];
+
+const hashOf = (text) => createHash("sha256").update(text).digest("hex").slice(0, 12);
+
+function snapshot(sounds) {
+  const entries = new Map();
+  for (const s of sounds) entries.set(s.id, hashOf(JSON.stringify(s)));
+  return entries;
+}
+
+// Read and swap in the catalog; on error the previous catalog stays active
+export async function loadSoundCatalog() {
+  try {
+    const result = await readCatalog();
+    catalogLoadError = null;
+    return result;
+  } catch (err) {
+    catalogLoadError = { message: err.message, at: new Date().toISOString() };
+    throw err;
+  }
+}
+
+async function readCatalog() {
+  const data = await readFile(CATALOG_PATH, "utf-8");
+  const version = hashOf(data);
+  const previousCount = soundCatalog.length;
+  if (version === catalogVersion) {
+    return { count: soundCatalog.length, previousCount, version, changed: false };
+  }
+  const sounds = JSON.parse(data);
+  if (!Array.isArray(sounds)) {
+    throw new Error("soundCatalog.json must contain an array of sounds");
+  }
+  soundIndex = createSoundIndex(sounds);
+  soundsById = new Map();
+  for (const s of sounds) {
+    if (!soundsById.has(s.id)) soundsById.set(s.id, s); // first entry wins, like soundCatalog.find
+  }
+  // Ids renamed through catalogOverrides.json keep resolving; a real id always beats an alias
+  for (const s of sounds) {
+    for (const alias of s.aliases || []) {
+      if (!soundsById.has(alias)) soundsById.set(alias, s);
+    }
+  }
+  soundCatalog = sounds;
+  catalogVersion = version;
+  catalogLoadedAt = new Date().toISOString();
+  versionHistory.push({ version, entries: snapshot(sounds) });
+  if (versionHistory.length > MAX_VERSION_HISTORY) versionHistory.shift();
+  logger.info("Loaded sound catalog", { sounds: soundCatalog.length, version });
+  return { count: soundCatalog.length, previousCount, version, changed: true };
+}
+
+// By id or alias (the returned entry carries its current id)
+export function getSoundById(id) {
+  return soundsById.get(id) || null;
+}
+
+/**
+ * Changes between an earlier catalog version and the current one.
+ * @returns {{ added: object[], changed: object[], removed: string[] } | null} null when
+ *   `since` is unknown (too old, or from before a restart) and the client needs a full reload
+ */
+export function getCatalogDelta(since) {
+  const base = versionHistory.find((v) => v.version === since);
+  if (!base) return null;
+  const current = versionHistory[versionHistory.length - 1].entries;
+  const byId = new Map(soundCatalog.map((s) => [s.id, s]));
+  const added = [];
+  const changed = [];
+  for (const [id, hash] of current) {
+    if (!base.entries.has(id)) added.push(byId.get(id));
+    else if (base.entries.get(id) !== hash) changed.push(byId.get(id));
+  }
+  const removed = [...base.entries.keys()].filter((id) => !current.has(id));
+  return { added, changed, removed };
+}
+
+// Reload when the file changes on disk (set CATALOG_WATCH=0 to disable).
+// Watches the directory because rebuild scripts and editors often replace the file.
+export function watchSoundCatalog() {
+  if (process.env.CATALOG_WATCH === "0") return null;
+  let timer = null;
+  try {
+    const watcher = fs.watch(path.dirname(CATALOG_PATH), (event, filename) => {
+      if (filename && filename !== path.basename(CATALOG_PATH)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        loadSoundCatalog().catch((err) => {
+          logger.warn("Catalog changed on disk but could not be loaded (keeping previous)", { err: err.message });
+        });
+      }, WATCH_DEBOUNCE_MS);
+    });
+    watcher.unref();
+    return watcher;
+  } catch (err) {
+    logger.warn("Catalog file watching unavailable", { err: err.message });
+    return null;
+  }
+}
@@ -0,0 +1,49 @@
+// server/catalog/classifySounds.js
+// Stores mood, category, intensity (0-1), energy (low|medium|high) and modes[] on every
+// catalog entry, so the prompt builder and the client's music rotation read them instead
+// of guessing from tags at runtime. Values set in catalogOverrides.json win; the rest
+// come from the taxonomy (taxonomy.classify). Derived values are dropped and computed
+// again on every run, so taxonomy changes reach entries that were classified before.
+import { taxonomy } from "../search/taxonomy.js";
+import { applyCatalogOverrides } from "./catalogOverrides.js";
+
+export const CLASSIFICATION_FIELDS = ["mood", "category", "intensity", "energy", "modes"];
+
+function withoutClassification(sound) {
+  const rest = { ...sound };
+  for (const field of CLASSIFICATION_FIELDS) delete rest[field];
+  return rest;
+}
+
+/**
+ * Apply overrides, then fill in the classification fields (the input is not modified).
+ * @param {object[]} sounds - catalog entries in catalog order
+ * @param {{ overrides: object, aliases: object }} overrides - from loadCatalogOverrides()
+ * @returns {object} applyCatalogOverrides()'s result with classified sounds and
+ *   stats.curated: entries with at least one classification field from the overrides
+ */
+export function classifyCatalog(sounds, overrides) {
+  const merged = applyCatalogOverrides(sounds.map(withoutClassification), overrides);
+  let curated = 0;
+  const classified = merged.sounds.map((sound) => {
+    if (CLASSIFICATION_FIELDS.some((field) => sound[field] !== undefined)) curated++;
+    return { ...withoutClassification(sound), ...taxonomy.classify(sound) };
+  });
+  return { ...merged, sounds: classified, stats: { ...merged.stats, curated } };
+}
+
+// Console summary for the catalog scripts
+export function reportClassification({ sounds, stats }, log = console) {
+  const counts = (field) => {
+    const byValue = new Map();
+    for (const sound of sounds) {
+      for (const value of [].concat(sound[field])) byValue.set(value, (byValue.get(value) || 0) + 1);
+    }
+    return [...byValue].map(([value, count]) => `${value} ${count}`).join(", ");
+  };
+  log.log(`✓ Classified ${sounds.length} entries (${stats.curated} with curated values)`);
+  log.log(`   Moods: ${counts("mood")}`);
+  log.log(`   Categories: ${counts("category")}`);
+  log.log(`   Energy: ${counts("energy")}`);
+  log.log(`   Modes: ${counts("modes")}`);
+}
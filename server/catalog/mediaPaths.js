@@ -0,0 +1,32 @@
+// server/catalog/mediaPaths.js
+// How catalog entries map to files under server/media: the id a filename gets
+// (rebuild-catalog.js) and the folder/file a src points at (CDN or /media URL).
+
+export const MEDIA_FOLDERS = ["music", "ambience", "sfx"];
+
+// "Tavern Crowd - Loop.mp3" -> "tavern_crowd_loop"
+export function generateId(filename) {
+  return filename
+    .replace(/\.[^.]+$/, "") // remove extension
+    .replace(/[-\s.]+/g, "_") // normalize separators to underscore
+    .toLowerCase();
+}
+
+/**
+ * Media folder and (still URL-encoded) file path a src points at, for
+ * https://<cdn>/cueai-media/<folder>/<file> as well as /media/<folder>/<file>.
+ * @returns {{ folder: string, file: string } | null} null when the src isn't under a media folder
+ */
+export function mediaPathOf(src) {
+  if (typeof src !== "string") return null;
+  let pathname = src;
+  if (/^https?:\/\//i.test(src)) {
+    try {
+      pathname = new URL(src).pathname;
+    } catch (_) {
+      return null;
+    }
+  }
+  const m = pathname.match(/\/(?:cueai-media\/|media\/)?(music|sfx|ambience)\/(.+)$/i);
+  return m ? { folder: m[1].toLowerCase(), file: m[2] } : null;
+}
@@ -0,0 +1,15 @@
+// server/catalog/soundContext.js
+// Mood, category, intensity, energy and modes of a catalog entry. The rebuild stores them
+// on every entry (catalog/classifySounds.js), so these are normally just read back; for
+// entries from an older catalog the taxonomy derives whatever is missing. Same taxonomy
+// and code as the frontend's getMusicContext (game.js).
+import { taxonomy } from "../search/taxonomy.js";
+
+export const MOODS = taxonomy.moods;
+export const CATEGORIES = taxonomy.categories;
+export const MODES = taxonomy.modes;
+export const ENERGY_LEVELS = taxonomy.energyLevels;
+
+export function musicContextOf(sound) {
+  return taxonomy.classify(sound);
+}
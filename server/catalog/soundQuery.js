@@ -0,0 +1,140 @@
+// server/catalog/soundQuery.js
+// Filtering, pagination and facets for GET /sounds.
+// Query parameters (all optional):
+//   type=music,sfx          tags=a,b&tagMatch=any|all (default all)
+//   mood=dark  category=fantasy  loop=true|false  q=free text (ranked by relevance)
+//   limit=50 (max 500)  cursor=<nextCursor from the previous page>
+//   facets=tags,type,mood,category  counts over the filtered set
+import { musicContextOf, MOODS, CATEGORIES } from "./soundContext.js";
+
+export const QUERY_PARAMS = ["type", "tags", "tagMatch", "mood", "category", "loop", "q", "limit", "cursor", "facets"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const FACETS = ["tags", "type", "mood", "category"];
+const MAX_TAG_FACETS = 50;
+
+const list = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+export function isSoundQuery(query) {
+  return QUERY_PARAMS.some((p) => query[p] !== undefined);
+}
+
+const encodeCursor = (offset, version) => Buffer.from(JSON.stringify({ o: offset, v: version })).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const { o, v } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf-8"));
+    return Number.isInteger(o) && o >= 0 ? { offset: o, version: v } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Validate query parameters.
+ * @returns {{ filters?: object, error?: string }}
+ */
+export function parseSoundQuery(query) {
+  const filters = { tagMatch: "all", limit: DEFAULT_LIMIT, offset: 0, cursorVersion: null, facets: [] };
+  if (query.type !== undefined) filters.types = list(query.type);
+  if (query.tags !== undefined) filters.tags = list(query.tags);
+  if (query.tagMatch !== undefined) {
+    if (!["any", "all"].includes(query.tagMatch)) return { error: "tagMatch must be any or all" };
+    filters.tagMatch = query.tagMatch;
+  }
+  if (query.mood !== undefined) {
+    filters.moods = list(query.mood);
+    if (filters.moods.some((m) => !MOODS.includes(m))) return { error: `mood must be one of ${MOODS.join(", ")}` };
+  }
+  if (query.category !== undefined) {
+    filters.categories = list(query.category);
+    if (filters.categories.some((c) => !CATEGORIES.includes(c))) {
+      return { error: `category must be one of ${CATEGORIES.join(", ")}` };
+    }
+  }
+  if (query.loop !== undefined) {
+    if (!["true", "false"].includes(query.loop)) return { error: "loop must be true or false" };
+    filters.loop = query.loop === "true";
+  }
+  if (query.q !== undefined) filters.q = String(query.q).trim();
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: `limit must be 1-${MAX_LIMIT}` };
+    filters.limit = limit;
+  }
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "cursor is invalid" };
+    filters.offset = cursor.offset;
+    filters.cursorVersion = cursor.version;
+  }
+  if (query.facets !== undefined) {
+    filters.facets = list(query.facets);
+    if (filters.facets.some((f) => !FACETS.includes(f))) return { error: `facets must be from ${FACETS.join(", ")}` };
+  }
+  return { filters };
+}
+
+function countFacet(sounds, valuesOf) {
+  const counts = new Map();
+  for (const sound of sounds) {
+    for (const value of valuesOf(sound)) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Run a parsed query against the catalog.
+ * @param {{ catalog: object[], index: object, version: string, filters: object }} options
+ * @returns {{ total: number, sounds: object[], nextCursor: string|null, facets?: object }}
+ */
+export function runSoundQuery({ catalog, index, version, filters }) {
+  const contextOf = (s) => (s.mood && s.category ? s : musicContextOf(s));
+  let sounds = catalog;
+  if (filters.q) {
+    // Relevance order; scoring covers the whole catalog so filters below still apply
+    sounds = index.search(filters.q, { limit: catalog.length }).map((r) => r.sound);
+  }
+  sounds = sounds.filter((s) => {
+    if (filters.types && !filters.types.includes(s.type)) return false;
+    if (filters.loop !== undefined && !!s.loop !== filters.loop) return false;
+    if (filters.tags) {
+      const tags = new Set((s.tags || []).map((t) => String(t).toLowerCase()));
+      const hit = (t) => tags.has(t);
+      if (filters.tagMatch === "any" ? !filters.tags.some(hit) : !filters.tags.every(hit)) return false;
+    }
+    if (filters.moods || filters.categories) {
+      const ctx = contextOf(s);
+      if (filters.moods && !filters.moods.includes(ctx.mood)) return false;
+      if (filters.categories && !filters.categories.includes(ctx.category)) return false;
+    }
+    return true;
+  });
+
+  const page = sounds.slice(filters.offset, filters.offset + filters.limit);
+  const nextOffset = filters.offset + page.length;
+  const result = {
+    total: sounds.length,
+    sounds: page,
+    nextCursor: nextOffset < sounds.length ? encodeCursor(nextOffset, version) : null,
+  };
+
+  if (filters.facets.length > 0) {
+    result.facets = {};
+    if (filters.facets.includes("type")) result.facets.type = countFacet(sounds, (s) => [s.type]);
+    if (filters.facets.includes("tags")) {
+      result.facets.tags = countFacet(sounds, (s) => new Set(s.tags || [])).slice(0, MAX_TAG_FACETS);
+    }
+    if (filters.facets.includes("mood")) result.facets.mood = countFacet(sounds, (s) => [contextOf(s).mood]);
+    if (filters.facets.includes("category")) {
+      result.facets.category = countFacet(sounds, (s) => [contextOf(s).category]);
+    }
+  }
+  return result;
+}
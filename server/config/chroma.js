@@ -4,18 +4,29 @@ import { CloudClient } from "chromadb";
 
 dotenv.config();
 
-const client = new CloudClient({
-  apiKey: process.env.CHROMA_API_KEY,
-  tenant: process.env.CHROMA_TENANT,
-  database: process.env.CHROMA_DATABASE,
-});
+// Without credentials the server runs on the local lexical index (see ../search)
+export const isChromaConfigured =
+  !!process.env.CHROMA_API_KEY && !process.env.CHROMA_API_KEY.includes("your_");
 
 // for CueAI we want a stable name:
-const COLLECTION_NAME = process.env.CHROMA_COLLECTION || "cueai-sounds";
+export const COLLECTION_NAME = process.env.CHROMA_COLLECTION || "cueai-sounds";
 
-const chromaCollectionPromise = client.getOrCreateCollection({
-  name: COLLECTION_NAME,
-  metadata: { app: "CueAI", type: "sounds" },
-});
+let chromaCollectionPromise;
+if (isChromaConfigured) {
+  const client = new CloudClient({
+    apiKey: process.env.CHROMA_API_KEY,
+    tenant: process.env.CHROMA_TENANT,
+    database: process.env.CHROMA_DATABASE,
+  });
+
+  chromaCollectionPromise = client.getOrCreateCollection({
+    name: COLLECTION_NAME,
+    metadata: { app: "CueAI", type: "sounds" },
+  });
+} else {
+  chromaCollectionPromise = Promise.reject(new Error("Chroma is not configured (CHROMA_API_KEY missing)"));
+}
+// Callers await this per request; keep an early failure from becoming an unhandled rejection
+chromaCollectionPromise.catch(() => {});
 
 export default chromaCollectionPromise;
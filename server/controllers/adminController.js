@@ -0,0 +1,48 @@
+// server/controllers/adminController.js
+import { loadSoundCatalog } from "../catalog/catalogStore.js";
+import { readRecentAuditEntries } from "../middleware/auditLog.js";
+import { describeDecisionCache, flushDecisionCache } from "../analysis/decisionCache.js";
+
+// POST /admin/reload-catalog - re-read soundCatalog.json without restarting
+export const reloadCatalog = async (req, res) => {
+  try {
+    const { count, previousCount, version, changed } = await loadSoundCatalog();
+    res.locals.audit = { sounds: count, previous: previousCount, version, changed };
+    res.json({
+      message: changed ? "Catalog reloaded" : "Catalog unchanged",
+      version,
+      changed,
+      sounds: count,
+      previous: previousCount,
+    });
+  } catch (err) {
+    req.log.error("Catalog reload failed", { err: err.message });
+    res.locals.audit = { error: err.message };
+    res.status(500).json({ error: "Failed to reload catalog", details: err.message });
+  }
+};
+
+// GET /admin/audit?limit=50 - most recent admin actions, newest first
+export const listAuditEntries = async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  try {
+    const entries = await readRecentAuditEntries(limit);
+    res.json({ count: entries.length, entries });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to read audit log", details: err.message });
+  }
+};
+
+// GET /admin/decision-cache?limit=50 - cache settings, hit counters and most recently used entries
+export const inspectDecisionCache = (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.json(describeDecisionCache({ limit }));
+};
+
+// DELETE /admin/decision-cache?mode=dnd - drop cached decisions (all, or one mode's)
+export const clearDecisionCache = (req, res) => {
+  const mode = req.query.mode ? String(req.query.mode) : undefined;
+  const flushed = flushDecisionCache({ mode });
+  res.locals.audit = { flushed, ...(mode ? { mode } : {}) };
+  res.json({ message: "Decision cache flushed", flushed, ...(mode ? { mode } : {}) });
+};
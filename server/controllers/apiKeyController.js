@@ -0,0 +1,39 @@
+// server/controllers/apiKeyController.js
+// Issue, list and revoke client API keys (see ../apiKeys). The plaintext key is only ever
+// in the create response; audit entries record the key's id and prefix.
+import { createApiKey, revokeApiKey, listApiKeys, describePlans, isKnownPlan, monthOf } from "../apiKeys/index.js";
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// POST /admin/api-keys { name, plan?, monthlyTokens?, rateLimits? } - body checked by validateBody
+export const createKey = (req, res) => {
+  const { name, plan, monthlyTokens, rateLimits } = req.body;
+  if (plan !== undefined && !isKnownPlan(plan)) {
+    const { plans } = describePlans();
+    return res.status(400).json({ error: `Unknown plan: ${plan} (expected ${Object.keys(plans).join(", ")})` });
+  }
+  const { key, apiKey } = createApiKey({ name, plan, monthlyTokens, rateLimits, createdBy: req.adminActor || null });
+  res.locals.audit = { id: apiKey.id, name: apiKey.name, plan: apiKey.plan, prefix: apiKey.prefix };
+  res.status(201).json({ message: "API key created; store it now, it cannot be shown again", key, apiKey });
+};
+
+// GET /admin/api-keys?month=2026-10&revoked=false - keys with that month's usage and quota
+export const listKeys = (req, res) => {
+  const month = req.query.month ? String(req.query.month) : monthOf();
+  if (!MONTH_PATTERN.test(month)) {
+    return res.status(400).json({ error: "month must look like 2026-10" });
+  }
+  const keys = listApiKeys({ month, includeRevoked: req.query.revoked !== "false" });
+  res.json({ month, ...describePlans(), count: keys.length, keys });
+};
+
+// DELETE /admin/api-keys/:id - revoke (usage history is kept)
+export const revokeKey = (req, res) => {
+  const result = revokeApiKey(req.params.id);
+  if (!result) {
+    return res.status(404).json({ error: `Unknown API key id: ${req.params.id}` });
+  }
+  const { apiKey, alreadyRevoked } = result;
+  res.locals.audit = { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix, alreadyRevoked };
+  res.json({ message: alreadyRevoked ? "API key was already revoked" : "API key revoked", apiKey });
+};
@@ -1,61 +1,167 @@
 // server/controllers/chromaController.js
-import chromaCollectionPromise from "../config/chroma.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+// Keeps the Chroma collection in step with soundCatalog.json.
+// Each record stores a content hash of its document + metadata, so a sync only
+// upserts sounds that are new or changed and deletes IDs no longer in the catalog.
+import chromaCollectionPromise, { COLLECTION_NAME, isChromaConfigured } from "../config/chroma.js";
+import { CATALOG_PATH } from "../catalog/catalogStore.js";
+import { readFile } from "fs/promises";
+import { createHash } from "crypto";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const SYNC_BATCH_SIZE = Number(process.env.CHROMA_SYNC_BATCH_SIZE) || 100;
+const GET_PAGE_SIZE = 300;
 
+// Document + metadata exactly as stored in Chroma, plus the hash of both
+function toRecord(s) {
+  // document is what we want to match against later
+  const document = `${s.id} ${s.type || ""} ${Array.isArray(s.tags) ? s.tags.join(" ") : ""}`;
+  const metadata = {
+    type: s.type || "sfx",
+    tags: Array.isArray(s.tags) ? s.tags.join(",") : "", // Convert array to comma-separated string
+    src: s.src || "",
+  };
+  const hash = createHash("sha256").update(JSON.stringify([document, metadata])).digest("hex").slice(0, 16);
+  return { id: s.id, document, metadata: { ...metadata, hash } };
+}
+
+async function loadCatalogRecords() {
+  const sounds = JSON.parse(await readFile(CATALOG_PATH, "utf-8"));
+  const records = new Map();
+  const duplicates = new Set();
+  for (const s of sounds) {
+    if (records.has(s.id)) duplicates.add(s.id); // last entry wins, like a catalog lookup by id
+    records.set(s.id, toRecord(s));
+  }
+  return { records, duplicates: [...duplicates] };
+}
+
+// id -> stored hash ("" for records synced before hashes existed)
+async function loadCollectionHashes(collection) {
+  const hashes = new Map();
+  for (let offset = 0; ; offset += GET_PAGE_SIZE) {
+    const page = await collection.get({ include: ["metadatas"], limit: GET_PAGE_SIZE, offset });
+    page.ids.forEach((id, i) => hashes.set(id, page.metadatas?.[i]?.hash || ""));
+    if (page.ids.length < GET_PAGE_SIZE) break;
+  }
+  return hashes;
+}
+
+async function computeDiff(collection) {
+  const [{ records, duplicates }, existing] = await Promise.all([
+    loadCatalogRecords(),
+    loadCollectionHashes(collection),
+  ]);
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [id, record] of records) {
+    if (!existing.has(id)) added.push(id);
+    else if (existing.get(id) !== record.metadata.hash) changed.push(id);
+    else unchanged++;
+  }
+  const removed = [...existing.keys()].filter((id) => !records.has(id));
+  return { records, duplicates, existing, added, changed, removed, unchanged };
+}
+
+async function runBatches(op, ids, fn) {
+  const results = [];
+  for (let i = 0; i < ids.length; i += SYNC_BATCH_SIZE) {
+    const batch = ids.slice(i, i + SYNC_BATCH_SIZE);
+    const started = Date.now();
+    try {
+      await fn(batch);
+      results.push({ op, size: batch.length, ok: true, ms: Date.now() - started });
+    } catch (err) {
+      results.push({ op, size: batch.length, ok: false, ms: Date.now() - started, error: err.message });
+      break; // leave the rest for the next sync; the diff will pick it up again
+    }
+  }
+  return results;
+}
+
+// POST /admin/sync-chroma[?dryRun=1]
 export const syncSoundsToChroma = async (req, res) => {
+  const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+  const started = Date.now();
   try {
     const collection = await chromaCollectionPromise;
+    const diff = await computeDiff(collection);
+    const upsertIds = [...diff.added, ...diff.changed];
 
-    // read the local sound catalog
-    const catalogPath = path.join(__dirname, "..", "soundCatalog.json");
-    const raw = fs.readFileSync(catalogPath, "utf-8");
-    const sounds = JSON.parse(raw);
-
-    // make arrays for Chroma
-    const ids = [];
-    const documents = [];
-    const metadatas = [];
-
-    for (const s of sounds) {
-      ids.push(s.id);
-      // document is what we want to match against later
-      documents.push(
-        `${s.id} ${s.type || ""} ${Array.isArray(s.tags) ? s.tags.join(" ") : ""}`
-      );
-      metadatas.push({
-        type: s.type || "sfx",
-        tags: Array.isArray(s.tags) ? s.tags.join(",") : "", // Convert array to comma-separated string
-        src: s.src || "",
-      });
-    }
+    const report = {
+      message: dryRun ? "Dry run: no changes written" : "Synced sounds to Chroma",
+      dryRun,
+      collection: COLLECTION_NAME,
+      catalogCount: diff.records.size,
+      collectionCountBefore: diff.existing.size,
+      added: { count: diff.added.length, ids: diff.added },
+      changed: { count: diff.changed.length, ids: diff.changed },
+      removed: { count: diff.removed.length, ids: diff.removed },
+      unchanged: diff.unchanged,
+      duplicateIds: diff.duplicates,
+      operations: [],
+    };
 
-    // Delete existing entries first to handle updates
-    try {
-      await collection.delete({ ids });
-      console.log('Cleared existing sound entries from Chroma');
-    } catch (err) {
-      // Ignore if IDs don't exist yet
-      console.log('No existing entries to clear (first sync)');
+    if (!dryRun) {
+      report.operations.push(
+        ...(await runBatches("upsert", upsertIds, (ids) => {
+          const batch = ids.map((id) => diff.records.get(id));
+          return collection.upsert({
+            ids,
+            documents: batch.map((r) => r.document),
+            metadatas: batch.map((r) => r.metadata),
+          });
+        }))
+      );
+      // Only delete orphans once every upsert went through
+      if (report.operations.every((o) => o.ok)) {
+        report.operations.push(...(await runBatches("delete", diff.removed, (ids) => collection.delete({ ids }))));
+      }
     }
 
-    // Add new/updated entries
-    await collection.add({
-      ids,
-      documents,
-      metadatas,
+    report.ok = report.operations.every((o) => o.ok);
+    res.locals.audit = {
+      dryRun,
+      added: diff.added.length,
+      changed: diff.changed.length,
+      removed: diff.removed.length,
+      ok: report.ok,
+    };
+    report.durationMs = Date.now() - started;
+    req.log.info("Chroma sync", {
+      dryRun,
+      added: diff.added.length,
+      changed: diff.changed.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged,
+      ok: report.ok,
     });
+    res.status(report.ok ? 200 : 502).json(report);
+  } catch (err) {
+    req.log.error("Chroma sync failed", { err });
+    res.locals.audit = { dryRun, error: err.message };
+    res.status(500).json({ error: "Failed to sync to Chroma", details: err.message });
+  }
+};
 
+// GET /admin/chroma-status - collection size against catalog size and what a sync would do
+export const getChromaStatus = async (req, res) => {
+  if (!isChromaConfigured) {
+    return res.json({ configured: false, collection: COLLECTION_NAME });
+  }
+  try {
+    const collection = await chromaCollectionPromise;
+    const diff = await computeDiff(collection);
     res.json({
-      message: "Synced sounds to Chroma",
-      count: sounds.length,
+      configured: true,
+      collection: COLLECTION_NAME,
+      collectionCount: diff.existing.size,
+      catalogCount: diff.records.size,
+      inSync: diff.added.length + diff.changed.length + diff.removed.length === 0,
+      pending: { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length },
+      unchanged: diff.unchanged,
     });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Failed to sync to Chroma", details: err.message });
+    req.log.error("Chroma status check failed", { err });
+    res.status(502).json({ configured: true, collection: COLLECTION_NAME, error: err.message });
   }
 };
@@ -0,0 +1,78 @@
+// server/health/checker.js
+// Runs dependency checks in the background and caches the results, so health endpoints
+// answer instantly and probes never hit upstream services themselves.
+// A check is { name, required, run({ signal }) } where run resolves to
+// { status: "ok" | "unconfigured", details? } or throws (recorded as status "error").
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * @param {Object} options
+ * @param {Array<{ name: string, required?: boolean, run: Function }>} options.checks
+ * @param {number} options.intervalMs - time between rounds
+ * @param {number} [options.timeoutMs] - per-check timeout
+ * @param {(name: string, result: Object, previous: Object) => void} [options.onChange] - status transitions
+ */
+export function createHealthChecker({ checks, intervalMs, timeoutMs = DEFAULT_TIMEOUT_MS, onChange = () => {} }) {
+  const results = new Map(
+    checks.map((check) => [
+      check.name,
+      { status: "pending", required: !!check.required, checkedAt: null, latencyMs: null, error: null, details: null },
+    ])
+  );
+  let timer = null;
+  let running = null;
+
+  async function runCheck(check) {
+    const started = Date.now();
+    const signal = AbortSignal.timeout(timeoutMs);
+    let result;
+    try {
+      const outcome = await Promise.race([
+        check.run({ signal }),
+        new Promise((_, reject) => {
+          signal.addEventListener("abort", () => reject(new Error(`timed out after ${timeoutMs}ms`)), { once: true });
+        }),
+      ]);
+      result = { status: outcome?.status || "ok", error: null, details: outcome?.details ?? null };
+    } catch (err) {
+      result = { status: "error", error: err.message, details: null };
+    }
+    const previous = results.get(check.name);
+    const next = {
+      ...result,
+      required: !!check.required,
+      checkedAt: new Date().toISOString(),
+      latencyMs: Date.now() - started,
+    };
+    results.set(check.name, next);
+    if (previous.status !== next.status) onChange(check.name, next, previous);
+    return next;
+  }
+
+  // One round of every check in parallel; concurrent callers share the round in flight
+  function runAll() {
+    if (!running) {
+      running = Promise.all(checks.map(runCheck)).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    runAll();
+    timer = setInterval(runAll, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  const snapshot = () => Object.fromEntries([...results].map(([name, result]) => [name, { ...result }]));
+
+  return { start, stop, runAll, snapshot, intervalMs };
+}
@@ -0,0 +1,145 @@
+// server/health/index.js
+// Dependency checks behind /readyz, /health and /health/details. Upstream services are
+// checked in the background every HEALTH_CHECK_INTERVAL_MS (default 60s) and the cached
+// results are served, so probes stay cheap. Readiness (catalog + search index loaded, not
+// shutting down) is computed on every call since it only looks at in-process state.
+//
+// Dependency status: "pending" (not checked yet), "ok", "error" or "unconfigured".
+// `required` dependencies decide readiness; the others only make the server "degraded".
+import chromaCollectionPromise, { isChromaConfigured, COLLECTION_NAME } from "../config/chroma.js";
+import { soundCatalog, soundIndex, catalogVersion, catalogLoadedAt, catalogLoadError } from "../catalog/catalogStore.js";
+import { checkLLM } from "../llm/index.js";
+import { logger } from "../observability/logger.js";
+import { isShuttingDown } from "../lifecycle/index.js";
+import { createHealthChecker } from "./checker.js";
+
+const CHECK_INTERVAL_MS = Number(process.env.HEALTH_CHECK_INTERVAL_MS) || 60000;
+
+const hasKey = (value) => !!value && !value.includes("your_");
+
+/**
+ * Why the server can't serve /analyze and /sounds yet (empty when ready).
+ * @returns {{ ready: boolean, reasons: string[] }}
+ */
+export function getReadiness() {
+  const reasons = [];
+  if (!catalogVersion) {
+    reasons.push(catalogLoadError ? `sound catalog failed to load: ${catalogLoadError.message}` : "sound catalog not loaded yet");
+  } else if (soundCatalog.length === 0) {
+    reasons.push("sound catalog is empty");
+  } else if (soundIndex.size !== soundCatalog.length) {
+    reasons.push("search index not built");
+  }
+  if (isShuttingDown()) reasons.push("server is shutting down");
+  return { ready: reasons.length === 0, reasons };
+}
+
+const checks = [
+  {
+    name: "catalog",
+    required: true,
+    async run() {
+      const { reasons } = getReadiness();
+      if (!catalogVersion || soundCatalog.length === 0) throw new Error(reasons[0]);
+      return {
+        status: soundIndex.size === soundCatalog.length ? "ok" : "error",
+        details: {
+          sounds: soundCatalog.length,
+          version: catalogVersion,
+          loadedAt: catalogLoadedAt,
+          // A failed reload keeps the previous catalog; still worth showing
+          ...(catalogLoadError ? { lastLoadError: catalogLoadError } : {}),
+        },
+      };
+    },
+  },
+  {
+    name: "searchIndex",
+    required: true,
+    async run() {
+      if (soundIndex.size === 0 || soundIndex.size !== soundCatalog.length) {
+        throw new Error(`index has ${soundIndex.size} of ${soundCatalog.length} sounds`);
+      }
+      return { details: { documents: soundIndex.size } };
+    },
+  },
+  {
+    name: "llm",
+    run: checkLLM,
+  },
+  {
+    name: "chroma",
+    async run() {
+      if (!isChromaConfigured) return { status: "unconfigured", details: { fallback: "local search index" } };
+      const collection = await chromaCollectionPromise;
+      const count = await collection.count();
+      return { details: { collection: COLLECTION_NAME, count } };
+    },
+  },
+  {
+    name: "deepgram",
+    async run({ signal }) {
+      if (!hasKey(process.env.DEEPGRAM_API_KEY)) return { status: "unconfigured" };
+      const response = await fetch("https://api.deepgram.com/v1/projects", {
+        headers: { Authorization: `Token ${process.env.DEEPGRAM_API_KEY}` },
+        signal,
+      });
+      if (!response.ok) throw new Error(`Deepgram answered ${response.status}`);
+      return {};
+    },
+  },
+  {
+    // Audio files come from the CDN URLs in the catalog; fetch one byte of one of them
+    name: "media",
+    async run({ signal }) {
+      const sample = soundCatalog.find((s) => /^https?:\/\//.test(s.src || ""));
+      if (!sample) return { status: "unconfigured", details: { reason: "no remote media URLs in the catalog" } };
+      const response = await fetch(sample.src, { headers: { Range: "bytes=0-0" }, signal });
+      response.body?.cancel().catch(() => {});
+      const host = new URL(sample.src).host;
+      if (!response.ok) throw new Error(`${host} answered ${response.status} for ${sample.id}`);
+      return { details: { host, sample: sample.id } };
+    },
+  },
+  {
+    // Not used by the server yet; only reports whether a key is set
+    name: "pixabay",
+    async run() {
+      return hasKey(process.env.PIXABAY_API_KEY) ? { details: { checked: false } } : { status: "unconfigured" };
+    },
+  },
+];
+
+const checker = createHealthChecker({
+  checks,
+  intervalMs: CHECK_INTERVAL_MS,
+  onChange(name, result, previous) {
+    if (result.status === "error") {
+      logger.warn("Dependency check failing", { dependency: name, error: result.error });
+    } else if (previous.status === "error") {
+      logger.info("Dependency check recovered", { dependency: name, status: result.status });
+    }
+  },
+});
+
+export const startHealthChecks = () => checker.start();
+export const stopHealthChecks = () => checker.stop();
+
+/**
+ * Cached dependency results plus overall status.
+ * status: "not_ready" (see getReadiness), "degraded" (a configured dependency is failing) or "ok"
+ */
+export function getHealthDetails() {
+  const { ready, reasons } = getReadiness();
+  const dependencies = checker.snapshot();
+  const failing = Object.entries(dependencies)
+    .filter(([, dep]) => dep.status === "error")
+    .map(([name]) => name);
+  return {
+    status: !ready ? "not_ready" : failing.length > 0 ? "degraded" : "ok",
+    ready,
+    reasons: [...reasons, ...failing.filter((name) => !dependencies[name].required).map((name) => `${name}: ${dependencies[name].error}`)],
+    checkIntervalMs: checker.intervalMs,
+    dependencies,
+  };
+}
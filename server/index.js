@@ -1,18 +1,92 @@
 // ===== CUEAI SERVER - Node Backend =====
-// Handles: Deepgram STT, Chroma vector search, OpenAI analysis
-// Endpoints: /sounds, /analyze, /health
-// WebSocket: /ws/transcribe for real-time Deepgram streaming
+// Handles: streaming STT (Deepgram/Vosk/fake), Chroma vector search, LLM analysis (OpenAI/compatible/mock)
+// Endpoints: /sounds, /search, /analyze, /analyze/stream, /health, /health/details, /livez, /readyz, /metrics, /openapi.json
+// API keys (X-API-Key) on /analyze, /sounds and the WebSocket: plans, quotas and usage in ./apiKeys
+// WebSocket: /ws/transcribe for real-time speech-to-text streaming
 
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { WebSocketServer, WebSocket } from 'ws';
-import { readFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { once } from 'events';
 import { ChromaClient } from 'chromadb';
 import adminRouter from './routes/admin.js';
-import chromaCollectionPromise from './config/chroma.js';
+import chromaCollectionPromise, { isChromaConfigured } from './config/chroma.js';
+import {
+  soundCatalog,
+  soundIndex,
+  catalogVersion,
+  loadSoundCatalog,
+  getCatalogDelta,
+  getSoundById,
+  watchSoundCatalog
+} from './catalog/catalogStore.js';
+import { isSoundQuery, parseSoundQuery, runSoundQuery } from './catalog/soundQuery.js';
+import {
+  rateLimit,
+  allowUpgrade,
+  closeRateLimitStore,
+  describeRateLimits,
+  RATE_LIMIT_HEADERS,
+  TRUSTED_PROXY_HOPS
+} from './rateLimit/index.js';
+import {
+  requireApiKey,
+  enforceTokenQuota,
+  authenticateUpgrade,
+  recordRequest,
+  recordTokenUsage,
+  recordSttSeconds,
+  closeApiKeyStore
+} from './apiKeys/index.js';
+import { createSttProvider, resolveSttProviderName } from './stt/index.js';
+import { completeChat, streamChat, isLLMConfigured, describeLLM } from './llm/index.js';
+import {
+  getSession,
+  appendTranscript,
+  recordDecision,
+  needsSummary,
+  compactSession
+} from './analysis/sessionMemory.js';
+import { parseModelJSON, validateModelOutput, buildCorrectionPrompt } from './analysis/decisionSchema.js';
+import { buildAnalysisPrompt } from './analysis/promptBuilder.js';
+import { createDecisionStreamParser } from './analysis/decisionStream.js';
+import { isDecisionCacheEnabled, lookupDecision, storeDecision } from './analysis/decisionCache.js';
+import { logger } from './observability/logger.js';
+import {
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+  chromaDuration,
+  chromaFailures,
+  wsConnections,
+  wsConnectionsTotal,
+  catalogSounds
+} from './observability/metrics.js';
+import { requestContext } from './middleware/requestContext.js';
+import { openApiDocument } from './openapi/spec.js';
+import { validateBody, jsonBodyErrors } from './openapi/validate.js';
+import { startHealthChecks, stopHealthChecks, getReadiness, getHealthDetails } from './health/index.js';
+import {
+  isShuttingDown,
+  trackWork,
+  trackRequests,
+  rejectWhileShuttingDown,
+  addDrainHook,
+  addCleanupHook,
+  installShutdownHandlers
+} from './lifecycle/index.js';
+import {
+  DEFAULT_AUDIO_FORMAT,
+  parseClientMessage,
+  parseStartMessage,
+  readyMessage,
+  pongMessage,
+  errorMessage,
+  goingAwayMessage
+} from './stt/protocol.js';
 
 dotenv.config();
 
@@ -21,57 +95,20 @@ const PORT = process.env.PORT || 3000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Simple in-memory rate limiting (per IP)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX = 10; // 10 requests per minute
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  const record = rateLimitMap.get(ip) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  if (now > record.resetTime) {
-    // Reset window
-    record.count = 1;
-    record.resetTime = now + RATE_LIMIT_WINDOW;
-    rateLimitMap.set(ip, record);
-    return true;
-  }
-  
-  if (record.count >= RATE_LIMIT_MAX) {
-    return false;
-  }
-  
-  record.count++;
-  rateLimitMap.set(ip, record);
-  return true;
-}
-
-// Clean up old rate limit entries every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  
-  // Remove expired entries
-  for (const [ip, record] of rateLimitMap.entries()) {
-    if (now > record.resetTime) {
-      rateLimitMap.delete(ip);
-    }
-  }
-  
-  // Prevent memory leak: if map grows too large, clear oldest entries
-  if (rateLimitMap.size > 10000) {
-    const entries = Array.from(rateLimitMap.entries());
-    // Sort by resetTime and keep only newest 5000
-    entries.sort((a, b) => b[1].resetTime - a[1].resetTime);
-    rateLimitMap.clear();
-    entries.slice(0, 5000).forEach(([ip, record]) => rateLimitMap.set(ip, record));
-    console.warn(`⚠️  Rate limit map grew to ${entries.length}, trimmed to 5000`);
-  }
-}, 300000);
+// Behind Render's proxy: take the client IP from X-Forwarded-For, for TRUST_PROXY hops
+// (default 1 on Render, none elsewhere; the rate limiter uses the same count)
+app.set('trust proxy', TRUSTED_PROXY_HOPS || false);
 
 // Middleware
-app.use(cors());
+// Request ID (X-Request-Id), req.log, access log and HTTP metrics; first so it sees every request
+app.use(requestContext);
+// During shutdown new requests get 503; probes keep answering so /readyz can report it
+app.use(rejectWhileShuttingDown(['/livez', '/readyz', '/health', '/health/details', '/metrics']));
+// api.js reads ETag to revalidate /sounds, the RateLimit headers to back off and
+// X-Request-Id to put in its error messages
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id', ...RATE_LIMIT_HEADERS] }));
 app.use(express.json());
+app.use(jsonBodyErrors); // malformed JSON -> 400 { error, details }
 
 // Serve /media locally as a transparent fallback if CDN fails
 // This enables the frontend to try /media URLs when R2 returns 404
@@ -92,28 +129,116 @@ app.use((req, res, next) => {
 // Admin routes
 app.use('/admin', adminRouter);
 
-// ===== LOAD SOUND CATALOG =====
-let soundCatalog = [];
-
-async function loadSoundCatalog() {
-  try {
-    const data = await readFile('./soundCatalog.json', 'utf-8');
-    soundCatalog = JSON.parse(data);
-    console.log(`✓ Loaded ${soundCatalog.length} sounds from catalog`);
-    
-    // NOTE: Media files now hosted on Cloudflare R2 CDN
-    // No local file validation needed - all URLs point to remote storage
-    console.log(`✓ All media files served from Cloudflare R2`);
-  } catch (err) {
-    console.error('Failed to load sound catalog:', err.message);
+// GET /metrics - Prometheus text format (see ./observability/metrics.js)
+// Set METRICS_TOKEN to require `Authorization: Bearer <token>` from the scraper
+const metricsTokenDigest = process.env.METRICS_TOKEN
+  ? createHash('sha256').update(process.env.METRICS_TOKEN).digest()
+  : null;
+catalogSounds.collect((set) => {
+  const byType = {};
+  soundCatalog.forEach(s => { byType[s.type] = (byType[s.type] || 0) + 1; });
+  Object.entries(byType).forEach(([type, count]) => set({ type }, count));
+});
+app.get('/metrics', (req, res) => {
+  if (metricsTokenDigest) {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!timingSafeEqual(createHash('sha256').update(token).digest(), metricsTokenDigest)) {
+      return res.status(401).json({ error: 'Metrics token required' });
+    }
   }
-}
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
+
+// GET /openapi.json - API description; request bodies are validated against it (see ./openapi)
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// ===== SOUND CATALOG =====
+// Loaded at startup (see bottom of file), reloaded when soundCatalog.json changes on disk
+// or via POST /admin/reload-catalog; state and versioning live in ./catalog/catalogStore.js.
+// NOTE: Media files are hosted on Cloudflare R2 CDN; no local file validation needed.
 
 // ===== ENDPOINTS =====
 
-// GET /sounds - return full sound catalog
-app.get('/sounds', (req, res) => {
-  res.json({ sounds: soundCatalog });
+// Answer 304 when the client already has this representation
+function notModified(req, res, etag) {
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+  const ifNoneMatch = req.get('If-None-Match');
+  return !!ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// GET /sounds - full catalog, or ?since=<version> for only what changed since then,
+// or a filtered/paginated query (see ./catalog/soundQuery.js for the parameters).
+// ETag is the catalog version, so unchanged catalogs cost a 304.
+app.get('/sounds', requireApiKey('sounds'), rateLimit('sounds'), (req, res) => {
+  if (isSoundQuery(req.query)) {
+    if (req.query.since) {
+      return res.status(400).json({ error: 'since cannot be combined with filters' });
+    }
+    const { filters, error } = parseSoundQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (filters.cursorVersion && filters.cursorVersion !== catalogVersion) {
+      return res.status(409).json({ error: 'Catalog changed since this cursor was issued; restart from the first page', version: catalogVersion });
+    }
+    const queryHash = createHash('sha256').update(new URLSearchParams(req.query).toString()).digest('hex').slice(0, 12);
+    if (notModified(req, res, `"${catalogVersion}:q${queryHash}"`)) {
+      return res.status(304).end();
+    }
+    const result = runSoundQuery({ catalog: soundCatalog, index: soundIndex, version: catalogVersion, filters });
+    return res.json({ version: catalogVersion, ...result });
+  }
+  
+  const since = req.query.since ? String(req.query.since) : null;
+  // Unknown or expired `since` versions get a full response
+  const delta = since ? getCatalogDelta(since) : null;
+  if (notModified(req, res, `"${catalogVersion}${delta ? `:${since}` : ''}"`)) {
+    return res.status(304).end();
+  }
+  
+  if (delta) {
+    return res.json({ version: catalogVersion, since, full: false, ...delta });
+  }
+  res.json({ version: catalogVersion, full: true, sounds: soundCatalog });
+});
+
+// GET /sounds/:id - single catalog entry
+app.get('/sounds/:id', requireApiKey('sounds'), rateLimit('sounds'), (req, res) => {
+  const sound = getSoundById(req.params.id);
+  if (!sound) {
+    return res.status(404).json({ error: `Unknown sound id: ${req.params.id}` });
+  }
+  if (notModified(req, res, `"${catalogVersion}:${sound.id}"`)) {
+    return res.status(304).end();
+  }
+  res.json({ version: catalogVersion, sound });
+});
+
+// GET /search?q=&type=&limit= - local lexical search (BM25 + synonyms + fuzzy), no Chroma needed
+app.get('/search', rateLimit('search'), (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  const type = req.query.type ? String(req.query.type) : undefined;
+  if (type && !['music', 'sfx', 'ambience'].includes(type)) {
+    return res.status(400).json({ error: 'type must be music, sfx or ambience' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  
+  const results = soundIndex.search(q, { type, limit }).map(r => ({
+    id: r.sound.id,
+    type: r.sound.type,
+    score: r.score,
+    matched: r.matched,
+    tags: r.sound.tags,
+    src: r.sound.src
+  }));
+  res.json({ query: q, engine: 'lexical', count: results.length, results });
 });
 
 // GET /test-chroma - test Chroma connection without OpenAI
@@ -137,344 +262,576 @@ app.get('/test-chroma', async (req, res) => {
   }
 });
 
-// POST /analyze - semantic search + OpenAI analysis
-app.post('/analyze', async (req, res) => {
-  // Rate limiting check
-  const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
-  if (!checkRateLimit(clientIp)) {
-    return res.status(429).json({ 
-      error: 'Too many requests. Please try again in a minute.' 
-    });
+// POST /analyze - semantic search + LLM analysis
+// Rate limited per API key or IP (see ./rateLimit); keyed requests are refused
+// with 402 once the key's monthly token allowance is spent (see ./apiKeys)
+const analyzeGuards = [requireApiKey('analyze'), rateLimit('analyze'), enforceTokenQuota];
+app.post('/analyze', ...analyzeGuards, validateBody('analyze'), trackRequests('analysis'), async (req, res) => {
+  const request = readAnalyzeRequest(req);
+  
+  // Repeated (or nearly repeated) lines reuse an earlier decision (see ./analysis/decisionCache.js)
+  const cacheKey = cacheKeyOf(request);
+  const cached = cacheKey && lookupDecision(cacheKey);
+  if (cached) {
+    return res.json(finishAnalysis(request, cached.decision, { repaired: cached.repaired, cache: cached.meta }));
   }
   
-  const { transcript, mode, context } = req.body;
+  try {
+    const { prompt, llmOptions, stats } = await prepareAnalysis(request);
+    
+    // Step 3 + 4: Call the configured LLM provider and validate against the decision schema
+    const { decision, repaired } = await requestDecision(prompt, llmOptions, { log: req.log, onUsage: request.onUsage });
+    if (cacheKey) storeDecision(cacheKey, { decision, repaired });
+    res.json(finishAnalysis(request, decision, { repaired, stats, cache: cacheMissOf(cacheKey) }));
+  } catch (err) {
+    req.log.error('Analysis error', { err });
+    res.status(500).json({ error: err.message, requestId: req.id });
+  }
+});
+
+// POST /analyze/stream - same request body as /analyze, answered as NDJSON (one event per line):
+//   {"type":"candidates","sfx":[ids],"music":[ids]}   as soon as search + prompt building are done
+//   {"type":"sfx","sfx":{id,when,volume}}              each effect as soon as the model has written it
+//   {"type":"music","music":{...}|null}, {"type":"scene","scene":"..."}   once the response is complete
+//   {"type":"done", ...full /analyze response}        same body /analyze would have returned
+//   {"type":"error","error":"..."}                    instead of done when analysis fails
+// Streamed sfx are validated on their own; if the full response later needs the corrective
+// re-prompt, `done` carries the final decision and clients skip effects they already played.
+// A decision cache hit skips `candidates` and sends the cached events right away.
+app.post('/analyze/stream', ...analyzeGuards, validateBody('analyzeStream'), trackRequests('analysis'), async (req, res) => {
+  const request = readAnalyzeRequest(req);
+  
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no' // keep proxies (nginx, Render) from buffering the stream
+  });
+  res.flushHeaders();
+  const send = (event) => {
+    if (!res.writableEnded && !res.destroyed) res.write(JSON.stringify(event) + '\n');
+  };
   
-  if (!transcript) {
-    return res.status(400).json({ error: 'transcript is required' });
+  const cacheKey = cacheKeyOf(request);
+  const cached = cacheKey && lookupDecision(cacheKey);
+  if (cached) {
+    const { decision } = cached;
+    decision.sfx.forEach(sfx => send({ type: 'sfx', sfx }));
+    send({ type: 'music', music: decision.music });
+    send({ type: 'scene', scene: decision.scene });
+    send({ type: 'done', ...finishAnalysis(request, decision, { repaired: cached.repaired, cache: cached.meta }) });
+    return res.end();
   }
   
   try {
-    // Step 1: Query Chroma for top 5 matching sounds
-    let chromaResults = [];
-    let matchedSounds = [];
+    const { prompt, llmOptions, stats, candidates } = await prepareAnalysis(request);
+    send({
+      type: 'candidates',
+      sfx: candidates.filter(s => s.type !== 'music').map(s => s.id),
+      music: candidates.filter(s => s.type === 'music').map(s => s.id)
+    });
     
+    const parser = createDecisionStreamParser({
+      isKnownId,
+      onSfx: (sfx) => send({ type: 'sfx', sfx })
+    });
+    const { decision, repaired } = await requestDecision(prompt, llmOptions, {
+      onDelta: parser.push,
+      log: req.log,
+      onUsage: request.onUsage
+    });
+    if (cacheKey) storeDecision(cacheKey, { decision, repaired });
+    send({ type: 'music', music: decision.music });
+    send({ type: 'scene', scene: decision.scene });
+    send({ type: 'done', ...finishAnalysis(request, decision, { repaired, stats, cache: cacheMissOf(cacheKey) }) });
+  } catch (err) {
+    req.log.error('Analysis error', { err });
+    send({ type: 'error', error: err.message, requestId: req.id });
+  }
+  res.end();
+});
+
+// Shared request parsing for /analyze and /analyze/stream; the body has already been
+// validated against AnalyzeRequest (./openapi/spec.js)
+// `onUsage` charges model tokens to the request's API key (a no-op without one)
+// @returns {{ transcript, mode, context, debug, session, log, onUsage }}
+function readAnalyzeRequest(req) {
+  const { transcript, mode, context, sessionId } = req.body;
+  const debug = req.query.debug === '1' || req.body.debug === true;
+  
+  // Optional session memory: clients that send a sessionId get a rolling story context
+  const session = sessionId ? getSession(sessionId) : null;
+  if (session) {
+    appendTranscript(session, transcript);
+  }
+  const onUsage = (usage) => recordTokenUsage(req.usageAccount, usage);
+  return { transcript, mode, context, debug, session, log: req.log, onUsage };
+}
+
+// Steps 1 + 2 of an analysis: candidate search and the budgeted prompt
+async function prepareAnalysis({ transcript, mode, context, session, log }) {
+  // Step 1: Query Chroma for top 5 matching sounds (local lexical index when Chroma is unavailable)
+  let chromaResults = [];
+  let matchedSounds = [];
+  
+  const searchLocally = () => soundIndex.search(transcript, { limit: 10 }).map(r => r.sound);
+  if (isChromaConfigured) {
+    const observeChroma = chromaDuration.startTimer();
     try {
       const collection = await chromaCollectionPromise;
       const queryResult = await collection.query({
         queryTexts: [transcript.toLowerCase()],
         nResults: 5
       });
+      observeChroma({ outcome: 'ok' });
       chromaResults = queryResult.ids[0] || [];
-      console.log('Chroma matches:', chromaResults);
-      
-      // Map IDs to full sound objects
-      matchedSounds = chromaResults
-        .map(id => soundCatalog.find(s => s.id === id))
-        .filter(Boolean);
-    } catch (err) {
-      console.warn('Chroma query failed (using all sounds):', err.message);
-      // Fallback: use all sounds if Chroma fails
-      matchedSounds = soundCatalog;
-    }
-    
-    // Step 2: Build OpenAI prompt
-    const prompt = buildAnalysisPrompt(transcript, mode, context, matchedSounds);
+      log.debug('Chroma matches', { ids: chromaResults });
     
-    // Step 3: Call OpenAI
-    const aiResponse = await callOpenAI(prompt);
-    
-    // Step 4: Parse and validate response
-    let decision;
-    try {
-      decision = JSON.parse(aiResponse);
+      // Map IDs to full sound objects (ids indexed before a rename resolve through aliases)
+      matchedSounds = [...new Set(chromaResults.map(id => getSoundById(id)).filter(Boolean))];
     } catch (err) {
-      console.error('OpenAI returned non-JSON, attempting repair...');
-      decision = repairJSON(aiResponse);
+      observeChroma({ outcome: 'error' });
+      chromaFailures.inc();
+      log.warn('Chroma query failed (using local search index)', { err: err.message });
+      matchedSounds = searchLocally();
     }
-    
-    // Validate IDs exist in catalog
-    if (decision.music?.id && !soundCatalog.find(s => s.id === decision.music.id)) {
-      console.warn('AI suggested unknown music ID:', decision.music.id);
-      decision.music = null;
-    }
-    decision.sfx = (decision.sfx || []).filter(s => {
-      if (!soundCatalog.find(c => c.id === s.id)) {
-        console.warn('AI suggested unknown SFX ID:', s.id);
-        return false;
-      }
-      return true;
-    });
-    
-    res.json(decision);
-  } catch (err) {
-    console.error('Analysis error:', err);
-    res.status(500).json({ error: err.message });
+  } else {
+    matchedSounds = searchLocally();
   }
-});
-
-// GET /health - healthcheck for Render
-app.get('/health', async (req, res) => {
-  let chromaStatus = false;
-  let deepgramStatus = false;
-
-  // Backend-configured provider flags (fast checks)
-  const openaiConfigured = !!process.env.OPENAI_API_KEY && !process.env.OPENAI_API_KEY.includes('your_');
-  const pixabayConfigured = !!process.env.PIXABAY_API_KEY && !process.env.PIXABAY_API_KEY.includes('your_');
-
-  // For Freesound, this app uses CDN audio sources; treat "available" if catalog has entries
-  const freesoundConfigured = soundCatalog.length > 0;
   
-  // Check Chroma
-  try {
-    const collection = await chromaCollectionPromise;
-    chromaStatus = !!collection;
-  } catch (err) {
-    console.warn('Chroma health check failed:', err.message);
+  // Step 2: Build model prompt (shortlist + mode-filtered music within the token budget)
+  const { prompt, candidates, stats } = buildAnalysisPrompt({
+    transcript,
+    mode,
+    context,
+    matchedSounds,
+    catalog: soundCatalog,
+    session
+  });
+  log.info('Prompt built', stats);
+  
+  const llmOptions = { mode: mode || 'auto', input: { transcript, candidates, context } };
+  return { prompt, llmOptions, stats, candidates };
+}
+
+// Decision cache key: normalized transcript + mode + music context, per catalog version.
+// null once the request's session has story context (earlier turns or a summary): the
+// prompt then carries the cue history and story so far, which the key can't capture, and
+// a cached decision would replay effects this session just heard.
+function cacheKeyOf({ transcript, mode, context, session }) {
+  if (session && (session.turns > 0 || session.summary)) return null;
+  const music = context?.recentMusic ? getSoundById(context.recentMusic) : null;
+  return { transcript, mode: mode || 'auto', music, catalogVersion };
+}
+const cacheMissOf = (cacheKey) => {
+  if (!isDecisionCacheEnabled) return undefined;
+  return cacheKey ? { hit: false } : { hit: false, skipped: 'session' };
+};
+
+// Record the decision in session memory and build the /analyze response body
+// `cache` is the decision cache metadata ({ hit, match, similarity, ... }) when the cache is on
+function finishAnalysis({ context, debug, session, log, onUsage }, decision, { repaired, stats = null, cache }) {
+  // catalogVersion lets clients notice their cached catalog is stale
+  const extra = {
+    repaired,
+    catalogVersion,
+    ...(cache ? { cache } : {}),
+    ...(debug && stats ? { debug: { prompt: stats } } : {})
+  };
+  if (!session) {
+    return { ...decision, ...extra };
   }
   
-  // Check Deepgram (simple API key validation)
-  if (process.env.DEEPGRAM_API_KEY && !process.env.DEEPGRAM_API_KEY.includes('your_')) {
-    try {
-      const dgResponse = await fetch('https://api.deepgram.com/v1/projects', {
-        method: 'GET',
-        headers: { 
-          'Authorization': `Token ${process.env.DEEPGRAM_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        signal: AbortSignal.timeout(3000)
-      });
-      deepgramStatus = dgResponse.ok;
-    } catch (err) {
-      console.warn('Deepgram health check failed:', err.message);
-    }
+  recordDecision(session, decision, context?.recentMusic);
+  // Fold old transcript into the "story so far" in the background (shutdown waits for it)
+  if (needsSummary(session)) {
+    const done = trackWork('compaction');
+    compactSession(session, (summary, older) => summarizeStory(summary, older, { onUsage }))
+      .catch(err => {
+        log.warn('Session compaction failed', { sessionId: session.id, err: err.message });
+      })
+      .finally(done);
   }
+  return { ...decision, ...extra, sessionId: session.id };
+}
+
+// ===== HEALTH =====
+// GET /livez - the process is up and serving HTTP; nothing else is checked
+app.get('/livez', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// GET /readyz - 503 until the catalog and search index are loaded (Render's health check)
+app.get('/readyz', (req, res) => {
+  const { ready, reasons } = getReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', reasons });
+});
+
+// GET /health/details - cached dependency checks (status, checkedAt, latencyMs, error, details)
+app.get('/health/details', (req, res) => {
+  res.json(getHealthDetails());
+});
+
+// GET /health - summary flags for the frontend indicators, from the same cached checks.
+// Always 200 so older frontends can tell "backend reachable" apart from "backend down";
+// `status` is "ok", "degraded" or "not_ready" (see /health/details for the reasons).
+app.get('/health', (req, res) => {
+  const { status, reasons, dependencies } = getHealthDetails();
+  const isOk = (name) => dependencies[name]?.status === 'ok';
   
   res.json({ 
-    status: 'ok', 
-    chroma: chromaStatus,
-    deepgram: deepgramStatus,
+    status,
+    reasons,
+    chroma: isOk('chroma'),
+    deepgram: isOk('deepgram'),
     sounds: soundCatalog.length,
+    catalogVersion,
     // Explicit provider availability for frontend indicators
-    openai: openaiConfigured,
-    freesound: freesoundConfigured,
-    pixabay: pixabayConfigured
+    openai: isLLMConfigured(), // kept for older frontends; true for any configured LLM provider
+    llm: describeLLM(),
+    rateLimits: describeRateLimits(),
+    freesound: isOk('media'), // audio CDN reachable
+    pixabay: isOk('pixabay')
   });
 });
 
-function buildAnalysisPrompt(transcript, mode, context, matchedSounds) {
-  const catalogStr = matchedSounds.length > 0 
-    ? matchedSounds.map(s => `${s.id} (${s.type}, tags: ${s.tags.join(',')})`).join('\n')
-    : 'No matching sounds from vector search.';
-  
-  return `You are CueAI, an intelligent audio companion. Your job is to analyze spoken transcript and decide what music and sound effects to play.
-
-Mode: ${mode || 'auto'}
-Recent sounds played: ${context?.recentSounds?.join(', ') || 'none'}
-Current music: ${context?.recentMusic || 'none'}
-
-Transcript:
-"${transcript}"
-
-Top matching sounds from our catalog:
-${catalogStr}
-
-Full catalog available (use IDs only from this list):
-${soundCatalog.map(s => `${s.id} (${s.type})`).join(', ')}
-
-Rules:
-- Return STRICT JSON only, no markdown
-- Use "id" values exactly as shown above
-- Music: choose one looping track or null
-- SFX: max 2 effects per response
-- SFX "when": "immediate" or "after_music_start"
-- Volume: 0.0 to 1.0
-
-Response format (STRICT JSON):
-{
-  "scene": "short description of what's happening",
-  "music": {
-    "id": "ep_fantasy_tension_loop",
-    "action": "play_or_continue",
-    "volume": 0.85
-  },
-  "sfx": [
-    {
-      "id": "ep_door_creak_01",
-      "when": "immediate",
-      "volume": 0.9
-    }
-  ]
-}
-
-Return only valid JSON, no extra text.`;
+// Single entry point for model calls; the provider (OpenAI, OpenAI-compatible, mock) comes from env (see ./llm)
+// `followUp` appends extra turns after the prompt (used for the corrective re-prompt)
+// `onDelta` streams the response text as it is generated (see streamChat in ./llm)
+// `onUsage` receives the call's token usage ({ prompt_tokens, completion_tokens, total_tokens })
+async function callLLM(prompt, { mode, task = 'analysis', input = null, followUp = [], onDelta = null, onUsage = null } = {}) {
+  const chat = onDelta ? streamChat : completeChat;
+  const { content, usage } = await chat({
+    messages: [
+      { role: 'system', content: 'You are a JSON-only audio decision engine. Always return valid JSON.' },
+      { role: 'user', content: prompt },
+      ...followUp
+    ],
+    mode,
+    task,
+    input,
+    onDelta
+  });
+  onUsage?.(usage);
+  return content;
 }
 
-async function callOpenAI(prompt) {
-  // Check if API key is configured
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY.includes('your_')) {
-    throw new Error('OpenAI API key not configured. Please set OPENAI_API_KEY in .env file.');
+// Ask the model for a decision and validate it (see ./analysis/decisionSchema.js).
+// Volumes are clamped and unknown fields stripped in place; anything that cannot be fixed
+// locally (non-JSON, unknown IDs, wrong types) gets exactly one corrective re-prompt.
+// `repaired` is true whenever the returned decision differs from what the model first sent.
+// With `onDelta` the first answer is streamed; the corrective re-prompt never is.
+const isKnownId = (id) => !!getSoundById(id);
+
+async function requestDecision(prompt, options, { onDelta = null, log = logger, onUsage = null } = {}) {
+  const first = await callLLM(prompt, { ...options, onDelta, onUsage });
+  const result = validateModelOutput(first, { isKnownId });
+  if (result.errors.length === 0) {
+    return { decision: result.decision, repaired: result.repairs.length > 0 };
   }
   
-  // Add timeout and memory-efficient fetch
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 25000); // 25s timeout
-  
+  log.warn('Model decision failed validation, re-prompting', { errors: result.errors });
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: 'You are a JSON-only audio decision engine. Always return valid JSON.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 300 // Reduced from 400 to save memory
-      }),
-      signal: controller.signal
+    const second = await callLLM(prompt, {
+      ...options,
+      onUsage,
+      followUp: [
+        { role: 'assistant', content: first },
+        { role: 'user', content: buildCorrectionPrompt(result.errors) }
+      ]
     });
-    
-    clearTimeout(timeout);
-    
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI error: ${response.status} ${err.error?.message || ''}`);
+    const retried = validateModelOutput(second, { isKnownId });
+    if (retried.errors.length > 0) {
+      log.warn('Corrected decision still invalid, dropping bad parts', { errors: retried.errors });
     }
-    
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
+    // Keep the first answer if the retry came back as unusable text
+    const unparseable = retried.errors.some(e => e.startsWith('response is not valid JSON'));
+    return { decision: unparseable ? result.decision : retried.decision, repaired: true };
   } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === 'AbortError') {
-      throw new Error('OpenAI request timed out after 25s');
-    }
-    throw err;
+    log.warn('Corrective re-prompt failed', { err: err.message });
+    return { decision: result.decision, repaired: true };
   }
 }
 
-function repairJSON(text) {
-  // Try to extract JSON from markdown code blocks or strip extra text
-  const match = text.match(/\{[\s\S]*\}/);
-  if (match) {
-    try {
-      return JSON.parse(match[0]);
-    } catch (e) {
-      console.error('JSON repair failed');
-    }
-  }
-  // Fallback: empty response
-  return { scene: 'parsing error', music: null, sfx: [] };
+// Condense older session transcript into a short "story so far"
+async function summarizeStory(previousSummary, olderTranscript, { onUsage = null } = {}) {
+  const prompt = `Summarize this ongoing spoken story or tabletop session in at most 3 sentences.
+Keep where the characters are, who is present and the current mood. Merge it with the existing summary.
+
+Existing summary: ${previousSummary || 'none'}
+
+New transcript:
+"${olderTranscript}"
+
+Return STRICT JSON only: { "summary": "..." }`;
+  const response = await callLLM(prompt, {
+    mode: 'summary',
+    task: 'summary',
+    input: { previousSummary, transcript: olderTranscript },
+    onUsage
+  });
+  const { value } = parseModelJSON(response);
+  return typeof value?.summary === 'string' ? value.summary : '';
 }
 
-// ===== WEBSOCKET FOR DEEPGRAM STREAMING =====
-// NOTE: This WebSocket implementation is complete but NOT YET INTEGRATED with frontend
-// TODO: Frontend needs to connect to ws://backend/ws/transcribe and stream audio
-// Currently, frontend uses browser's Web Speech API for speech recognition
-// This would be an upgrade path for better accuracy and control
-const wss = new WebSocketServer({ noServer: true });
+// ===== WEBSOCKET FOR STREAMING STT =====
+// Used by the frontend's "Server Streaming" recognition mode (game.js startServerStreaming):
+// the browser resamples mic audio to 16kHz linear16 in an AudioWorklet and streams it here.
+// Web Speech API remains the default engine and the fallback when this socket is unavailable.
+// The engine is pluggable (see ./stt): ?provider=deepgram|vosk|fake, else STT_PROVIDER env.
+// Message protocol (start handshake, interim/final, word timings, ping/pong): ./stt/protocol.js
+// Audio streamed with an API key counts towards its STT seconds (see ./apiKeys).
+const WS_HEARTBEAT_INTERVAL = 30000; // ws-level ping; terminate clients that miss one
+const STT_KEEPALIVE_INTERVAL = 5000; // keep upstream STT open while no audio is flowing
+const STT_FLUSH_TIMEOUT = 4000; // on shutdown, wait this long for the provider's final results
+const MAX_PENDING_AUDIO_SECONDS = 10; // audio held back while the provider connects (legacy clients)
+const RECONNECT_AFTER_MS = 1000; // going_away hint: give the load balancer time to drop this instance
 
-wss.on('connection', (ws) => {
-  console.log('Client connected to /ws/transcribe');
+const wss = new WebSocketServer({ noServer: true });
+const transcribeClients = new Set(); // goAway(reason) per open connection
+
+// On shutdown: every client gets going_away, its provider is flushed, then the socket closes
+addDrainHook('websockets', () => Promise.all([...transcribeClients].map(goAway => goAway('server_shutdown'))));
+
+wss.on('connection', (ws, request) => {
+  const { searchParams } = new URL(request.url, 'http://localhost');
+  const queryProvider = searchParams.get('provider');
+  const { apiKey, usageAccount } = request;
+  const log = logger.child({ connectionId: randomUUID(), ...(apiKey ? { apiKeyId: apiKey.id } : {}) });
+  log.info('Client connected to /ws/transcribe');
+  wsConnections.inc();
+  wsConnectionsTotal.inc();
+  recordRequest(usageAccount, 'ws');
   
-  let deepgramWs = null;
+  let stt = null;
+  let providerName = null;
+  let bytesPerSecond = 0; // of the negotiated linear16 format
+  let audioSeconds = 0;
+  let lastAudioAt = Date.now();
+  let isAlive = true;
+  let goingAway = false;
+  let sttOpen = false;
+  let pendingAudio = []; // legacy clients stream before the provider has connected
+  let pendingBytes = 0;
   
-  // TODO: Adjust Deepgram connection params based on audio format from browser
-  // For now, assume browser sends linear16 PCM at 16kHz
-  const deepgramUrl = 'wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=16000&channels=1';
+  const sendJson = (message) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  };
   
-  try {
-    deepgramWs = new WebSocket(deepgramUrl, {
-      headers: {
-        'Authorization': `Token ${process.env.DEEPGRAM_API_KEY}`
-      }
-    });
+  const startProvider = (format, requestedProvider) => {
+    providerName = resolveSttProviderName(requestedProvider || queryProvider);
+    bytesPerSecond = format.sampleRate * format.channels * 2;
+    sttOpen = false;
+    pendingAudio = [];
+    pendingBytes = 0;
+    try {
+      stt = createSttProvider(providerName, format);
+    } catch (err) {
+      log.error('Failed to start STT provider', { provider: providerName, err: err.message });
+      sendJson(errorMessage('provider_unavailable', `Could not start ${providerName} speech recognition`));
+      ws.close();
+      return false;
+    }
     
-    deepgramWs.on('open', () => {
-      console.log('✓ Connected to Deepgram');
+    // Providers drop audio while their upstream is still connecting, so 'ready' (which
+    // starts the client's audio) waits for the connection
+    const provider = stt;
+    provider.on('open', () => {
+      log.info('Connected to STT provider', { provider: providerName });
+      if (stt !== provider) return; // stopped before it connected
+      sttOpen = true;
+      sendJson(readyMessage(providerName, format));
+      pendingAudio.forEach(chunk => provider.send(chunk));
+      pendingAudio = [];
+      pendingBytes = 0;
     });
     
-    deepgramWs.on('message', (data) => {
-      try {
-        const result = JSON.parse(data.toString());
-        if (result.channel?.alternatives?.[0]?.transcript) {
-          const transcript = result.channel.alternatives[0].transcript;
-          // Send transcript back to browser
-          ws.send(JSON.stringify({ transcript }));
-        }
-      } catch (err) {
-        console.error('Deepgram message parse error:', err.message);
+    // Providers emit normalized messages; send them back to the browser as-is
+    stt.on('transcript', (message) => {
+      if (message.transcript) {
+        sendJson(message);
       }
     });
     
-    deepgramWs.on('error', (err) => {
-      console.error('Deepgram error:', err.message);
-      ws.send(JSON.stringify({ error: 'Deepgram connection error' }));
+    stt.on('utterance_end', (message) => {
+      sendJson(message);
     });
     
-    deepgramWs.on('close', () => {
-      console.log('Deepgram connection closed');
+    stt.on('error', (err) => {
+      log.error('STT provider error', { provider: providerName, err: err.message });
+      sendJson(errorMessage('provider_error', `${providerName} connection error`));
     });
-  } catch (err) {
-    console.error('Failed to connect to Deepgram:', err.message);
-    ws.send(JSON.stringify({ error: 'Could not connect to Deepgram' }));
-  }
+    
+    stt.on('close', () => {
+      log.info('STT provider connection closed', { provider: providerName });
+      if (stt !== provider) return; // stopped by the client or on shutdown
+      // The upstream ended the stream on its own (idle timeout, network): nothing would
+      // transcribe the audio that keeps coming, so end the socket and let the client
+      // reconnect or fall back to browser recognition
+      log.warn('STT provider closed unexpectedly', { provider: providerName });
+      stt = null;
+      sttOpen = false;
+      pendingAudio = [];
+      pendingBytes = 0;
+      sendJson(errorMessage('provider_closed', `${providerName} speech recognition stopped unexpectedly`));
+      ws.close(1011, 'Speech provider closed');
+    });
+    
+    return true;
+  };
+  
+  // Flushes the provider; its remaining results are still forwarded until it closes
+  const stopProvider = () => {
+    const closing = stt;
+    if (closing) {
+      closing.close();
+      stt = null;
+      sttOpen = false;
+    }
+    return closing;
+  };
+  
+  const goAway = async (reason) => {
+    goingAway = true;
+    sendJson(goingAwayMessage(reason, RECONNECT_AFTER_MS));
+    const closing = stopProvider();
+    if (closing) {
+      await once(closing, 'close', { signal: AbortSignal.timeout(STT_FLUSH_TIMEOUT) }).catch(() => {
+        log.warn('STT provider did not close in time', { provider: providerName });
+      });
+    }
+    ws.close(1001, 'Server shutting down');
+  };
+  transcribeClients.add(goAway);
+  
+  // Detect dead clients (browser tabs that vanished without a close frame)
+  ws.on('pong', () => { isAlive = true; });
+  const heartbeat = setInterval(() => {
+    if (!isAlive) {
+      log.warn('Terminating unresponsive /ws/transcribe client');
+      ws.terminate();
+      return;
+    }
+    isAlive = false;
+    ws.ping();
+  }, WS_HEARTBEAT_INTERVAL);
   
-  // Pipe browser audio to Deepgram
-  ws.on('message', (audioData) => {
-    // TODO: Handle audio resampling if browser sends different format
-    // For now, pass through directly
-    if (deepgramWs && deepgramWs.readyState === WebSocket.OPEN) {
-      deepgramWs.send(audioData);
+  const keepAlive = setInterval(() => {
+    if (stt && Date.now() - lastAudioAt >= STT_KEEPALIVE_INTERVAL) {
+      stt.keepAlive();
+    }
+  }, STT_KEEPALIVE_INTERVAL);
+  
+  ws.on('message', (data, isBinary) => {
+    // After going_away only the flushed results are still delivered
+    if (goingAway) return;
+    if (isBinary) {
+      // Legacy clients stream audio without a handshake: assume v1 defaults
+      if (!stt && !startProvider(DEFAULT_AUDIO_FORMAT)) return;
+      lastAudioAt = Date.now();
+      audioSeconds += data.length / bytesPerSecond;
+      if (sttOpen) {
+        stt.send(data);
+      } else if (pendingBytes + data.length <= bytesPerSecond * MAX_PENDING_AUDIO_SECONDS) {
+        pendingAudio.push(data);
+        pendingBytes += data.length;
+      }
+      return;
+    }
+    
+    const { message, error } = parseClientMessage(data.toString());
+    if (error) {
+      sendJson(errorMessage(error.code, error.message));
+      return;
+    }
+    
+    switch (message.type) {
+      case 'start': {
+        if (stt) {
+          sendJson(errorMessage('already_started', 'Stream already started; send stop first'));
+          return;
+        }
+        const { format, error: startError } = parseStartMessage(message);
+        if (startError) {
+          sendJson(errorMessage(startError.code, startError.message));
+          return;
+        }
+        lastAudioAt = Date.now();
+        startProvider(format, message.provider);
+        break;
+      }
+      case 'ping':
+        sendJson(pongMessage(message));
+        break;
+      case 'stop':
+        stopProvider();
+        break;
+      default:
+        sendJson(errorMessage('unknown_type', `Unknown message type: ${message.type}`));
     }
   });
   
   ws.on('close', () => {
-    console.log('Client disconnected from /ws/transcribe');
-    if (deepgramWs) {
-      deepgramWs.close();
-    }
+    log.info('Client disconnected from /ws/transcribe', { audioSeconds: Math.round(audioSeconds) });
+    recordSttSeconds(usageAccount, audioSeconds);
+    transcribeClients.delete(goAway);
+    wsConnections.dec();
+    clearInterval(heartbeat);
+    clearInterval(keepAlive);
+    stopProvider();
   });
   
   ws.on('error', (err) => {
-    console.error('WebSocket error:', err.message);
+    log.error('WebSocket error', { err: err.message });
   });
 });
 
 // ===== START SERVER =====
 const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🎵 CueAI Server running on http://0.0.0.0:${PORT}`);
-  console.log(`✓ Health: http://localhost:${PORT}/health`);
-  console.log(`✓ Sounds: http://localhost:${PORT}/sounds`);
-  
   // Log memory usage on startup
   const memUsage = process.memoryUsage();
-  console.log(`📊 Memory: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB used / ${Math.round(memUsage.heapTotal / 1024 / 1024)}MB total`);
+  logger.info('CueAI server listening', {
+    url: `http://0.0.0.0:${PORT}`,
+    heapUsedMB: Math.round(memUsage.heapUsed / 1024 / 1024),
+    heapTotalMB: Math.round(memUsage.heapTotal / 1024 / 1024)
+  });
 });
 
-// Memory monitoring for Render free tier (512MB limit)
+// Memory monitoring for Render free tier (512MB limit); current figures are also on /metrics
 if (process.env.NODE_ENV === 'production') {
   setInterval(() => {
     const memUsage = process.memoryUsage();
     const heapUsedMB = Math.round(memUsage.heapUsed / 1024 / 1024);
     if (heapUsedMB > 400) {
-      console.warn(`⚠️ High memory usage: ${heapUsedMB}MB (limit: 512MB)`);
+      logger.warn('High memory usage', { heapUsedMB, limitMB: 512 });
       if (global.gc) global.gc(); // Force garbage collection if enabled
     }
   }, 60000); // Check every minute
 }
 
 // Initialize async resources after server starts
-loadSoundCatalog().catch(err => {
-  console.error('Catalog load error:', err);
-});
+loadSoundCatalog()
+  .catch(err => {
+    logger.error('Failed to load sound catalog', { err: err.message });
+  })
+  .finally(() => {
+    watchSoundCatalog();
+    startHealthChecks(); // first round right away, then every HEALTH_CHECK_INTERVAL_MS
+  });
 
 // Attach WebSocket upgrade handler
 server.on('upgrade', (request, socket, head) => {
-  if (request.url === '/ws/transcribe') {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  if (pathname === '/ws/transcribe') {
+    if (isShuttingDown()) {
+      socket.write('HTTP/1.1 503 Service Unavailable\r\nRetry-After: 2\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    // API key first (401) so keyed clients are rate limited with their plan's budget
+    if (!authenticateUpgrade(request, socket)) return;
+    if (!allowUpgrade(request, socket)) return;
     wss.handleUpgrade(request, socket, head, (ws) => {
       wss.emit('connection', ws, request);
     });
@@ -483,21 +840,14 @@ server.on('upgrade', (request, socket, head) => {
   }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+// Graceful shutdown (SIGTERM, SIGINT, uncaught exceptions): stop taking work, send
+// going_away to /ws/transcribe clients, wait for in-flight analyses, then exit (see ./lifecycle)
+addCleanupHook('rate-limit-store', closeRateLimitStore);
+addCleanupHook('api-key-store', closeApiKeyStore);
+addCleanupHook('health-checks', stopHealthChecks);
+installShutdownHandlers(server);
 
 // Error handling
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
-
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection', { reason });
 });
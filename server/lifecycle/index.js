@@ -0,0 +1,145 @@
+// server/lifecycle/index.js
+// Graceful shutdown. Render sends SIGTERM on every deploy and restart (SIGKILL follows after
+// the service's shutdown delay, 30s by default); SIGINT (Ctrl+C) and uncaught exceptions
+// take the same path, the latter exiting with code 1.
+//   SHUTDOWN_TIMEOUT_MS   how long to wait for in-flight work before exiting (default 25000)
+//
+// Order:
+//   1. Stop accepting work: /readyz answers 503, the listener closes, new requests on
+//      kept-alive connections get 503 and WebSocket upgrades are refused.
+//   2. Drain: drain hooks run (WebSocket clients get going_away, upstream STT streams are
+//      flushed) while tracked work (in-flight analyses) finishes, both bounded by the deadline.
+//   3. Cleanup hooks run (rate limit and API key stores, health checks), remaining
+//      connections are closed and the process exits.
+import { logger } from "../observability/logger.js";
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+const EXIT_GRACE_MS = 5000; // cleanup hooks get this long past the deadline before a forced exit
+const RETRY_AFTER_SECONDS = 2;
+
+const drainHooks = [];
+const cleanupHooks = [];
+const inFlight = new Map(); // kind -> count
+let idleWaiters = [];
+let shutdownPromise = null;
+
+export const isShuttingDown = () => shutdownPromise !== null;
+
+const totalInFlight = () => [...inFlight.values()].reduce((sum, n) => sum + n, 0);
+
+/**
+ * Count a unit of work that shutdown should wait for.
+ * @param {string} kind - label for logs ("analysis", "compaction", ...)
+ * @returns {() => void} call when the work is done (extra calls are ignored)
+ */
+export function trackWork(kind) {
+  inFlight.set(kind, (inFlight.get(kind) || 0) + 1);
+  let done = false;
+  return () => {
+    if (done) return;
+    done = true;
+    inFlight.set(kind, inFlight.get(kind) - 1);
+    if (inFlight.get(kind) === 0) inFlight.delete(kind);
+    if (totalInFlight() === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  };
+}
+
+// Express middleware: the request counts as in-flight work until its response is closed
+export function trackRequests(kind) {
+  return (req, res, next) => {
+    res.on("close", trackWork(kind));
+    next();
+  };
+}
+
+// Express middleware: 503 for new requests once shutdown has started (probes excluded)
+export function rejectWhileShuttingDown(exemptPaths = []) {
+  return (req, res, next) => {
+    if (!isShuttingDown() || exemptPaths.includes(req.path)) return next();
+    res.set("Connection", "close");
+    res.set("Retry-After", String(RETRY_AFTER_SECONDS));
+    res.status(503).json({ error: "Server is restarting; please retry shortly", retryAfter: RETRY_AFTER_SECONDS });
+  };
+}
+
+/**
+ * Register work to run during the drain phase, e.g. telling WebSocket clients to reconnect.
+ * @param {string} name
+ * @param {(deadline: number) => Promise<void>|void} fn - deadline is an epoch ms timestamp
+ */
+export function addDrainHook(name, fn) {
+  drainHooks.push({ name, fn });
+}
+
+// Register teardown that runs after draining (flush stores, stop timers)
+export function addCleanupHook(name, fn) {
+  cleanupHooks.push({ name, fn });
+}
+
+function waitForIdle() {
+  if (totalInFlight() === 0) return Promise.resolve();
+  return new Promise((resolve) => idleWaiters.push(resolve));
+}
+
+async function runHook({ name, fn }, ...args) {
+  try {
+    await fn(...args);
+  } catch (err) {
+    logger.warn("Shutdown hook failed", { hook: name, err: err.message });
+  }
+}
+
+/**
+ * Drain and exit. Safe to call more than once; later calls return the same promise.
+ * @param {string} reason - "SIGTERM", "uncaughtException", ...
+ * @param {{ server?: import('http').Server, exitCode?: number }} [options]
+ */
+export function shutdown(reason, { server, exitCode = 0 } = {}) {
+  if (shutdownPromise) return shutdownPromise;
+  const startedAt = Date.now();
+  const deadline = startedAt + SHUTDOWN_TIMEOUT_MS;
+  logger.info("Shutting down", { reason, timeoutMs: SHUTDOWN_TIMEOUT_MS, inFlight: Object.fromEntries(inFlight) });
+
+  // Last resort if a hook hangs past the deadline
+  setTimeout(() => {
+    logger.error("Shutdown did not finish in time, exiting", { reason });
+    process.exit(exitCode || 1);
+  }, SHUTDOWN_TIMEOUT_MS + EXIT_GRACE_MS).unref();
+
+  shutdownPromise = (async () => {
+    if (server) {
+      server.close();
+      server.closeIdleConnections?.();
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(true), Math.max(0, deadline - Date.now()));
+    });
+    const drained = Promise.all([...drainHooks.map((hook) => runHook(hook, deadline)), waitForIdle()]).then(() => false);
+    if (await Promise.race([drained, timedOut])) {
+      logger.warn("Shutdown deadline reached with work in flight", { inFlight: Object.fromEntries(inFlight) });
+    }
+    clearTimeout(timer);
+
+    for (const hook of cleanupHooks) await runHook(hook);
+    server?.closeAllConnections?.();
+    logger.info("Shutdown complete", { reason, durationMs: Date.now() - startedAt });
+    process.exit(exitCode);
+  })();
+  return shutdownPromise;
+}
+
+// SIGTERM/SIGINT drain and exit 0; an uncaught exception is logged, then drains and exits 1
+export function installShutdownHandlers(server) {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => shutdown(signal, { server }));
+  }
+  process.on("uncaughtException", (err) => {
+    logger.error("Uncaught exception", { err });
+    shutdown("uncaughtException", { server, exitCode: 1 });
+  });
+}
@@ -0,0 +1,174 @@
+// server/llm/index.js
+// LLM provider layer for /analyze and session summaries. Configured by env:
+//   LLM_PROVIDER     openai (default) | openai-compatible | mock
+//   LLM_BASE_URL     base URL for openai-compatible servers, e.g. http://localhost:11434/v1 (Ollama)
+//                    or http://localhost:8080/v1 (llama.cpp server)
+//   LLM_API_KEY      key for the provider (openai falls back to OPENAI_API_KEY; openai-compatible
+//                    uses only this, optional for local servers)
+//   LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS   defaults for every mode
+//   LLM_MODE_CONFIG  JSON per-mode overrides, keyed by app mode (dnd, horror, ...) or "summary":
+//                    {"dnd":{"model":"gpt-4o","temperature":0.8},"summary":{"max_tokens":150}}
+//
+// Every provider implements complete({ messages, model, temperature, maxTokens, signal, task, input })
+// and resolves to { content, model, usage: { prompt_tokens, completion_tokens, total_tokens } }.
+// Providers that can't report usage (the mock, servers that omit it when streaming) resolve
+// with usage: null and get a ~4 characters per token estimate instead, so per-key token
+// allowances (../apiKeys) still apply.
+// Providers may also implement stream({ ...same, onDelta }), calling onDelta(text) for each
+// chunk of content as it arrives and resolving to the same shape; streamChat() falls back to
+// complete() plus a single onDelta for providers without it. An optional check({ signal })
+// lets the background health checker verify the provider without spending tokens.
+// `task` ("analysis" | "summary") and `input` (structured request data) let the mock provider
+// answer without parsing the prompt; network providers ignore them.
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { estimateTokens } from "../analysis/promptBuilder.js";
+import { logger } from "../observability/logger.js";
+import { llmDuration, llmTokens } from "../observability/metrics.js";
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_SETTINGS = { model: "gpt-4o-mini", temperature: 0.7, max_tokens: 300 };
+const REQUEST_TIMEOUT_MS = 25000;
+
+const factories = {
+  openai: () =>
+    createOpenAIProvider({
+      name: "openai",
+      baseUrl: OPENAI_BASE_URL,
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+      requireKey: true,
+    }),
+  "openai-compatible": () =>
+    createOpenAIProvider({
+      name: "openai-compatible",
+      baseUrl: process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+      // Never OPENAI_API_KEY: it would be sent to whatever server LLM_BASE_URL names
+      apiKey: process.env.LLM_API_KEY,
+      requireKey: false,
+    }),
+  mock: () => createMockProvider(),
+};
+
+let provider = null;
+
+export function getLLMProvider() {
+  if (!provider) {
+    const name = String(process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM_PROVIDER: ${name} (expected ${Object.keys(factories).join(", ")})`);
+    }
+    provider = factory();
+  }
+  return provider;
+}
+
+function parseModeConfig() {
+  if (!process.env.LLM_MODE_CONFIG) return {};
+  try {
+    return JSON.parse(process.env.LLM_MODE_CONFIG);
+  } catch (err) {
+    logger.warn("Ignoring invalid LLM_MODE_CONFIG", { err: err.message });
+    return {};
+  }
+}
+
+const modeConfig = parseModeConfig();
+
+// Defaults < LLM_* env < per-mode overrides
+export function resolveModelSettings(mode) {
+  const envDefaults = {};
+  if (process.env.LLM_MODEL) envDefaults.model = process.env.LLM_MODEL;
+  if (process.env.LLM_TEMPERATURE) envDefaults.temperature = Number(process.env.LLM_TEMPERATURE);
+  if (process.env.LLM_MAX_TOKENS) envDefaults.max_tokens = Number(process.env.LLM_MAX_TOKENS);
+  return { ...DEFAULT_SETTINGS, ...envDefaults, ...(modeConfig[mode] || {}) };
+}
+
+export function isLLMConfigured() {
+  try {
+    return getLLMProvider().isConfigured();
+  } catch (_) {
+    return false;
+  }
+}
+
+// Health check for the configured provider (see ../health); providers without check() are assumed up
+export async function checkLLM({ signal }) {
+  const llm = getLLMProvider();
+  const details = { provider: llm.name, model: resolveModelSettings("auto").model };
+  if (!llm.isConfigured()) return { status: "unconfigured", details };
+  if (llm.check) await llm.check({ signal });
+  return { status: "ok", details };
+}
+
+export function describeLLM() {
+  try {
+    const p = getLLMProvider();
+    return { provider: p.name, model: resolveModelSettings("auto").model, configured: p.isConfigured() };
+  } catch (err) {
+    return { provider: process.env.LLM_PROVIDER, configured: false, error: err.message };
+  }
+}
+
+function estimateUsage(messages, content) {
+  const prompt_tokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  const completion_tokens = estimateTokens(content);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens, estimated: true };
+}
+
+function recordUsage(provider, { model, usage }) {
+  if (!usage) return;
+  if (usage.prompt_tokens) llmTokens.inc({ provider, model, kind: "prompt" }, usage.prompt_tokens);
+  if (usage.completion_tokens) llmTokens.inc({ provider, model, kind: "completion" }, usage.completion_tokens);
+}
+
+async function runChat({ messages, mode = "auto", task = "analysis", input = null, onDelta = null }) {
+  const llm = getLLMProvider();
+  const settings = resolveModelSettings(mode);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const observe = llmDuration.startTimer({ provider: llm.name, task });
+  const request = {
+    messages,
+    model: settings.model,
+    temperature: settings.temperature,
+    maxTokens: settings.max_tokens,
+    signal: controller.signal,
+    task,
+    input,
+  };
+  try {
+    let result;
+    if (!onDelta) {
+      result = await llm.complete(request);
+    } else if (llm.stream) {
+      result = await llm.stream({ ...request, onDelta });
+    } else {
+      result = await llm.complete(request);
+      onDelta(result.content);
+    }
+    observe({ outcome: "ok" });
+    if (!result.usage) result = { ...result, usage: estimateUsage(messages, result.content) };
+    recordUsage(llm.name, result);
+    return result;
+  } catch (err) {
+    observe({ outcome: err.name === "AbortError" ? "timeout" : "error" });
+    if (err.name === "AbortError") {
+      throw new Error(`${llm.name} request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Run one chat completion with the configured provider and per-mode settings
+export function completeChat(options) {
+  return runChat({ ...options, onDelta: null });
+}
+
+// Same as completeChat, but onDelta(text) receives the content as the model produces it
+export function streamChat({ onDelta, ...options }) {
+  return runChat({ ...options, onDelta });
+}
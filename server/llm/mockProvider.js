@@ -0,0 +1,83 @@
+// server/llm/mockProvider.js
+// Deterministic, rule-based stand-in for offline labs and tests: no network, no keys.
+// Scores candidate sounds by word overlap between the transcript and each sound's id/tags,
+// so the same input always produces the same decision.
+
+const STOP_WORDS = new Set(["the", "and", "a", "an", "of", "to", "in", "on", "at", "is", "it", "as", "with", "music", "sfx", "effect"]);
+
+const STREAM_CHUNK_SIZE = 16;
+
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, "");
+
+const wordsOf = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w))
+    .map(stem);
+
+function scoreSound(sound, spoken) {
+  const terms = new Set([...wordsOf(sound.id.replace(/_/g, " ")), ...(sound.tags || []).flatMap(wordsOf)]);
+  let score = 0;
+  for (const term of terms) {
+    if (spoken.has(term)) score++;
+  }
+  return score;
+}
+
+function decide({ transcript = "", candidates = [], context = {} }) {
+  const spoken = new Set(wordsOf(transcript));
+  const ranked = candidates
+    .map((sound) => ({ sound, score: scoreSound(sound, spoken) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.sound.id.localeCompare(b.sound.id));
+
+  const sfx = ranked
+    .filter((r) => r.sound.type !== "music")
+    .slice(0, 2)
+    .map((r) => ({ id: r.sound.id, when: "immediate", volume: 0.8 }));
+
+  const bestMusic = ranked.find((r) => r.sound.type === "music");
+  const musicId = bestMusic?.sound.id || context.recentMusic || null;
+
+  // Same key order the prompt asks for (sfx first, so streaming clients get them early)
+  return {
+    sfx,
+    music: musicId ? { id: musicId, action: "play_or_continue", volume: 0.6 } : null,
+    scene: spoken.size ? `mock: ${[...spoken].slice(0, 4).join(" ")}` : "mock: silence",
+  };
+}
+
+function summarize({ previousSummary = "", transcript = "" }) {
+  // Keep the last few sentences as the "story so far"
+  const sentences = `${previousSummary} ${transcript}`.split(/(?<=[.!?])\s+/).filter(Boolean);
+  const summary = sentences.slice(-3).join(" ");
+  return { summary: summary.length > 400 ? summary.slice(-400) : summary };
+}
+
+export function createMockProvider() {
+  return {
+    name: "mock",
+    isConfigured: () => true,
+
+    async complete({ model, task, input }) {
+      const result = task === "summary" ? summarize(input || {}) : decide(input || {});
+      const content = JSON.stringify(result);
+      return {
+        content,
+        model: model || "mock",
+        usage: null, // estimated by ./index.js
+      };
+    },
+
+    // Same answer as complete(), delivered in small chunks like a network stream
+    async stream(options) {
+      const result = await this.complete(options);
+      for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+        await new Promise((resolve) => setImmediate(resolve));
+        options.onDelta(result.content.slice(i, i + STREAM_CHUNK_SIZE));
+      }
+      return result;
+    },
+  };
+}
@@ -0,0 +1,93 @@
+// server/llm/openaiProvider.js
+// OpenAI chat completions, or any server exposing the same API (llama.cpp, Ollama, vLLM, LM Studio).
+export function createOpenAIProvider({ name, baseUrl, apiKey, requireKey }) {
+  const root = String(baseUrl).replace(/\/$/, "");
+  const url = `${root}/chat/completions`;
+  const hasKey = !!apiKey && !apiKey.includes("your_");
+
+  function headers() {
+    if (requireKey && !hasKey) {
+      throw new Error("OpenAI API key not configured. Please set OPENAI_API_KEY in .env file.");
+    }
+    const result = { "Content-Type": "application/json" };
+    if (hasKey) {
+      result.Authorization = `Bearer ${apiKey}`;
+    }
+    return result;
+  }
+
+  async function post(body, signal) {
+    const response = await fetch(url, { method: "POST", headers: headers(), body: JSON.stringify(body), signal });
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+      throw new Error(`${name} error: ${response.status} ${err.error?.message || ""}`);
+    }
+    return response;
+  }
+
+  return {
+    name,
+    isConfigured: () => hasKey || !requireKey,
+
+    // Cheap reachability + auth check for the health checker (lists models, no tokens used)
+    async check({ signal }) {
+      const response = await fetch(`${root}/models`, { headers: headers(), signal });
+      if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(`${name} error: ${response.status} ${err.error?.message || ""}`.trim());
+      }
+    },
+
+    async complete({ messages, model, temperature, maxTokens, signal }) {
+      const response = await post({ model, messages, temperature, max_tokens: maxTokens }, signal);
+      const data = await response.json();
+      return {
+        content: String(data.choices?.[0]?.message?.content || "").trim(),
+        model: data.model || model,
+        usage: data.usage || null,
+      };
+    },
+
+    // Server-sent events ("data: {...}" lines, ending with "data: [DONE]"); onDelta gets each content chunk
+    async stream({ messages, model, temperature, maxTokens, signal, onDelta }) {
+      const body = { model, messages, temperature, max_tokens: maxTokens, stream: true };
+      // Not every compatible server accepts stream_options
+      if (name === "openai") body.stream_options = { include_usage: true };
+      const response = await post(body, signal);
+
+      const decoder = new TextDecoder();
+      let buffered = "";
+      let content = "";
+      let usage = null;
+      let resolvedModel = model;
+      const handleLine = (line) => {
+        if (!line.startsWith("data:")) return;
+        const data = line.slice(5).trim();
+        if (!data || data === "[DONE]") return;
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (_) {
+          return;
+        }
+        if (chunk.model) resolvedModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta);
+        }
+      };
+
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        lines.forEach((line) => handleLine(line.trim()));
+      }
+      handleLine(buffered.trim());
+
+      return { content: content.trim(), model: resolvedModel, usage };
+    },
+  };
+}
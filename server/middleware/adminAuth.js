@@ -0,0 +1,53 @@
+// server/middleware/adminAuth.js
+// Bearer-token auth for /admin. Tokens come from env:
+//   ADMIN_TOKEN=<token>                      -> actor "admin"
+//   ADMIN_TOKENS=alice:<token>,bob:<token>   -> named actors (shown in the audit log)
+// With no token configured the admin API is disabled (503) rather than open.
+import { createHash, timingSafeEqual } from "crypto";
+
+function loadAdminTokens() {
+  const tokens = [];
+  if (process.env.ADMIN_TOKEN) {
+    tokens.push({ actor: "admin", token: process.env.ADMIN_TOKEN });
+  }
+  for (const entry of (process.env.ADMIN_TOKENS || "").split(",")) {
+    const i = entry.indexOf(":");
+    if (i > 0 && entry.slice(i + 1).trim()) {
+      tokens.push({ actor: entry.slice(0, i).trim(), token: entry.slice(i + 1).trim() });
+    }
+  }
+  // Hash once so every comparison is over equal-length buffers
+  return tokens.map(({ actor, token }) => ({ actor, digest: createHash("sha256").update(token).digest() }));
+}
+
+const adminTokens = loadAdminTokens();
+
+export function isAdminAuthConfigured() {
+  return adminTokens.length > 0;
+}
+
+// Returns the actor name for a presented token, or null. Checks every token so
+// timing does not reveal which (or whether any) token matched.
+export function resolveAdminActor(presented) {
+  if (!presented) return null;
+  const digest = createHash("sha256").update(String(presented)).digest();
+  let actor = null;
+  for (const candidate of adminTokens) {
+    if (timingSafeEqual(digest, candidate.digest) && actor === null) actor = candidate.actor;
+  }
+  return actor;
+}
+
+export function requireAdmin(req, res, next) {
+  if (!isAdminAuthConfigured()) {
+    return res.status(503).json({ error: "Admin API disabled: set ADMIN_TOKEN to enable it" });
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  const actor = resolveAdminActor(match?.[1]?.trim());
+  if (!actor) {
+    res.set("WWW-Authenticate", 'Bearer realm="cueai-admin"');
+    return res.status(401).json({ error: "Invalid or missing admin token" });
+  }
+  req.adminActor = actor;
+  next();
+}
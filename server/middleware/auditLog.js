@@ -0,0 +1,66 @@
+// server/middleware/auditLog.js
+// Append-only audit log of /admin requests, one JSON object per line:
+// { at, actor, ip, method, path, status, result, durationMs, detail }
+// Handlers can attach a short summary of what they did via `res.locals.audit`.
+import { appendFile, mkdir, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger, redactUrl } from "../observability/logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const AUDIT_LOG_PATH = process.env.ADMIN_AUDIT_LOG || path.join(__dirname, "..", "data", "admin-audit.log");
+
+let writeQueue = Promise.resolve(); // serialize appends so lines never interleave
+
+export function appendAuditEntry(entry) {
+  const line = JSON.stringify(entry) + "\n";
+  writeQueue = writeQueue
+    .then(() => mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true }))
+    .then(() => appendFile(AUDIT_LOG_PATH, line, { encoding: "utf-8", flag: "a" }))
+    .catch((err) => logger.error("Failed to write admin audit log", { err: err.message }));
+  return writeQueue;
+}
+
+// Newest entries first
+export async function readRecentAuditEntries(limit = 50) {
+  let data;
+  try {
+    data = await readFile(AUDIT_LOG_PATH, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return data
+    .split("\n")
+    .filter(Boolean)
+    .slice(-limit)
+    .reverse()
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (_) {
+        return { malformed: line };
+      }
+    });
+}
+
+// Mount before requireAdmin so rejected attempts are recorded too
+export function auditAdminRequests(req, res, next) {
+  const started = Date.now();
+  res.on("finish", () => {
+    appendAuditEntry({
+      at: new Date(started).toISOString(),
+      actor: req.adminActor || null,
+      ip: req.ip || req.socket?.remoteAddress || "unknown",
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      result: res.statusCode === 401 ? "unauthorized" : res.statusCode < 400 ? "ok" : "error",
+      durationMs: Date.now() - started,
+      detail: res.locals.audit || null,
+    });
+  });
+  next();
+}
@@ -0,0 +1,44 @@
+// server/middleware/requestContext.js
+// First middleware on every request: assigns a request ID (the client's X-Request-Id when
+// it looks sane, else a new UUID), echoes it in the X-Request-Id response header, binds it
+// to req.log, and on finish records the access log line and the per-route HTTP metrics.
+import { randomUUID } from "crypto";
+import { logger, redactUrl } from "../observability/logger.js";
+import { httpRequests, httpDuration } from "../observability/metrics.js";
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+// Probes and scrapes would drown out real traffic at info level
+const QUIET_PATHS = new Set(["/metrics", "/health", "/health/details", "/livez", "/readyz"]);
+
+// Route template (e.g. /sounds/:id) keeps metric labels bounded; unknown paths share one label
+function routeLabel(req) {
+  if (req.route?.path) return `${req.baseUrl || ""}${req.route.path}`;
+  if (req.baseUrl) return `${req.baseUrl}/*`; // rejected inside a router (e.g. /admin auth)
+  return "unmatched";
+}
+
+export function requestContext(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeLabel(req);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+
+    const level = QUIET_PATHS.has(req.path) ? "debug" : res.statusCode >= 500 ? "error" : "info";
+    req.log[level]("request", {
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+    });
+  });
+  next();
+}
@@ -0,0 +1,58 @@
+// server/observability/logger.js
+// Structured logging: one JSON object per line on stdout/stderr, e.g.
+//   {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"request","requestId":"…","status":200}
+// LOG_LEVEL  debug | info (default) | warn | error
+// LOG_FORMAT json (default) | pretty (plain text lines for local development)
+// Request handlers get a child logger with the request ID bound (req.log, see
+// ../middleware/requestContext.js).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const pretty = String(process.env.LOG_FORMAT || "").toLowerCase() === "pretty";
+
+// Errors don't survive JSON.stringify; keep message, code and stack
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+function write(level, msg, bindings, fields) {
+  if (LEVELS[level] < minLevel) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (pretty) {
+    const { time, level: _, msg: __, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+    return;
+  }
+  stream.write(JSON.stringify(entry) + "\n");
+}
+
+/**
+ * @param {Object} [bindings] - fields added to every entry (e.g. { requestId })
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: (extra: Object) => Object }}
+ *   each level takes (msg, fields?)
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", msg, bindings, fields),
+    info: (msg, fields) => write("info", msg, bindings, fields),
+    warn: (msg, fields) => write("warn", msg, bindings, fields),
+    error: (msg, fields) => write("error", msg, bindings, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger();
+
+// Request URL for a log line, with API keys passed as ?api_key= (as the frontend's
+// WebSocket URL does) replaced so they never end up in logs
+export function redactUrl(url) {
+  return String(url || "").replace(/([?&]api_key=)[^&#]*/gi, "$1[redacted]");
+}
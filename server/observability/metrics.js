@@ -0,0 +1,173 @@
+// server/observability/metrics.js
+// Minimal Prometheus registry (counters, gauges, histograms with labels) and the metrics
+// the server exports on GET /metrics, in the text exposition format (version 0.0.4).
+// Gauges can take a collect() callback that is evaluated at scrape time, for values that
+// live elsewhere (catalog size, memory).
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+function renderLabels(labelNames, values, extra = "") {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+const formatNumber = (value) => (value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value));
+
+function register(metric) {
+  if (metrics.some((m) => m.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.push(metric);
+  return metric;
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  if (labelNames.length === 0) series.set(labelKey([], {}), 0); // unlabeled series start at 0
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      return [...series].map(([key, value]) => `${name}${renderLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+    },
+  });
+}
+
+export function gauge(name, help, labelNames = []) {
+  const series = new Map();
+  if (labelNames.length === 0) series.set(labelKey([], {}), 0);
+  let collector = null;
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      series.set(labelKey(labelNames, labels), value);
+    },
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    dec(labels = {}, value = 1) {
+      this.inc(labels, -value);
+    },
+    // fn(set) is called on every scrape; call set(labels, value) for each series
+    collect(fn) {
+      collector = fn;
+    },
+    render() {
+      if (collector) {
+        series.clear();
+        collector((labels, value) => series.set(labelKey(labelNames, labels), value));
+      }
+      return [...series].map(([key, value]) => `${name}${renderLabels(labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+    },
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // key -> { counts: number[], sum, count }
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    // Returns a function that observes the seconds elapsed since startTimer() was called
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        this.observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        bounds.forEach((bound, i) => {
+          lines.push(`${name}_bucket${renderLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${renderLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${renderLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${renderLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export function renderMetrics() {
+  return (
+    metrics
+      .map((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join("\n"))
+      .join("\n") + "\n"
+  );
+}
+
+// ===== APPLICATION METRICS =====
+export const httpRequests = counter("cueai_http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+export const httpDuration = histogram(
+  "cueai_http_request_duration_seconds",
+  "HTTP request latency by route",
+  ["method", "route"],
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+
+export const llmDuration = histogram(
+  "cueai_llm_request_duration_seconds",
+  "LLM request latency (whole response, streamed or not)",
+  ["provider", "task", "outcome"],
+  [0.25, 0.5, 1, 2, 4, 8, 15, 30]
+);
+export const llmTokens = counter("cueai_llm_tokens_total", "LLM tokens used, as reported by the provider", ["provider", "model", "kind"]);
+
+export const chromaDuration = histogram(
+  "cueai_chroma_query_duration_seconds",
+  "Chroma query latency",
+  ["outcome"],
+  [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
+export const chromaFailures = counter("cueai_chroma_query_failures_total", "Chroma queries that failed (analysis fell back to the local index)");
+
+export const rateLimitRejections = counter("cueai_rate_limit_rejections_total", "Requests rejected by the rate limiter", ["route"]);
+
+export const wsConnections = gauge("cueai_ws_connections", "Open /ws/transcribe connections");
+export const wsConnectionsTotal = counter("cueai_ws_connections_total", "/ws/transcribe connections accepted");
+
+export const catalogSounds = gauge("cueai_catalog_sounds", "Sounds in the loaded catalog", ["type"]);
+
+export const processMemory = gauge("cueai_process_memory_bytes", "Process memory usage", ["kind"]);
+processMemory.collect((set) => {
+  const { rss, heapUsed, heapTotal } = process.memoryUsage();
+  set({ kind: "rss" }, rss);
+  set({ kind: "heap_used" }, heapUsed);
+  set({ kind: "heap_total" }, heapTotal);
+});
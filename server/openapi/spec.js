@@ -0,0 +1,892 @@
+// server/openapi/spec.js
+// OpenAPI 3.1 description of the HTTP API, served at GET /openapi.json.
+// Request body schemas here are enforced at runtime (see ./validate.js), and the browser
+// client in ../../api-client.js is generated from this document
+// (`npm run generate:client`), so edit routes and this file together.
+//
+// /ws/transcribe can't be described with plain OpenAPI; it is listed under the
+// `x-websocket` extension with its message schemas in components (see ../stt/protocol.js).
+import { readFileSync } from "fs";
+import { DECISION_SCHEMA, MAX_SFX } from "../analysis/decisionSchema.js";
+import { SESSION_ID_PATTERN } from "../analysis/sessionMemory.js";
+import { QUERY_PARAMS } from "../catalog/soundQuery.js";
+import { MOODS, CATEGORIES, MODES, ENERGY_LEVELS } from "../catalog/soundContext.js";
+import { PROTOCOL_VERSION, SUPPORTED_ENCODINGS } from "../stt/protocol.js";
+
+const { version } = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+
+export const ANALYZE_MODES = MODES; // taxonomy.json `modes`
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ "application/json": { schema } });
+const response = (description, schema) => ({ description, content: json(schema) });
+const errorResponse = (description) => response(description, ref("ErrorResponse"));
+
+// Decision schemas minus the JSON Schema document keywords, which don't belong inside components
+const { $schema: _schema, $id: _id, title: _title, ...decisionSchema } = DECISION_SCHEMA;
+
+const rateLimited = {
+  429: {
+    description: "Rate limit exceeded; wait Retry-After seconds",
+    headers: { "Retry-After": { schema: { type: "integer" } } },
+    content: json(ref("RateLimitError")),
+  },
+};
+
+// Routes that take an issued API key (see ../apiKeys)
+const keyed = [{}, { apiKey: [] }];
+const apiKeyRejected = {
+  401: errorResponse("API key missing (API_KEY_MODE=required), invalid or revoked; `code` says which"),
+};
+const quotaExceeded = {
+  402: response("The API key's monthly token allowance is used up", ref("QuotaError")),
+};
+
+const adminResponses = {
+  401: errorResponse("Missing or invalid admin token"),
+  503: errorResponse("Admin API disabled (no ADMIN_TOKEN configured)"),
+};
+
+const soundQueryParameters = [
+  { name: "since", in: "query", description: "Catalog version the client has; answers with only the changes since then", schema: { type: "string" } },
+  { name: "type", in: "query", description: "Comma-separated: music, sfx, ambience", schema: { type: "string" } },
+  { name: "tags", in: "query", description: "Comma-separated tags", schema: { type: "string" } },
+  { name: "tagMatch", in: "query", schema: { type: "string", enum: ["any", "all"], default: "all" } },
+  { name: "mood", in: "query", description: `Comma-separated, from ${MOODS.join(", ")}`, schema: { type: "string" } },
+  { name: "category", in: "query", description: `Comma-separated, from ${CATEGORIES.join(", ")}`, schema: { type: "string" } },
+  { name: "loop", in: "query", schema: { type: "string", enum: ["true", "false"] } },
+  { name: "q", in: "query", description: "Free text, results ranked by relevance", schema: { type: "string" } },
+  { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } },
+  { name: "cursor", in: "query", description: "nextCursor from the previous page", schema: { type: "string" } },
+  { name: "facets", in: "query", description: "Comma-separated: tags, type, mood, category", schema: { type: "string" } },
+];
+// Keep the documented filters in step with what soundQuery.js accepts
+for (const name of QUERY_PARAMS) {
+  if (!soundQueryParameters.some((p) => p.name === name)) throw new Error(`openapi: /sounds parameter ${name} is not documented`);
+}
+
+const schemas = {
+  ErrorResponse: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      code: { type: "string", description: "Machine-readable reason, e.g. invalid_api_key" },
+      details: {},
+      requestId: { type: "string" },
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["error", "details"],
+    properties: {
+      error: { type: "string", examples: ["Invalid request body: $.transcript is required"] },
+      details: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["path", "message"],
+          properties: { path: { type: "string" }, message: { type: "string" } },
+        },
+      },
+    },
+  },
+  RateLimitError: {
+    type: "object",
+    required: ["error", "retryAfter"],
+    properties: { error: { type: "string" }, retryAfter: { type: "integer" } },
+  },
+  Quota: {
+    type: "object",
+    required: ["limit", "used", "remaining", "resetsAt"],
+    properties: {
+      limit: { type: ["integer", "null"], description: "Monthly tokens; null = unlimited" },
+      used: { type: "integer" },
+      remaining: { type: ["integer", "null"] },
+      resetsAt: { type: "string", format: "date-time" },
+    },
+  },
+  QuotaError: {
+    type: "object",
+    required: ["error", "code", "quota"],
+    properties: { error: { type: "string" }, code: { const: "quota_exceeded" }, quota: ref("Quota") },
+  },
+  AudioMetadata: {
+    type: "object",
+    description: "Measured by rebuild-catalog.js (see catalog/audioMetadata.js); times in seconds",
+    properties: {
+      duration: { type: "number" },
+      channels: { type: "integer" },
+      sampleRate: { type: "integer" },
+      lufs: { type: ["number", "null"], description: "Integrated loudness (ITU-R BS.1770); null when silent" },
+      truePeakDb: { type: ["number", "null"], description: "4x oversampled peak, dBTP" },
+      leadingSilence: { type: "number" },
+      trailingSilence: { type: "number" },
+      bytes: { type: "integer", description: "File size when measured" },
+    },
+  },
+  Sound: {
+    type: "object",
+    required: ["id", "type", "src"],
+    properties: {
+      id: { type: "string" },
+      type: { type: "string", enum: ["music", "sfx", "ambience"] },
+      name: { type: "string" },
+      src: { type: "string", description: "Audio URL (CDN or /media)" },
+      tags: { type: "array", items: { type: "string" } },
+      loop: { type: "boolean" },
+      license: { type: "string" },
+      attribution: { type: "string" },
+      mood: { type: "string", enum: MOODS, description: "Set by the catalog rebuild (taxonomy or overrides)" },
+      category: { type: "string", enum: CATEGORIES },
+      intensity: { type: "number", minimum: 0, maximum: 1 },
+      energy: { type: "string", enum: ENERGY_LEVELS },
+      modes: { type: "array", items: { type: "string", enum: MODES }, description: "Analyze modes this sound suits" },
+      aliases: {
+        type: "array",
+        items: { type: "string" },
+        description: "Former ids of a renamed sound; GET /sounds/{id} also resolves these",
+      },
+      fileHash: { type: "string", description: "sha256:<16 hex> of the media file (rebuilt catalogs)" },
+      audio: ref("AudioMetadata"),
+    },
+  },
+  SoundsFull: {
+    type: "object",
+    required: ["version", "full", "sounds"],
+    properties: {
+      version: { type: "string" },
+      full: { const: true },
+      sounds: { type: "array", items: ref("Sound") },
+    },
+  },
+  SoundsDelta: {
+    type: "object",
+    required: ["version", "since", "full", "added", "changed", "removed"],
+    properties: {
+      version: { type: "string" },
+      since: { type: "string" },
+      full: { const: false },
+      added: { type: "array", items: ref("Sound") },
+      changed: { type: "array", items: ref("Sound") },
+      removed: { type: "array", items: { type: "string" } },
+    },
+  },
+  SoundsPage: {
+    type: "object",
+    required: ["version", "total", "sounds"],
+    properties: {
+      version: { type: "string" },
+      total: { type: "integer" },
+      sounds: { type: "array", items: ref("Sound") },
+      nextCursor: { type: ["string", "null"] },
+      facets: {
+        type: "object",
+        additionalProperties: {
+          type: "array",
+          items: { type: "object", properties: { value: { type: "string" }, count: { type: "integer" } } },
+        },
+      },
+    },
+  },
+  SoundResponse: {
+    type: "object",
+    required: ["version", "sound"],
+    properties: { version: { type: "string" }, sound: ref("Sound") },
+  },
+  SearchResponse: {
+    type: "object",
+    required: ["query", "engine", "count", "results"],
+    properties: {
+      query: { type: "string" },
+      engine: { const: "lexical" },
+      count: { type: "integer" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            type: { type: "string" },
+            score: { type: "number" },
+            matched: { type: "array", items: { type: "string" } },
+            tags: { type: "array", items: { type: "string" } },
+            src: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  AnalyzeContext: {
+    type: "object",
+    description: "What the client is currently doing; unknown fields are ignored",
+    properties: {
+      mode: { type: ["string", "null"] },
+      musicEnabled: { type: "boolean" },
+      sfxEnabled: { type: "boolean" },
+      moodBias: { type: ["number", "null"], description: "0-1" },
+      recentSounds: { type: "array", items: { type: "string" } },
+      recentMusic: { type: ["string", "null"], description: "ID of the music that is playing" },
+    },
+  },
+  AnalyzeRequest: {
+    type: "object",
+    required: ["transcript"],
+    properties: {
+      transcript: { type: "string", minLength: 1 },
+      mode: { type: ["string", "null"], enum: [...ANALYZE_MODES, null] },
+      context: ref("AnalyzeContext"),
+      sessionId: {
+        type: ["string", "null"],
+        pattern: SESSION_ID_PATTERN.source,
+        description: "Opt-in session memory; 8-64 letters, digits, _ or -",
+      },
+      debug: { type: "boolean", description: "Include prompt token stats (same as ?debug=1)" },
+    },
+  },
+  Decision: decisionSchema,
+  AnalyzeResponse: {
+    type: "object",
+    required: ["scene", "music", "sfx", "repaired", "catalogVersion"],
+    properties: {
+      ...decisionSchema.properties,
+      repaired: { type: "boolean", description: "The model's first answer had to be fixed" },
+      catalogVersion: { type: "string" },
+      sessionId: { type: "string" },
+      cache: {
+        type: "object",
+        description: "Present when the decision cache is enabled",
+        required: ["hit"],
+        properties: {
+          hit: { type: "boolean" },
+          match: { type: "string", enum: ["exact", "similar"] },
+          similarity: { type: "number" },
+          cachedTranscript: { type: "string" },
+          ageMs: { type: "integer" },
+          hits: { type: "integer" },
+          skipped: {
+            type: "string",
+            enum: ["session"],
+            description: "Not looked up: the session already has story context",
+          },
+        },
+      },
+      debug: { type: "object", properties: { prompt: { type: "object" } } },
+    },
+  },
+  AnalyzeStreamEvent: {
+    description: "One line of the POST /analyze/stream NDJSON response",
+    oneOf: [
+      {
+        type: "object",
+        required: ["type", "sfx", "music"],
+        properties: {
+          type: { const: "candidates" },
+          sfx: { type: "array", items: { type: "string" } },
+          music: { type: "array", items: { type: "string" } },
+        },
+      },
+      {
+        type: "object",
+        required: ["type", "sfx"],
+        properties: { type: { const: "sfx" }, sfx: decisionSchema.properties.sfx.items },
+      },
+      {
+        type: "object",
+        required: ["type", "music"],
+        properties: { type: { const: "music" }, music: decisionSchema.properties.music },
+      },
+      {
+        type: "object",
+        required: ["type", "scene"],
+        properties: { type: { const: "scene" }, scene: { type: "string" } },
+      },
+      {
+        allOf: [ref("AnalyzeResponse")],
+        type: "object",
+        required: ["type"],
+        properties: { type: { const: "done" } },
+      },
+      {
+        type: "object",
+        required: ["type", "error"],
+        properties: { type: { const: "error" }, error: { type: "string" }, requestId: { type: "string" } },
+      },
+    ],
+  },
+  HealthSummary: {
+    type: "object",
+    required: ["status", "sounds", "catalogVersion"],
+    properties: {
+      status: { type: "string", enum: ["ok", "degraded", "not_ready"] },
+      reasons: { type: "array", items: { type: "string" } },
+      chroma: { type: "boolean" },
+      deepgram: { type: "boolean" },
+      sounds: { type: "integer" },
+      catalogVersion: { type: ["string", "null"] },
+      openai: { type: "boolean", description: "Any LLM provider configured (kept for older clients)" },
+      llm: { type: "object" },
+      rateLimits: { type: "object" },
+      freesound: { type: "boolean", description: "Audio CDN reachable" },
+      pixabay: { type: "boolean" },
+    },
+  },
+  Dependency: {
+    type: "object",
+    required: ["status", "required"],
+    properties: {
+      status: { type: "string", enum: ["pending", "ok", "error", "unconfigured"] },
+      required: { type: "boolean" },
+      checkedAt: { type: ["string", "null"], format: "date-time" },
+      latencyMs: { type: ["integer", "null"] },
+      error: { type: ["string", "null"] },
+      details: { type: ["object", "null"] },
+    },
+  },
+  HealthDetails: {
+    type: "object",
+    required: ["status", "ready", "reasons", "dependencies"],
+    properties: {
+      status: { type: "string", enum: ["ok", "degraded", "not_ready"] },
+      ready: { type: "boolean" },
+      reasons: { type: "array", items: { type: "string" } },
+      checkIntervalMs: { type: "integer" },
+      dependencies: { type: "object", additionalProperties: ref("Dependency") },
+    },
+  },
+  Readiness: {
+    type: "object",
+    required: ["status"],
+    properties: {
+      status: { type: "string", enum: ["ready", "not_ready"] },
+      reasons: { type: "array", items: { type: "string" } },
+    },
+  },
+  ReloadCatalogResponse: {
+    type: "object",
+    properties: {
+      message: { type: "string" },
+      version: { type: "string" },
+      changed: { type: "boolean" },
+      sounds: { type: "integer" },
+      previous: { type: "integer" },
+    },
+  },
+  ChromaSyncReport: { type: "object", description: "Added/changed/deleted IDs and batch results" },
+  ChromaStatus: {
+    type: "object",
+    required: ["configured", "collection"],
+    properties: { configured: { type: "boolean" }, collection: { type: "string" }, error: { type: "string" } },
+  },
+  RateLimitBudget: {
+    description: "Token bucket: capacity = burst size, perMinute = refill; false disables the limit",
+    oneOf: [
+      {
+        type: "object",
+        required: ["capacity", "perMinute"],
+        additionalProperties: false,
+        properties: { capacity: { type: "integer", minimum: 1 }, perMinute: { type: "number", minimum: 0.01 } },
+      },
+      { type: "boolean", const: false },
+    ],
+  },
+  CreateApiKeyRequest: {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 100, description: "Who the key is for" },
+      plan: { type: "string", description: "A plan from GET /admin/api-keys (default free)" },
+      monthlyTokens: { type: ["integer", "null"], minimum: 0, description: "Overrides the plan's allowance; null = unlimited" },
+      rateLimits: {
+        type: "object",
+        description: "Overrides the plan's budgets per route (analyze, sounds, ws)",
+        additionalProperties: ref("RateLimitBudget"),
+      },
+    },
+  },
+  ApiKey: {
+    type: "object",
+    required: ["id", "name", "plan", "prefix", "createdAt", "revokedAt"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      plan: { type: "string" },
+      prefix: { type: "string", description: "First characters of the key, for recognizing it" },
+      createdAt: { type: "string", format: "date-time" },
+      createdBy: { type: ["string", "null"] },
+      revokedAt: { type: ["string", "null"], format: "date-time" },
+      monthlyTokens: { type: ["integer", "null"] },
+      rateLimits: { type: "object", additionalProperties: ref("RateLimitBudget") },
+    },
+  },
+  ApiKeyUsage: {
+    type: "object",
+    required: ["requests", "tokens", "sttSeconds"],
+    properties: {
+      requests: { type: "object", description: "Served requests per route", additionalProperties: { type: "integer" } },
+      tokens: {
+        type: "object",
+        properties: { prompt: { type: "integer" }, completion: { type: "integer" }, total: { type: "integer" } },
+      },
+      sttSeconds: { type: "number", description: "Audio streamed to /ws/transcribe" },
+    },
+  },
+  ApiKeyList: {
+    type: "object",
+    required: ["month", "mode", "plans", "count", "keys"],
+    properties: {
+      month: { type: "string", examples: ["2026-10"] },
+      mode: { type: "string", enum: ["optional", "required"] },
+      defaultPlan: { type: "string" },
+      plans: { type: "object" },
+      count: { type: "integer" },
+      keys: {
+        type: "array",
+        items: {
+          allOf: [ref("ApiKey")],
+          type: "object",
+          properties: {
+            limits: { type: "object" },
+            usage: ref("ApiKeyUsage"),
+            quota: ref("Quota"),
+          },
+        },
+      },
+    },
+  },
+  CreatedApiKey: {
+    type: "object",
+    required: ["message", "key", "apiKey"],
+    properties: {
+      message: { type: "string" },
+      key: { type: "string", description: "The key itself; only returned here" },
+      apiKey: ref("ApiKey"),
+    },
+  },
+  RevokedApiKey: {
+    type: "object",
+    required: ["message", "apiKey"],
+    properties: { message: { type: "string" }, apiKey: ref("ApiKey") },
+  },
+  AuditEntries: {
+    type: "object",
+    required: ["count", "entries"],
+    properties: { count: { type: "integer" }, entries: { type: "array", items: { type: "object" } } },
+  },
+  DecisionCacheState: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      maxEntries: { type: "integer" },
+      ttlMs: { type: "integer" },
+      similarity: { type: "number" },
+      size: { type: "integer" },
+      hits: { type: "integer" },
+      similarHits: { type: "integer" },
+      misses: { type: "integer" },
+      stores: { type: "integer" },
+      hitRate: { type: ["number", "null"] },
+      entries: { type: "array", items: { type: "object" } },
+    },
+  },
+  DecisionCacheFlushed: {
+    type: "object",
+    required: ["message", "flushed"],
+    properties: { message: { type: "string" }, flushed: { type: "integer" }, mode: { type: "string" } },
+  },
+
+  // /ws/transcribe text frames
+  WsClientMessage: {
+    oneOf: [
+      {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { const: "start" },
+          version: { const: PROTOCOL_VERSION },
+          encoding: { type: "string", enum: SUPPORTED_ENCODINGS },
+          sample_rate: { type: "integer", minimum: 8000, maximum: 48000 },
+          channels: { type: "integer", enum: [1, 2] },
+          provider: { type: "string", enum: ["deepgram", "vosk", "fake"] },
+        },
+      },
+      { type: "object", required: ["type"], properties: { type: { const: "ping" }, ts: { type: "number" } } },
+      { type: "object", required: ["type"], properties: { type: { const: "stop" } } },
+    ],
+  },
+  WsServerMessage: {
+    oneOf: [
+      {
+        type: "object",
+        required: ["type", "version", "provider", "encoding", "sample_rate", "channels"],
+        properties: {
+          type: { const: "ready" },
+          version: { type: "integer" },
+          provider: { type: "string" },
+          encoding: { type: "string" },
+          sample_rate: { type: "integer" },
+          channels: { type: "integer" },
+        },
+      },
+      {
+        type: "object",
+        required: ["type", "transcript", "is_final"],
+        properties: {
+          type: { const: "transcript" },
+          transcript: { type: "string" },
+          is_final: { type: "boolean", description: "false: interim hypothesis that will be replaced" },
+          speech_final: { type: "boolean", description: "End of a spoken phrase" },
+          confidence: { type: "number" },
+          start: { type: "number" },
+          duration: { type: "number" },
+          words: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { word: { type: "string" }, start: { type: "number" }, end: { type: "number" }, confidence: { type: "number" } },
+            },
+          },
+        },
+      },
+      {
+        type: "object",
+        required: ["type"],
+        properties: { type: { const: "utterance_end" }, last_word_end: { type: "number" } },
+      },
+      { type: "object", required: ["type", "ts"], properties: { type: { const: "pong" }, ts: { type: "number" } } },
+      {
+        type: "object",
+        required: ["type", "code", "message"],
+        properties: { type: { const: "error" }, code: { type: "string" }, message: { type: "string" } },
+      },
+      {
+        type: "object",
+        required: ["type", "reason", "reconnect_after_ms"],
+        description: "Server is shutting down; final results follow, then the socket closes",
+        properties: {
+          type: { const: "going_away" },
+          reason: { type: "string" },
+          reconnect_after_ms: { type: "integer" },
+        },
+      },
+    ],
+  },
+};
+
+const paths = {
+  "/sounds": {
+    get: {
+      operationId: "listSounds",
+      summary: "Full catalog, a ?since= delta, or a filtered page",
+      tags: ["sounds"],
+      security: keyed,
+      parameters: soundQueryParameters,
+      responses: {
+        200: response("Catalog (full, delta or page)", { oneOf: [ref("SoundsFull"), ref("SoundsDelta"), ref("SoundsPage")] }),
+        304: { description: "Unchanged since If-None-Match" },
+        400: errorResponse("Invalid filter"),
+        409: errorResponse("Catalog changed since the cursor was issued"),
+        ...apiKeyRejected,
+        ...rateLimited,
+      },
+    },
+  },
+  "/sounds/{id}": {
+    get: {
+      operationId: "getSound",
+      summary: "One catalog entry",
+      description: "Also resolves former ids listed in a sound's `aliases`; the entry returned carries its current id.",
+      tags: ["sounds"],
+      security: keyed,
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: response("Catalog entry", ref("SoundResponse")),
+        304: { description: "Unchanged since If-None-Match" },
+        404: errorResponse("Unknown sound id"),
+        ...apiKeyRejected,
+        ...rateLimited,
+      },
+    },
+  },
+  "/search": {
+    get: {
+      operationId: "searchSounds",
+      summary: "Local lexical search (BM25 + synonyms + fuzzy)",
+      tags: ["sounds"],
+      parameters: [
+        { name: "q", in: "query", required: true, schema: { type: "string" } },
+        { name: "type", in: "query", schema: { type: "string", enum: ["music", "sfx", "ambience"] } },
+        { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 50, default: 10 } },
+      ],
+      responses: {
+        200: response("Ranked matches", ref("SearchResponse")),
+        400: errorResponse("Missing q or bad type"),
+        ...rateLimited,
+      },
+    },
+  },
+  "/analyze": {
+    post: {
+      operationId: "analyze",
+      summary: "Pick music and sound effects for a transcript",
+      tags: ["analyze"],
+      security: keyed,
+      parameters: [{ name: "debug", in: "query", schema: { type: "string", enum: ["1"] } }],
+      requestBody: { required: true, content: json(ref("AnalyzeRequest")) },
+      responses: {
+        200: response("Validated decision", ref("AnalyzeResponse")),
+        400: response("Invalid request body", ref("ValidationError")),
+        500: errorResponse("Analysis failed"),
+        ...apiKeyRejected,
+        ...quotaExceeded,
+        ...rateLimited,
+      },
+    },
+  },
+  "/analyze/stream": {
+    post: {
+      operationId: "analyzeStream",
+      summary: "Same as /analyze, answered as NDJSON events as the model writes",
+      tags: ["analyze"],
+      security: keyed,
+      parameters: [{ name: "debug", in: "query", schema: { type: "string", enum: ["1"] } }],
+      requestBody: { required: true, content: json(ref("AnalyzeRequest")) },
+      responses: {
+        200: {
+          description: "One AnalyzeStreamEvent per line, ending with done or error",
+          content: { "application/x-ndjson": { schema: ref("AnalyzeStreamEvent") } },
+        },
+        400: response("Invalid request body", ref("ValidationError")),
+        ...apiKeyRejected,
+        ...quotaExceeded,
+        ...rateLimited,
+      },
+    },
+  },
+  "/health": {
+    get: {
+      operationId: "getHealth",
+      summary: "Summary flags for the frontend indicators (always 200)",
+      tags: ["health"],
+      responses: { 200: response("Health summary", ref("HealthSummary")) },
+    },
+  },
+  "/health/details": {
+    get: {
+      operationId: "getHealthDetails",
+      summary: "Cached dependency checks",
+      tags: ["health"],
+      responses: { 200: response("Dependency status", ref("HealthDetails")) },
+    },
+  },
+  "/livez": {
+    get: {
+      operationId: "getLiveness",
+      summary: "Process is up",
+      tags: ["health"],
+      responses: {
+        200: response("Alive", {
+          type: "object",
+          properties: { status: { const: "ok" }, uptimeSeconds: { type: "integer" } },
+        }),
+      },
+    },
+  },
+  "/readyz": {
+    get: {
+      operationId: "getReadiness",
+      summary: "Catalog and search index loaded",
+      tags: ["health"],
+      responses: {
+        200: response("Ready", ref("Readiness")),
+        503: response("Not ready", ref("Readiness")),
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      operationId: "getMetrics",
+      summary: "Prometheus metrics",
+      tags: ["health"],
+      security: [{}, { metricsToken: [] }],
+      responses: {
+        200: { description: "Text exposition format 0.0.4", content: { "text/plain": { schema: { type: "string" } } } },
+        401: errorResponse("METRICS_TOKEN is set and the bearer token did not match"),
+      },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      operationId: "getOpenApi",
+      summary: "This document",
+      tags: ["meta"],
+      responses: { 200: response("OpenAPI 3.1 document", { type: "object" }) },
+    },
+  },
+  "/admin/sync-chroma": {
+    post: {
+      operationId: "syncChroma",
+      summary: "Upsert changed sounds into Chroma and delete removed ones",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [{ name: "dryRun", in: "query", schema: { type: "string", enum: ["1", "true"] } }],
+      responses: {
+        200: response("Sync report", ref("ChromaSyncReport")),
+        500: errorResponse("Sync failed"),
+        502: response("Some batches failed", ref("ChromaSyncReport")),
+        ...adminResponses,
+      },
+    },
+  },
+  "/admin/chroma-status": {
+    get: {
+      operationId: "getChromaStatus",
+      summary: "Chroma collection status",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      responses: {
+        200: response("Collection status", ref("ChromaStatus")),
+        502: response("Chroma unreachable", ref("ChromaStatus")),
+        ...adminResponses,
+      },
+    },
+  },
+  "/admin/reload-catalog": {
+    post: {
+      operationId: "reloadCatalog",
+      summary: "Re-read soundCatalog.json",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      responses: {
+        200: response("Reload result", ref("ReloadCatalogResponse")),
+        500: errorResponse("Reload failed"),
+        ...adminResponses,
+      },
+    },
+  },
+  "/admin/audit": {
+    get: {
+      operationId: "listAuditEntries",
+      summary: "Most recent admin actions, newest first",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [{ name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } }],
+      responses: {
+        200: response("Audit entries", ref("AuditEntries")),
+        500: errorResponse("Audit log unreadable"),
+        ...adminResponses,
+      },
+    },
+  },
+  "/admin/decision-cache": {
+    get: {
+      operationId: "inspectDecisionCache",
+      summary: "Decision cache settings, counters and recent entries",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [{ name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } }],
+      responses: { 200: response("Cache state", ref("DecisionCacheState")), ...adminResponses },
+    },
+    delete: {
+      operationId: "clearDecisionCache",
+      summary: "Drop cached decisions (all, or one mode's)",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [{ name: "mode", in: "query", schema: { type: "string" } }],
+      responses: { 200: response("Flushed", ref("DecisionCacheFlushed")), ...adminResponses },
+    },
+  },
+  "/admin/api-keys": {
+    get: {
+      operationId: "listApiKeys",
+      summary: "Issued API keys with one month's usage and token quota",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [
+        { name: "month", in: "query", description: "UTC month, default the current one", schema: { type: "string", pattern: "^\\d{4}-\\d{2}$" } },
+        { name: "revoked", in: "query", description: "false hides revoked keys", schema: { type: "string", enum: ["true", "false"] } },
+      ],
+      responses: {
+        200: response("Keys and usage", ref("ApiKeyList")),
+        400: errorResponse("Bad month"),
+        ...adminResponses,
+      },
+    },
+    post: {
+      operationId: "createApiKey",
+      summary: "Issue a client API key (the key is only shown in this response)",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      requestBody: { required: true, content: json(ref("CreateApiKeyRequest")) },
+      responses: {
+        201: response("Key created", ref("CreatedApiKey")),
+        400: errorResponse("Invalid request body (with details) or unknown plan"),
+        ...adminResponses,
+      },
+    },
+  },
+  "/admin/api-keys/{id}": {
+    delete: {
+      operationId: "revokeApiKey",
+      summary: "Revoke an API key (usage history is kept)",
+      tags: ["admin"],
+      security: [{ adminToken: [] }],
+      parameters: [{ name: "id", in: "path", required: true, schema: { type: "string" } }],
+      responses: {
+        200: response("Revoked", ref("RevokedApiKey")),
+        404: errorResponse("Unknown key id"),
+        ...adminResponses,
+      },
+    },
+  },
+};
+
+export const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "CueAI backend",
+    version,
+    description: `Sound catalog, transcript analysis (at most ${MAX_SFX} sfx per decision), health and admin endpoints.`,
+  },
+  paths,
+  components: {
+    schemas,
+    securitySchemes: {
+      adminToken: { type: "http", scheme: "bearer", description: "ADMIN_TOKEN / ADMIN_TOKENS" },
+      metricsToken: { type: "http", scheme: "bearer", description: "METRICS_TOKEN, when set" },
+      apiKey: {
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+        description: "Issued by POST /admin/api-keys; also accepted as ?api_key=. Required when API_KEY_MODE=required",
+      },
+    },
+  },
+  "x-websocket": {
+    "/ws/transcribe": {
+      summary: "Streaming speech-to-text",
+      parameters: [
+        { name: "provider", in: "query", schema: { type: "string", enum: ["deepgram", "vosk", "fake"] } },
+        { name: "api_key", in: "query", description: "Issued API key (browsers can't set headers on WebSockets)", schema: { type: "string" } },
+      ],
+      security: keyed,
+      clientMessages: ref("WsClientMessage"),
+      serverMessages: ref("WsServerMessage"),
+      binaryFrames: "Raw audio in the negotiated format, after the ready message",
+    },
+  },
+};
+
+/**
+ * Find an operation by operationId.
+ * @returns {{ path: string, method: string, operation: object } | null}
+ */
+export function findOperation(operationId) {
+  for (const [path, item] of Object.entries(paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (operation.operationId === operationId) return { path, method, operation };
+    }
+  }
+  return null;
+}
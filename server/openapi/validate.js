@@ -0,0 +1,154 @@
+// server/openapi/validate.js
+// Request body validation against the schemas in ./spec.js. Supports the JSON Schema
+// subset the spec uses ($ref, type, const, enum, required, properties,
+// additionalProperties, items, min/maxLength, pattern, minimum/maximum, maxItems,
+// oneOf, allOf). Unlike ../analysis/decisionSchema.js nothing is repaired: any error
+// is a 400 with one { path, message } per problem.
+import { openApiDocument, findOperation } from "./spec.js";
+
+const MAX_ERRORS = 10;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const show = (value) => {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+};
+
+function resolve(schema) {
+  while (schema?.$ref) {
+    const name = schema.$ref.replace("#/components/schemas/", "");
+    schema = openApiDocument.components.schemas[name];
+    if (!schema) throw new Error(`openapi: unknown schema ${name}`);
+  }
+  return schema;
+}
+
+function check(value, rawSchema, at, errors) {
+  const schema = resolve(rawSchema);
+  const fail = (message) => errors.push({ path: at, message });
+
+  if (schema.allOf) schema.allOf.forEach((sub) => check(value, sub, at, errors));
+  if (schema.oneOf) {
+    const results = schema.oneOf.map((sub) => {
+      const branchErrors = [];
+      check(value, sub, at, branchErrors);
+      return { sub: resolve(sub), branchErrors };
+    });
+    const passing = results.filter((r) => r.branchErrors.length === 0).length;
+    if (passing > 1) fail("matches more than one allowed shape");
+    if (passing === 0) {
+      // Report the branch of the right type, if there is just one, instead of a vague summary
+      const sameType = results.filter((r) => !r.sub.type || [].concat(r.sub.type).some((t) => matchesType(value, t)));
+      if (sameType.length === 1) errors.push(...sameType[0].branchErrors);
+      else fail(`expected ${results.map((r) => [].concat(r.sub.type || "value").join(" or ")).join(" or ")}, got ${show(value)}`);
+    }
+    return;
+  }
+
+  if (schema.type && ![].concat(schema.type).some((t) => matchesType(value, t))) {
+    fail(`expected ${[].concat(schema.type).join(" or ")}, got ${show(value)}`);
+    return;
+  }
+  if ("const" in schema && value !== schema.const) fail(`must be ${show(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((v) => (v === null ? "null" : v)).join(", ")}`);
+  }
+
+  switch (typeOf(value)) {
+    case "string":
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+      break;
+    case "integer":
+    case "number":
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+      break;
+    case "array":
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, errors));
+      break;
+    case "object":
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: `${at}.${key}`, message: "is required" });
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        const propSchema = schema.properties?.[key];
+        if (propSchema) check(item, propSchema, `${at}.${key}`, errors);
+        else if (schema.additionalProperties === false) errors.push({ path: `${at}.${key}`, message: "is not allowed" });
+        else if (typeof schema.additionalProperties === "object") check(item, schema.additionalProperties, `${at}.${key}`, errors);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Validate a value against a schema (or a { $ref } into the spec's components).
+ * @returns {{ path: string, message: string }[]} empty when valid
+ */
+export function validateValue(value, schema) {
+  const errors = [];
+  check(value, schema, "$", errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+export function validationErrorBody(errors) {
+  const summary = errors.map((e) => `${e.path} ${e.message}`).join("; ");
+  return { error: `Invalid request body: ${summary}`, details: errors };
+}
+
+/**
+ * Express middleware checking req.body against an operation's JSON request body schema.
+ * Use after the rate limiter so invalid requests still count against the budget.
+ * @param {string} operationId - operation in ./spec.js
+ */
+export function validateBody(operationId) {
+  const found = findOperation(operationId);
+  const schema = found?.operation.requestBody?.content["application/json"]?.schema;
+  if (!schema) throw new Error(`openapi: ${operationId} has no JSON request body`);
+  const required = found.operation.requestBody.required;
+
+  return (req, res, next) => {
+    // express.json() leaves req.body undefined/{} for other content types
+    const body = req.is("application/json") ? req.body : undefined;
+    if (body === undefined) {
+      if (!required) return next();
+      return res.status(400).json(validationErrorBody([{ path: "$", message: "JSON body required (Content-Type: application/json)" }]));
+    }
+    const errors = validateValue(body, schema);
+    if (errors.length > 0) {
+      req.log?.debug("Request body failed validation", { operationId, errors });
+      return res.status(400).json(validationErrorBody(errors));
+    }
+    next();
+  };
+}
+
+// Error handler for express.json(): malformed JSON gets the same 400 shape as schema errors
+// instead of Express's HTML error page
+export function jsonBodyErrors(err, req, res, next) {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json(validationErrorBody([{ path: "$", message: `is not valid JSON (${err.message})` }]));
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "Request body too large" });
+  }
+  next(err);
+}
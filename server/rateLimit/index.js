@@ -0,0 +1,181 @@
+// server/rateLimit/index.js
+// Token-bucket rate limiting per route and client.
+//
+// Clients are keyed by their verified API key (req.apiKey, set by ../apiKeys; it uses its
+// plan's budgets where the plan sets one), else by IP. Neither an unverified
+// X-API-Key/api_key value nor a sessionId is part of the key, so made-up keys or rotating
+// session IDs can't get a fresh bucket: every keyless session from one IP shares its budget.
+//
+// Client IPs: X-Forwarded-For is only trusted for TRUST_PROXY hops (default 1 on Render,
+// which sets RENDER, else 0), the same setting Express's "trust proxy" gets (../index.js).
+//
+// Budgets: { capacity, perMinute } per route (capacity = burst size, perMinute = refill).
+// Override with RATE_LIMITS='{"analyze":{"capacity":20,"perMinute":20},"search":false}'
+// (false disables a route's limit). Store: RATE_LIMIT_STORE=memory|file, file path in
+// RATE_LIMIT_FILE (default server/data/rate-limits.json).
+//
+// Responses carry RateLimit-Limit/-Remaining/-Reset and RateLimit-Policy headers
+// (IETF draft), plus Retry-After on 429.
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMemoryStore, createFileStore } from "./stores.js";
+import { logger } from "../observability/logger.js";
+import { rateLimitRejections } from "../observability/metrics.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_BUDGETS = {
+  analyze: { capacity: 10, perMinute: 10 },
+  sounds: { capacity: 60, perMinute: 120 },
+  search: { capacity: 30, perMinute: 60 },
+  ws: { capacity: 5, perMinute: 10 }, // new /ws/transcribe connections
+};
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+const IDLE_BUCKET_MS = 60 * 60 * 1000;
+
+// Proxies in front of the server whose X-Forwarded-For entries are trusted
+export const TRUSTED_PROXY_HOPS =
+  process.env.TRUST_PROXY !== undefined && process.env.TRUST_PROXY !== ""
+    ? Math.max(0, Math.floor(Number(process.env.TRUST_PROXY)) || 0)
+    : process.env.RENDER
+      ? 1
+      : 0;
+
+export const RATE_LIMIT_HEADERS = ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"];
+
+function loadBudgets() {
+  const budgets = { ...DEFAULT_BUDGETS };
+  if (process.env.RATE_LIMITS) {
+    try {
+      Object.assign(budgets, JSON.parse(process.env.RATE_LIMITS));
+    } catch (err) {
+      logger.warn("Ignoring invalid RATE_LIMITS JSON", { err: err.message });
+    }
+  }
+  return budgets;
+}
+
+function createStore() {
+  if (process.env.RATE_LIMIT_STORE === "file") {
+    return createFileStore(process.env.RATE_LIMIT_FILE || path.join(__dirname, "..", "data", "rate-limits.json"));
+  }
+  return createMemoryStore();
+}
+
+const budgets = loadBudgets();
+const store = createStore();
+
+const pruneTimer = setInterval(() => store.prune(Date.now() - IDLE_BUCKET_MS), PRUNE_INTERVAL);
+pruneTimer.unref();
+
+function take(bucketKey, { capacity, perMinute }, cost) {
+  const now = Date.now();
+  const bucket = store.get(bucketKey) || { tokens: capacity, updatedAt: now };
+  let tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+  const allowed = tokens >= cost;
+  if (allowed) tokens -= cost;
+  store.set(bucketKey, { tokens, updatedAt: now });
+
+  const secondsFor = (amount) => Math.max(0, Math.ceil((amount / perMinute) * 60));
+  return {
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(tokens),
+    reset: secondsFor(capacity - tokens),
+    retryAfter: allowed ? 0 : Math.max(1, secondsFor(cost - tokens)),
+    policy: `${capacity};w=${Math.round((capacity / perMinute) * 60)}`,
+  };
+}
+
+// Works for Express requests and raw upgrade requests (no req.ip there). Like Express,
+// the client is the entry TRUSTED_PROXY_HOPS from the right: whatever the client put
+// further left in X-Forwarded-For is not trusted.
+export function clientIp(req) {
+  if (req.ip) return req.ip;
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (TRUSTED_PROXY_HOPS > 0 && forwarded.length > 0) {
+    return forwarded[Math.max(0, forwarded.length - TRUSTED_PROXY_HOPS)];
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+/**
+ * Which bucket a request draws from.
+ * @returns {{ key: string, kind: "apiKey"|"ip", ip: string, budgets?: object }}
+ */
+export function resolveClientKey(req) {
+  const ip = clientIp(req);
+  if (req.apiKey) return { key: `key:${req.apiKey.id}`, kind: "apiKey", ip, budgets: req.apiKey.rateLimits };
+  return { key: `ip:${ip}`, kind: "ip", ip };
+}
+
+/**
+ * Spend `cost` tokens from the route's bucket for this client.
+ * @returns {{ allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number, policy: string } | null}
+ *   null when the route has no limit
+ */
+export function consumeRateLimit(route, client, cost = 1) {
+  const budget = client.budgets && route in client.budgets ? client.budgets[route] : budgets[route];
+  if (!budget) return null;
+  return take(`${route}:${client.key}`, budget, cost);
+}
+
+export function applyRateLimitHeaders(res, result) {
+  if (!result) return;
+  res.set("RateLimit-Limit", String(result.limit));
+  res.set("RateLimit-Remaining", String(result.remaining));
+  res.set("RateLimit-Reset", String(result.reset));
+  res.set("RateLimit-Policy", result.policy);
+  if (!result.allowed) res.set("Retry-After", String(result.retryAfter));
+}
+
+// Express middleware for one route budget
+export function rateLimit(route) {
+  return (req, res, next) => {
+    const result = consumeRateLimit(route, resolveClientKey(req));
+    applyRateLimitHeaders(res, result);
+    if (result && !result.allowed) {
+      rateLimitRejections.inc({ route });
+      return res.status(429).json({
+        error: `Too many requests. Please try again in ${result.retryAfter}s.`,
+        retryAfter: result.retryAfter,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Check a WebSocket upgrade against the "ws" budget. On rejection the socket gets a
+ * plain HTTP 429 and is closed.
+ * @returns {boolean} true if the upgrade may proceed
+ */
+export function allowUpgrade(request, socket) {
+  const result = consumeRateLimit("ws", resolveClientKey(request));
+  if (!result || result.allowed) return true;
+  rateLimitRejections.inc({ route: "ws" });
+  socket.write(
+    "HTTP/1.1 429 Too Many Requests\r\n" +
+      `Retry-After: ${result.retryAfter}\r\n` +
+      `RateLimit-Limit: ${result.limit}\r\n` +
+      "RateLimit-Remaining: 0\r\n" +
+      `RateLimit-Reset: ${result.reset}\r\n` +
+      "Connection: close\r\n\r\n"
+  );
+  socket.destroy();
+  return false;
+}
+
+export function describeRateLimits() {
+  return { store: store.name, budgets };
+}
+
+// Persist the file store on shutdown
+export function closeRateLimitStore() {
+  clearInterval(pruneTimer);
+  store.close();
+}
@@ -0,0 +1,72 @@
+// server/rateLimit/stores.js
+// Bucket stores for the rate limiter. A store keeps { tokens, updatedAt } per key.
+//   memory: a Map, lost on restart (default)
+//   file:   the same Map, snapshotted to a JSON file so limits survive restarts
+// Both are synchronous on the request path; the file store writes in the background.
+import fs from "fs";
+import path from "path";
+import { logger } from "../observability/logger.js";
+
+const FILE_FLUSH_INTERVAL = 5000;
+
+export function createMemoryStore() {
+  const buckets = new Map();
+  return {
+    name: "memory",
+    get: (key) => buckets.get(key),
+    set: (key, bucket) => buckets.set(key, bucket),
+    // Drop buckets that have been idle long enough to be full again
+    prune(olderThan) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.updatedAt < olderThan) buckets.delete(key);
+      }
+    },
+    entries: () => buckets.entries(),
+    size: () => buckets.size,
+    close() {},
+  };
+}
+
+export function createFileStore(filePath) {
+  const store = createMemoryStore();
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    for (const [key, bucket] of Object.entries(saved.buckets || {})) store.set(key, bucket);
+    logger.info("Restored rate limit buckets", { buckets: store.size(), file: filePath });
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.warn("Could not read rate limit store, starting empty", { err: err.message });
+  }
+
+  let dirty = false;
+  const flush = () => {
+    if (!dirty) return;
+    dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), buckets: Object.fromEntries(store.entries()) }));
+      fs.renameSync(tmp, filePath); // atomic replace so a crash never leaves half a file
+    } catch (err) {
+      logger.warn("Could not save rate limit store", { err: err.message });
+    }
+  };
+  const timer = setInterval(flush, FILE_FLUSH_INTERVAL);
+  timer.unref();
+
+  return {
+    ...store,
+    name: "file",
+    set(key, bucket) {
+      store.set(key, bucket);
+      dirty = true;
+    },
+    prune(olderThan) {
+      store.prune(olderThan);
+      dirty = true;
+    },
+    close() {
+      clearInterval(timer);
+      flush();
+    },
+  };
+}
@@ -2,181 +2,82 @@
 /**
  * Rebuild soundCatalog.json from all files in server/media
  * Automatically generates IDs, types, tags, and metadata
+ *
+ * Tags come from the shared taxonomy (../taxonomy.json): type tags, filename patterns and
+ * the words in the filename, expanded with synonyms, related and broader tags. Tags the
+ * taxonomy doesn't know are listed at the end so they can be added to it (or ignored).
+ *
+ * Each mp3/wav/ogg/flac is also decoded and measured (duration, channels, sample rate,
+ * loudness, true peak, leading/trailing silence; see catalog/audioMetadata.js) into its
+ * entry's `audio` field. Measurements from the previous catalog are reused when the
+ * file size is unchanged.
+ *
+ * Hand curation (tags, mood/category/intensity, renames, exclusions, license and
+ * attribution) lives in catalogOverrides.json and is merged in after generation, keyed by
+ * id or by the entry's `fileHash`; see catalog/catalogOverrides.js. Conflicts are reported.
+ *
+ * Every entry then gets stored `mood`, `category`, `intensity`, `energy` and `modes`:
+ * curated values from the overrides, the rest from the taxonomy (catalog/classifySounds.js).
+ *
+ * Usage: node rebuild-catalog.js [--reanalyze] [--skip-audio] [--strict]
+ *   --reanalyze   measure every file again
+ *   --skip-audio  don't decode anything; keep previous measurements where available
+ *   --strict      exit 1 without writing the catalog if the overrides have conflicts
  */
 
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
+import { taxonomy, expandTags, TAXONOMY_PATH } from './search/taxonomy.js';
+import { readAudioMetadata, ANALYZED_EXTENSIONS } from './catalog/audioMetadata.js';
+import { generateId } from './catalog/mediaPaths.js';
+import { loadCatalogOverrides, reportOverrides, OVERRIDES_PATH } from './catalog/catalogOverrides.js';
+import { classifyCatalog, reportClassification } from './catalog/classifySounds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const mediaDir = path.join(__dirname, 'media');
 const catalogPath = path.join(__dirname, 'soundCatalog.json');
+const reanalyze = process.argv.includes('--reanalyze');
+const skipAudio = process.argv.includes('--skip-audio');
+const strict = process.argv.includes('--strict');
 
-// Tag mapping: filename patterns -> semantic tags
-const tagPatterns = [
-  // Monsters & creatures
-  { pattern: /dragon|monster|ogre|beast/i, tags: ['monster', 'creature', 'beast', 'danger'] },
-  { pattern: /zombie|undead/i, tags: ['zombie', 'undead', 'horror', 'monster'] },
-  { pattern: /wolf/i, tags: ['wolf', 'animal', 'howl', 'night'] },
-  { pattern: /growl|roar/i, tags: ['growl', 'roar', 'monster', 'aggressive'] },
-  
-  // Combat & weapons
-  { pattern: /sword|blade/i, tags: ['sword', 'weapon', 'combat', 'metal'] },
-  { pattern: /bow|arrow/i, tags: ['bow', 'arrow', 'weapon', 'projectile'] },
-  { pattern: /fight|combat/i, tags: ['combat', 'battle', 'fighting'] },
-  { pattern: /explosion|blast|boom/i, tags: ['explosion', 'blast', 'boom', 'loud'] },
-  { pattern: /gun|shoot|shot/i, tags: ['gun', 'gunshot', 'weapon', 'modern'] },
-  
-  // Magic & spells
-  { pattern: /magic|spell/i, tags: ['magic', 'spell', 'fantasy', 'mystical'] },
-  { pattern: /fireball/i, tags: ['fireball', 'fire', 'magic', 'explosion'] },
-  { pattern: /heal/i, tags: ['heal', 'magic', 'restoration', 'holy'] },
-  
-  // Animals
-  { pattern: /horse/i, tags: ['horse', 'animal', 'hooves'] },
-  { pattern: /dog|bark|woof/i, tags: ['dog', 'bark', 'animal', 'pet'] },
-  { pattern: /cat|meow/i, tags: ['cat', 'meow', 'animal', 'pet'] },
-  { pattern: /bird|crow|owl|rooster|chicken/i, tags: ['bird', 'animal', 'nature'] },
-  { pattern: /cow/i, tags: ['cow', 'animal', 'farm'] },
-  
-  // Movement
-  { pattern: /footstep|walk/i, tags: ['footsteps', 'walking', 'movement'] },
-  { pattern: /gallop|trot/i, tags: ['horse', 'galloping', 'fast', 'movement'] },
-  { pattern: /running|run/i, tags: ['running', 'fast', 'movement'] },
-  
-  // Weather & nature
-  { pattern: /thunder|storm/i, tags: ['thunder', 'storm', 'weather', 'loud'] },
-  { pattern: /lightning/i, tags: ['lightning', 'storm', 'electric', 'weather'] },
-  { pattern: /rain/i, tags: ['rain', 'water', 'weather', 'ambient'] },
-  { pattern: /wind/i, tags: ['wind', 'weather', 'ambient'] },
-  { pattern: /fire|flame|crackling/i, tags: ['fire', 'flames', 'crackling', 'warm'] },
-  { pattern: /water|stream/i, tags: ['water', 'stream', 'nature', 'flowing'] },
-  
-  // Atmosphere
-  { pattern: /christmas|holiday|festive|xmas/i, tags: ['christmas', 'holiday', 'festive', 'winter'] },
-  { pattern: /horror|creepy|eerie|spooky/i, tags: ['horror', 'creepy', 'eerie', 'dark'] },
-  { pattern: /medieval|fantasy|rpg/i, tags: ['medieval', 'fantasy', 'rpg', 'adventure'] },
-  { pattern: /tavern|pub|crowd/i, tags: ['tavern', 'crowd', 'people', 'ambient'] },
-  { pattern: /village|town/i, tags: ['village', 'town', 'settlement', 'ambient'] },
-  { pattern: /forest|wood/i, tags: ['forest', 'woods', 'nature', 'trees'] },
-  { pattern: /night|evening/i, tags: ['night', 'evening', 'dark', 'ambient'] },
-  { pattern: /pirate|ship|sea/i, tags: ['pirate', 'ship', 'sea', 'water'] },
-  
-  // Actions & events
-  { pattern: /door|creak|open|close/i, tags: ['door', 'creak', 'interior'] },
-  { pattern: /knock/i, tags: ['knock', 'door', 'impact'] },
-  { pattern: /bell|chime|ding/i, tags: ['bell', 'chime', 'ring'] },
-  { pattern: /coin|gold|money/i, tags: ['coin', 'gold', 'money', 'collect'] },
-  { pattern: /scream|yell/i, tags: ['scream', 'yell', 'voice', 'horror'] },
-  { pattern: /breathing/i, tags: ['breathing', 'breath', 'voice', 'human'] },
-  { pattern: /heartbeat|heart/i, tags: ['heartbeat', 'heart', 'pulse', 'tension'] },
-  { pattern: /cheer|applause/i, tags: ['cheering', 'applause', 'crowd', 'celebration'] },
-  { pattern: /glass|shatter|break/i, tags: ['glass', 'shatter', 'break', 'crash'] },
-  { pattern: /tree/i, tags: ['tree', 'wood', 'nature', 'forest'] },
-  { pattern: /train/i, tags: ['train', 'locomotive', 'transport', 'modern'] },
-  { pattern: /car|vehicle/i, tags: ['car', 'vehicle', 'engine', 'modern'] },
-  { pattern: /elevator/i, tags: ['elevator', 'lift', 'interior', 'modern'] },
-  { pattern: /phone/i, tags: ['phone', 'telephone', 'ring', 'modern'] },
-  { pattern: /alarm/i, tags: ['alarm', 'clock', 'wake', 'alert'] },
-  { pattern: /anvil/i, tags: ['anvil', 'metal', 'forge', 'blacksmith'] },
-  { pattern: /pencil|writing/i, tags: ['writing', 'pencil', 'paper', 'quiet'] },
-  { pattern: /radio/i, tags: ['radio', 'static', 'electronic', 'modern'] },
-  { pattern: /scratch/i, tags: ['scratch', 'scraping', 'creepy'] },
-  { pattern: /firework/i, tags: ['fireworks', 'celebration', 'explosion', 'festive'] },
-  { pattern: /whoosh|swish/i, tags: ['whoosh', 'swish', 'air', 'fast'] },
-  { pattern: /poof/i, tags: ['poof', 'magic', 'disappear', 'smoke'] },
-  { pattern: /punch|thud|impact/i, tags: ['punch', 'impact', 'hit', 'combat'] },
-  { pattern: /rewind/i, tags: ['rewind', 'tape', 'retro', 'time'] },
-  { pattern: /ringing.*ear/i, tags: ['ringing', 'tinnitus', 'ears', 'effect'] },
-  { pattern: /woman/i, tags: ['woman', 'female', 'voice', 'human'] },
-  
-  // Music types
-  { pattern: /piano/i, tags: ['piano', 'keys', 'melodic', 'calm'] },
-  { pattern: /music.*box/i, tags: ['music box', 'mechanical', 'delicate', 'nostalgic'] },
-  { pattern: /orchestral/i, tags: ['orchestral', 'epic', 'grand', 'cinematic'] },
-  { pattern: /ambient|ambience/i, tags: ['ambient', 'atmosphere', 'background', 'calm'] },
-];
+const mediaFiles = new Map(); // fileHash -> absolute file path (ids can change through overrides)
 
 function generateTags(filename, folderType) {
-  const tags = new Set();
-  
-  // Add type-based tags
-  if (folderType === 'music') {
-    tags.add('music');
-    tags.add('looping');
-    tags.add('background');
-  } else if (folderType === 'ambience') {
-    tags.add('ambience');
-    tags.add('ambient');
-    tags.add('atmosphere');
-    tags.add('looping');
-  } else {
-    tags.add('sfx');
-    tags.add('effect');
-  }
-  
-  // Match patterns
-  for (const { pattern, tags: patternTags } of tagPatterns) {
-    if (pattern.test(filename)) {
-      patternTags.forEach(t => tags.add(t));
-    }
-  }
-  
-  // Extract words from filename (split on _ - . and space)
+  // Type tags, then the taxonomy's filename patterns
+  const tags = new Set([...taxonomy.typeTags(folderType), ...taxonomy.tagsForFilename(filename)]);
+
+  // Extract words from filename (split on anything but letters, digits and apostrophes)
   const words = filename
     .replace(/\.[^.]+$/, '') // remove extension
-    .split(/[-_.\s]+/)
-    .filter(w => w.length > 2 && !/^\d+$/.test(w)); // skip short words and numbers
-  
-  words.forEach(w => tags.add(w.toLowerCase()));
-
-  // Expand with synonyms/canonical tags for stronger matching
-  const expandSynonyms = (set) => {
-    const has = (t) => set.has(t);
-    const add = (arr) => arr.forEach(t => set.add(t));
-
-    // Creatures/monsters
-    if (has('ogre') || has('troll') || has('orc') || has('goblin') || has('beast')) add(['monster', 'creature']);
-    if (has('dragon')) add(['monster', 'creature']);
-    if (has('zombie') || has('undead')) add(['zombie', 'undead', 'horror', 'monster']);
-
-    // Vocalizations
-    if (has('roar') || has('growl') || has('snarl')) add(['growl', 'roar']);
-    if (has('scream') || has('shriek') || has('yell')) add(['scream', 'yell']);
-
-    // Weather
-    if (has('lightning')) add(['thunder', 'storm']);
-    if (has('thunder')) add(['lightning', 'storm']);
-    if (has('wind') || has('whoosh') || has('gust')) add(['wind', 'whoosh']);
-    if (has('rain') || has('drizzle') || has('shower')) add(['rain']);
-
-    // Movement
-    if (has('footstep') || has('footsteps') || has('walking') || has('steps')) add(['footsteps']);
-    if (has('gallop') || has('galloping') || has('trot') || has('trotting')) add(['horse', 'galloping']);
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(w => w.toLowerCase())
+    .filter(w => w.length > 2 && !/^\d+$/.test(w) && !taxonomy.stopWords.has(w)); // skip short words, numbers and filler
 
-    // Weapons/metal
-    if (has('sword') || has('blade') || has('steel')) add(['sword', 'weapon', 'metal']);
+  words.forEach(w => tags.add(w));
 
-    // Doors
-    if (has('door') || has('creak') || has('squeak')) add(['door', 'creak']);
-
-    // Fireworks
-    if (has('firework') || has('fireworks')) add(['fireworks', 'explosion']);
-
-    return set;
-  };
+  // Expand with synonyms, related and broader tags (shared with the search index and the browser)
+  return Array.from(expandTags(tags));
+}
 
-  const expanded = Array.from(expandSynonyms(tags));
-  return expanded;
+// Tags the taxonomy doesn't define (mostly filename words): tag -> ids using it
+function findUnknownTags(catalog) {
+  const unknown = new Map();
+  for (const sound of catalog) {
+    for (const tag of sound.tags) {
+      if (taxonomy.isKnownTag(tag)) continue;
+      unknown.set(tag, [...(unknown.get(tag) || []), sound.id]);
+    }
+  }
+  return unknown;
 }
 
-function generateId(filename) {
-  return filename
-    .replace(/\.[^.]+$/, '') // remove extension
-    .replace(/[-\s.]+/g, '_') // normalize separators to underscore
-    .toLowerCase();
+// Content hash that identifies a file across renames ("sha256:" + 16 hex digits)
+function fileHashOf(filePath) {
+  return `sha256:${createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 16)}`;
 }
 
 function scanMediaFolder(folder, type) {
@@ -187,7 +88,7 @@ function scanMediaFolder(folder, type) {
     const files = fs.readdirSync(folderPath).filter(f => 
       !f.startsWith('.') && 
       /\.(mp3|wav|ogg|flac|m4a)$/i.test(f)
-    );
+    ).sort(); // directory order varies by filesystem; keep the catalog deterministic
     
     for (const file of files) {
       const id = generateId(file);
@@ -196,14 +97,18 @@ function scanMediaFolder(folder, type) {
       
       const base = process.env.MEDIA_BASE_URL ? String(process.env.MEDIA_BASE_URL).replace(/\/$/,'') : '';
       const src = base ? `${base}/${folder}/${file}` : `/media/${folder}/${file}`;
+      const filePath = path.join(folderPath, file);
+      const fileHash = fileHashOf(filePath);
       sounds.push({
         id,
         type,
         tags,
         src,
         loop,
-        license: 'saved-sounds-collection'
+        license: 'saved-sounds-collection',
+        fileHash
       });
+      mediaFiles.set(fileHash, filePath);
     }
     
     console.log(`✓ Found ${files.length} ${type} files`);
@@ -214,15 +119,82 @@ function scanMediaFolder(folder, type) {
   return sounds;
 }
 
+// Previous entries by fileHash and by id
+function readPreviousCatalog() {
+  const previous = new Map();
+  try {
+    for (const s of JSON.parse(fs.readFileSync(catalogPath, 'utf-8'))) {
+      if (s.fileHash) previous.set(s.fileHash, s);
+      if (!previous.has(s.id)) previous.set(s.id, s);
+    }
+  } catch (_) {
+    // no previous catalog
+  }
+  return previous;
+}
+
+// Attach `audio` measurements, reusing the previous run's when the file size matches
+async function addAudioMetadata(catalog, previous) {
+  const counts = { measured: 0, reused: 0, skipped: 0, failed: 0 };
+  for (const sound of catalog) {
+    const filePath = mediaFiles.get(sound.fileHash);
+    const prior = (previous.get(sound.fileHash) || previous.get(sound.id))?.audio;
+    if (!ANALYZED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      counts.skipped++;
+      continue;
+    }
+    if (prior && (skipAudio || (!reanalyze && prior.bytes === fs.statSync(filePath).size))) {
+      sound.audio = prior;
+      counts.reused++;
+      continue;
+    }
+    if (skipAudio) {
+      counts.skipped++;
+      continue;
+    }
+    try {
+      sound.audio = await readAudioMetadata(filePath);
+      counts.measured++;
+    } catch (err) {
+      console.warn(`⚠️  Could not decode ${path.relative(mediaDir, filePath)}:`, err.message);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
 // Rebuild catalog
 console.log('🔄 Rebuilding sound catalog from media files...\n');
 
-const catalog = [
+const previousCatalog = readPreviousCatalog();
+const generated = [
   ...scanMediaFolder('music', 'music'),
   ...scanMediaFolder('ambience', 'ambience'),
   ...scanMediaFolder('sfx', 'sfx')
 ];
 
+console.log(`\n✏️  Applying overrides from ${path.relative(__dirname, OVERRIDES_PATH)}...`);
+const merged = classifyCatalog(generated, loadCatalogOverrides());
+reportOverrides(merged);
+if (strict && merged.conflicts.length > 0) {
+  console.error(`\n❌ ${merged.conflicts.length} override conflict(s); catalog not written (--strict)`);
+  process.exit(1);
+}
+const catalog = merged.sounds;
+reportClassification(merged);
+
+console.log(`\n🎚️  Measuring audio${skipAudio ? ' (skipped, --skip-audio)' : ''}...`);
+const audioCounts = await addAudioMetadata(catalog, previousCatalog);
+console.log(`✓ Audio metadata: ${audioCounts.measured} measured, ${audioCounts.reused} reused, ${audioCounts.skipped} skipped, ${audioCounts.failed} failed`);
+
+const unknownTags = findUnknownTags(catalog);
+if (unknownTags.size > 0) {
+  const listed = [...unknownTags].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  console.log(`\n🏷️  ${unknownTags.size} tags not in ${path.relative(__dirname, TAXONOMY_PATH)} (taxonomy v${taxonomy.version}):`);
+  const shown = listed.slice(0, 40).map(([tag, ids]) => `${tag} (${ids.length})`);
+  console.log(`   ${shown.join(', ')}${listed.length > shown.length ? `, ... ${listed.length - shown.length} more` : ''}`);
+}
+
 // Write to file
 fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2), 'utf-8');
 
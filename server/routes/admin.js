@@ -1,9 +1,31 @@
 // server/routes/admin.js
+// Every /admin request is audited (including rejected ones) and needs a bearer token.
 import { Router } from "express";
-import { syncSoundsToChroma } from "../controllers/chromaController.js";
+import { syncSoundsToChroma, getChromaStatus } from "../controllers/chromaController.js";
+import {
+  reloadCatalog,
+  listAuditEntries,
+  inspectDecisionCache,
+  clearDecisionCache,
+} from "../controllers/adminController.js";
+import { createKey, listKeys, revokeKey } from "../controllers/apiKeyController.js";
+import { requireAdmin } from "../middleware/adminAuth.js";
+import { auditAdminRequests } from "../middleware/auditLog.js";
+import { validateBody } from "../openapi/validate.js";
 
 const router = Router();
 
+router.use(auditAdminRequests);
+router.use(requireAdmin);
+
 router.post("/sync-chroma", syncSoundsToChroma);
+router.get("/chroma-status", getChromaStatus);
+router.post("/reload-catalog", reloadCatalog);
+router.get("/audit", listAuditEntries);
+router.get("/decision-cache", inspectDecisionCache);
+router.delete("/decision-cache", clearDecisionCache);
+router.post("/api-keys", validateBody("createApiKey"), createKey);
+router.get("/api-keys", listKeys);
+router.delete("/api-keys/:id", revokeKey);
 
 export default router;
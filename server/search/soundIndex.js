@@ -0,0 +1,127 @@
+// server/search/soundIndex.js
+// In-process BM25 index over catalog ids and tags. Used by /analyze when Chroma is
+// unreachable or not configured, and served directly by GET /search.
+// Query terms are expanded through the shared tag taxonomy (./taxonomy.js), and terms
+// that don't exist in the index fall back to the closest indexed term (edit distance).
+
+import { taxonomy, expandTags } from "./taxonomy.js";
+
+const K1 = 1.2;
+const B = 0.75;
+const SYNONYM_WEIGHT = 0.5; // expanded terms count half as much as spoken ones
+const FUZZY_WEIGHT = 0.7;
+const STOP_WORDS = taxonomy.stopWords;
+
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, "") : word);
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOP_WORDS.has(w) && !/^\d+$/.test(w));
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Build a search index over catalog entries.
+ * @param {Array<{id: string, type: string, tags?: string[]}>} catalog
+ * @returns {{ size: number, search: (query: string, options?: { type?: string, limit?: number }) => Array }}
+ */
+export function createSoundIndex(catalog) {
+  const docs = catalog.map((sound) => {
+    const terms = [...tokenize(sound.id.replace(/_/g, " ")), ...(sound.tags || []).flatMap(tokenize)].map(stem);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    return { sound, tf, length: terms.length };
+  });
+
+  const df = new Map();
+  for (const doc of docs) {
+    for (const term of doc.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const vocabulary = [...df.keys()];
+  const idf = (term) => {
+    const n = df.get(term) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  };
+
+  // Closest indexed term for a word the catalog doesn't contain (typos, STT slips)
+  const fuzzyCache = new Map();
+  function closestTerm(term) {
+    if (fuzzyCache.has(term)) return fuzzyCache.get(term);
+    const max = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+    let match = null;
+    let best = max + 1;
+    if (max > 0) {
+      for (const candidate of vocabulary) {
+        const d = editDistance(term, candidate, max);
+        if (d < best || (d === best && match && df.get(candidate) > df.get(match))) {
+          best = d;
+          match = candidate;
+        }
+      }
+    }
+    const result = best <= max ? match : null;
+    fuzzyCache.set(term, result);
+    return result;
+  }
+
+  // term -> weight, keeping the strongest reason a term is in the query
+  function expandQuery(query) {
+    const spoken = tokenize(query);
+    const weights = new Map();
+    const put = (term, weight) => {
+      if (weight > (weights.get(term) || 0)) weights.set(term, weight);
+    };
+    const expanded = expandTags(spoken);
+    for (const word of expanded) {
+      put(stem(word), spoken.includes(word) ? 1 : SYNONYM_WEIGHT);
+    }
+    for (const [term, weight] of [...weights]) {
+      if (!df.has(term)) {
+        weights.delete(term);
+        const fuzzy = closestTerm(term);
+        if (fuzzy) put(fuzzy, weight * FUZZY_WEIGHT);
+      }
+    }
+    return weights;
+  }
+
+  function search(query, { type, limit = 10 } = {}) {
+    const terms = expandQuery(query);
+    if (terms.size === 0) return [];
+    const results = [];
+    for (const doc of docs) {
+      if (type && doc.sound.type !== type) continue;
+      let score = 0;
+      const matched = [];
+      for (const [term, weight] of terms) {
+        const f = doc.tf.get(term);
+        if (!f) continue;
+        score += weight * idf(term) * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * doc.length) / avgLength)));
+        matched.push(term);
+      }
+      if (score > 0) results.push({ sound: doc.sound, score, matched });
+    }
+    results.sort((a, b) => b.score - a.score || a.sound.id.localeCompare(b.sound.id));
+    return results.slice(0, limit).map((r) => ({ ...r, score: Math.round(r.score * 1000) / 1000 }));
+  }
+
+  return { size: docs.length, search };
+}
@@ -0,0 +1,22 @@
+// server/search/taxonomy.js
+// The shared tag taxonomy (../../taxonomy.json, applied by ../../taxonomy.js exactly as the
+// browser does) for tag generation in rebuild-catalog.js, query expansion in the search index
+// and mood/category assignment.
+//   TAXONOMY_PATH  alternative taxonomy.json (default: the one served with the frontend)
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+const { createTaxonomy } = require("../../taxonomy.js");
+
+export const TAXONOMY_PATH = process.env.TAXONOMY_PATH || path.join(__dirname, "..", "..", "taxonomy.json");
+
+// Loaded once at startup; a broken taxonomy.json should stop the server, not degrade search
+export const taxonomy = createTaxonomy(JSON.parse(fs.readFileSync(TAXONOMY_PATH, "utf-8")));
+
+// Tags/query terms plus their synonyms, related and broader tags
+export const expandTags = (terms) => taxonomy.expand(new Set(terms));
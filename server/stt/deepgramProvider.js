@@ -0,0 +1,99 @@
+// server/stt/deepgramProvider.js
+// Deepgram live streaming (cloud). Requires DEEPGRAM_API_KEY.
+import { EventEmitter } from "events";
+import { WebSocket } from "ws";
+import { normalizeTranscript } from "./normalize.js";
+import { logger } from "../observability/logger.js";
+
+const DEEPGRAM_URL = process.env.DEEPGRAM_URL || "wss://api.deepgram.com/v1/listen";
+const CLOSE_TIMEOUT_MS = 3000; // wait this long for Deepgram to flush and close on its own
+
+export function createDeepgramProvider({ encoding, sampleRate, channels }) {
+  const emitter = new EventEmitter();
+
+  if (!process.env.DEEPGRAM_API_KEY || process.env.DEEPGRAM_API_KEY.includes("your_")) {
+    throw new Error("Deepgram API key not configured. Set DEEPGRAM_API_KEY or use another STT provider.");
+  }
+
+  const params = new URLSearchParams({
+    encoding,
+    sample_rate: String(sampleRate),
+    channels: String(channels),
+    interim_results: "true", // partial hypotheses, like Web Speech
+    punctuate: "true",
+    utterance_end_ms: "1000", // emit UtteranceEnd after 1s of silence
+  });
+
+  const upstream = new WebSocket(`${DEEPGRAM_URL}?${params}`, {
+    headers: { Authorization: `Token ${process.env.DEEPGRAM_API_KEY}` },
+  });
+
+  upstream.on("open", () => emitter.emit("open"));
+
+  upstream.on("message", (data) => {
+    let result;
+    try {
+      result = JSON.parse(data.toString());
+    } catch (err) {
+      logger.error("Deepgram message parse error", { err: err.message });
+      return;
+    }
+
+    if (result.type === "UtteranceEnd") {
+      emitter.emit("utterance_end", { type: "utterance_end", last_word_end: result.last_word_end ?? null });
+      return;
+    }
+
+    const alt = result.channel?.alternatives?.[0];
+    if (!alt?.transcript) return;
+    emitter.emit(
+      "transcript",
+      normalizeTranscript({
+        transcript: alt.transcript,
+        isFinal: result.is_final !== false,
+        speechFinal: !!result.speech_final,
+        confidence: alt.confidence,
+        start: result.start,
+        duration: result.duration,
+        words: (alt.words || []).map((w) => ({
+          word: w.punctuated_word || w.word,
+          start: w.start,
+          end: w.end,
+          confidence: w.confidence,
+        })),
+      })
+    );
+  });
+
+  upstream.on("error", (err) => emitter.emit("error", err));
+  upstream.on("close", () => emitter.emit("close"));
+
+  emitter.send = (audio) => {
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(audio);
+    }
+  };
+
+  // Deepgram closes streams that receive no audio for ~10s
+  emitter.keepAlive = () => {
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(JSON.stringify({ type: "KeepAlive" }));
+    }
+  };
+
+  let closing = false;
+  emitter.close = () => {
+    if (closing) return;
+    closing = true;
+    if (upstream.readyState === WebSocket.OPEN) {
+      // Deepgram flushes buffered audio, sends the final results, then closes the stream itself
+      upstream.send(JSON.stringify({ type: "CloseStream" }));
+      const timer = setTimeout(() => upstream.close(), CLOSE_TIMEOUT_MS);
+      upstream.once("close", () => clearTimeout(timer));
+    } else if (upstream.readyState === WebSocket.CONNECTING) {
+      upstream.terminate();
+    }
+  };
+
+  return emitter;
+}
@@ -0,0 +1,97 @@
+// server/stt/fakeProvider.js
+// Scripted, deterministic provider for offline development and tests.
+// Plays back a fixed script driven by the amount of audio received, so the same
+// audio stream always yields the same interim/final/utterance_end sequence.
+// Script: STT_FAKE_SCRIPT="first phrase|second phrase" (defaults below).
+import { EventEmitter } from "events";
+import { normalizeTranscript } from "./normalize.js";
+
+const DEFAULT_SCRIPT = [
+  "the dragon roars as thunder crashes overhead",
+  "someone knocks on the tavern door",
+  "the wolves howl in the dark forest",
+];
+const WORD_SECONDS = 0.3; // audio time per scripted word
+const BYTES_PER_SAMPLE = { linear16: 2 };
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+function loadScript() {
+  const raw = process.env.STT_FAKE_SCRIPT;
+  const phrases = raw ? raw.split("|") : DEFAULT_SCRIPT;
+  return phrases.map((p) => p.trim().split(/\s+/).filter(Boolean)).filter((words) => words.length > 0);
+}
+
+export function createFakeProvider({ encoding, sampleRate, channels, script = loadScript() }) {
+  const emitter = new EventEmitter();
+  const bytesPerSecond = sampleRate * channels * (BYTES_PER_SAMPLE[encoding] || 2);
+
+  let closed = false;
+  let receivedSeconds = 0; // total audio time received
+  let phraseIndex = 0;
+  let wordIndex = 0; // words of the current phrase already revealed
+  let phraseStart = 0;
+
+  const wordTimings = (words, start) =>
+    words.map((word, i) => ({
+      word,
+      start: round(start + i * WORD_SECONDS),
+      end: round(start + (i + 1) * WORD_SECONDS),
+      confidence: 0.99,
+    }));
+
+  // Reveal every word whose audio window has fully arrived
+  const advance = () => {
+    while (phraseIndex < script.length) {
+      const words = script[phraseIndex];
+      const nextWordEnd = phraseStart + (wordIndex + 1) * WORD_SECONDS;
+      if (receivedSeconds < nextWordEnd) return;
+      wordIndex++;
+
+      const spoken = words.slice(0, wordIndex);
+      const isFinal = wordIndex === words.length;
+      emitter.emit(
+        "transcript",
+        normalizeTranscript({
+          transcript: spoken.join(" "),
+          isFinal,
+          speechFinal: isFinal,
+          confidence: 0.99,
+          start: phraseStart,
+          duration: round(wordIndex * WORD_SECONDS),
+          words: wordTimings(spoken, phraseStart),
+        })
+      );
+
+      if (isFinal) {
+        const lastWordEnd = round(phraseStart + words.length * WORD_SECONDS);
+        emitter.emit("utterance_end", { type: "utterance_end", last_word_end: lastWordEnd });
+        phraseIndex++;
+        wordIndex = 0;
+        phraseStart = lastWordEnd;
+      }
+    }
+  };
+
+  // Open asynchronously, like a real network provider
+  setImmediate(() => {
+    if (!closed) emitter.emit("open");
+  });
+
+  emitter.send = (audio) => {
+    if (closed) return;
+    const length = audio?.byteLength ?? audio?.length ?? 0;
+    receivedSeconds += length / bytesPerSecond;
+    advance();
+  };
+
+  emitter.keepAlive = () => {};
+
+  emitter.close = () => {
+    if (closed) return;
+    closed = true;
+    setImmediate(() => emitter.emit("close"));
+  };
+
+  return emitter;
+}
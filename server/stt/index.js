@@ -0,0 +1,55 @@
+// server/stt/index.js
+// Speech-to-text provider registry for /ws/transcribe.
+//
+// Every provider is a factory returning an EventEmitter with:
+//   send(audioChunk)  - forward raw audio (linear16 PCM unless configured otherwise)
+//   close()           - flush and tear down the upstream connection; results still arriving
+//                       are emitted, then 'close' once the upstream is gone
+//   keepAlive()       - called while no audio is flowing so the upstream doesn't time out
+// and emitting the same normalized events regardless of engine:
+//   'open'
+//   'transcript'    { type: 'transcript', transcript, is_final, speech_final, confidence, start, duration,
+//                     words: [{ word, start, end, confidence }] }
+//   'utterance_end' { type: 'utterance_end', last_word_end }
+//   'error'         Error
+//   'close'
+import { createDeepgramProvider } from "./deepgramProvider.js";
+import { createVoskProvider } from "./voskProvider.js";
+import { createFakeProvider } from "./fakeProvider.js";
+
+export { normalizeTranscript } from "./normalize.js";
+
+const providers = {
+  deepgram: createDeepgramProvider,
+  vosk: createVoskProvider,
+  fake: createFakeProvider,
+};
+
+export const DEFAULT_STT_PROVIDER = "deepgram";
+
+export function listSttProviders() {
+  return Object.keys(providers);
+}
+
+// Connection query (?provider=) wins over STT_PROVIDER env, which wins over the default
+export function resolveSttProviderName(requested) {
+  const candidates = [requested, process.env.STT_PROVIDER, DEFAULT_STT_PROVIDER];
+  for (const name of candidates) {
+    const key = String(name || "").trim().toLowerCase();
+    if (key && providers[key]) return key;
+  }
+  return DEFAULT_STT_PROVIDER;
+}
+
+export function createSttProvider(name, options = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown STT provider: ${name}`);
+  }
+  return factory({
+    encoding: "linear16",
+    sampleRate: 16000,
+    channels: 1,
+    ...options,
+  });
+}
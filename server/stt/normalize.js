@@ -0,0 +1,27 @@
+// server/stt/normalize.js
+// Shared helper so every provider emits identically shaped transcript messages
+export function normalizeTranscript({
+  transcript = "",
+  isFinal = true,
+  speechFinal = false,
+  confidence = null,
+  start = null,
+  duration = null,
+  words = [],
+}) {
+  return {
+    type: "transcript",
+    transcript: String(transcript || "").trim(),
+    is_final: !!isFinal,
+    speech_final: !!speechFinal,
+    confidence: typeof confidence === "number" ? confidence : null,
+    start: typeof start === "number" ? start : null,
+    duration: typeof duration === "number" ? duration : null,
+    words: (words || []).map((w) => ({
+      word: String(w.word || ""),
+      start: Number(w.start) || 0,
+      end: Number(w.end) || 0,
+      confidence: typeof w.confidence === "number" ? w.confidence : null,
+    })),
+  };
+}
@@ -0,0 +1,103 @@
+// server/stt/protocol.js
+// Versioned JSON message protocol for /ws/transcribe.
+//
+// Client -> server (text frames):
+//   { type: 'start', version: 1, encoding: 'linear16', sample_rate: 16000, channels: 1, provider?: 'deepgram' }
+//   { type: 'ping', ts? }                 -> answered with { type: 'pong', ts }
+//   { type: 'stop' }                      -> flush the provider; remaining results are still delivered
+// Client -> server (binary frames): raw audio in the negotiated format, only after 'ready'
+// (clients that send audio without a 'start' get the v1 defaults, for backward compatibility).
+//
+// Server -> client:
+//   { type: 'ready', version, provider, encoding, sample_rate, channels }
+//     sent once the provider's upstream connection is open, so no audio is lost
+//   { type: 'transcript', transcript, is_final, speech_final, confidence, start, duration,
+//     words: [{ word, start, end, confidence }] }
+//     is_final=false is an interim hypothesis that will be replaced; is_final=true commits
+//     the text; speech_final=true additionally marks the end of a spoken phrase.
+//   { type: 'utterance_end', last_word_end }  silence detected after the last committed word
+//   { type: 'pong', ts }
+//   { type: 'error', code, message }
+//     after provider_unavailable and provider_closed (the provider's upstream ended the
+//     stream) the socket closes; reconnect to start a new stream
+//   { type: 'going_away', reason, reconnect_after_ms }
+//     the server is shutting down: audio is no longer accepted, the final results of the
+//     flushed stream follow, then the socket closes (1001). Reconnect after the delay.
+
+export const PROTOCOL_VERSION = 1;
+
+export const SUPPORTED_ENCODINGS = ["linear16"];
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 48000;
+
+export const DEFAULT_AUDIO_FORMAT = {
+  encoding: "linear16",
+  sampleRate: 16000,
+  channels: 1,
+};
+
+// Parse a text frame; returns { message } or { error: { code, message } }
+export function parseClientMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (_) {
+    return { error: { code: "bad_message", message: "Text frames must be JSON" } };
+  }
+  if (!message || typeof message.type !== "string") {
+    return { error: { code: "bad_message", message: "Message is missing a type" } };
+  }
+  return { message };
+}
+
+// Validate a 'start' handshake; returns { format } or { error: { code, message } }
+export function parseStartMessage(message) {
+  const version = message.version ?? PROTOCOL_VERSION;
+  if (version !== PROTOCOL_VERSION) {
+    return {
+      error: { code: "unsupported_version", message: `Protocol version ${version} not supported (server speaks ${PROTOCOL_VERSION})` },
+    };
+  }
+
+  const encoding = String(message.encoding || DEFAULT_AUDIO_FORMAT.encoding).toLowerCase();
+  if (!SUPPORTED_ENCODINGS.includes(encoding)) {
+    return { error: { code: "unsupported_encoding", message: `Encoding ${encoding} not supported` } };
+  }
+
+  const sampleRate = Number(message.sample_rate ?? DEFAULT_AUDIO_FORMAT.sampleRate);
+  if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    return {
+      error: { code: "bad_sample_rate", message: `sample_rate must be an integer between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE}` },
+    };
+  }
+
+  const channels = Number(message.channels ?? DEFAULT_AUDIO_FORMAT.channels);
+  if (channels !== 1 && channels !== 2) {
+    return { error: { code: "bad_channels", message: "channels must be 1 or 2" } };
+  }
+
+  return { format: { encoding, sampleRate, channels } };
+}
+
+export function readyMessage(provider, format) {
+  return {
+    type: "ready",
+    version: PROTOCOL_VERSION,
+    provider,
+    encoding: format.encoding,
+    sample_rate: format.sampleRate,
+    channels: format.channels,
+  };
+}
+
+export function pongMessage(ping) {
+  return { type: "pong", ts: ping.ts ?? Date.now() };
+}
+
+export function errorMessage(code, message) {
+  return { type: "error", code, message };
+}
+
+export function goingAwayMessage(reason, reconnectAfterMs) {
+  return { type: "going_away", reason, reconnect_after_ms: reconnectAfterMs };
+}
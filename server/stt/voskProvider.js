@@ -0,0 +1,102 @@
+// server/stt/voskProvider.js
+// Local, offline CPU recognition through a Vosk server
+// (e.g. `docker run -p 2700:2700 alphacep/kaldi-en`). No cloud keys needed.
+// Vosk protocol: send a JSON config, then binary audio; receive
+// { partial } while speaking and { text, result: [{ word, start, end, conf }] } per utterance.
+import { EventEmitter } from "events";
+import { WebSocket } from "ws";
+import { normalizeTranscript } from "./normalize.js";
+import { logger } from "../observability/logger.js";
+
+const VOSK_URL = process.env.VOSK_URL || "ws://localhost:2700";
+const CLOSE_TIMEOUT_MS = 3000; // wait this long for Vosk to send the final result and close
+
+export function createVoskProvider({ encoding, sampleRate }) {
+  const emitter = new EventEmitter();
+
+  if (encoding !== "linear16") {
+    throw new Error(`Vosk provider only supports linear16 audio (got ${encoding})`);
+  }
+
+  const upstream = new WebSocket(VOSK_URL);
+  let lastWordEnd = null;
+
+  upstream.on("open", () => {
+    upstream.send(JSON.stringify({ config: { sample_rate: sampleRate, words: 1 } }));
+    emitter.emit("open");
+  });
+
+  upstream.on("message", (data) => {
+    let result;
+    try {
+      result = JSON.parse(data.toString());
+    } catch (err) {
+      logger.error("Vosk message parse error", { err: err.message });
+      return;
+    }
+
+    if (typeof result.partial === "string") {
+      if (!result.partial) return;
+      emitter.emit("transcript", normalizeTranscript({ transcript: result.partial, isFinal: false }));
+      return;
+    }
+
+    if (typeof result.text === "string") {
+      const words = (result.result || []).map((w) => ({
+        word: w.word,
+        start: w.start,
+        end: w.end,
+        confidence: w.conf,
+      }));
+      if (result.text) {
+        const first = words[0];
+        const last = words[words.length - 1];
+        const confidence = words.length
+          ? words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length
+          : null;
+        lastWordEnd = last ? last.end : lastWordEnd;
+        emitter.emit(
+          "transcript",
+          normalizeTranscript({
+            transcript: result.text,
+            isFinal: true,
+            speechFinal: true, // Vosk only finalizes at an endpoint (silence)
+            confidence,
+            start: first ? first.start : null,
+            duration: first && last ? last.end - first.start : null,
+            words,
+          })
+        );
+      }
+      emitter.emit("utterance_end", { type: "utterance_end", last_word_end: lastWordEnd });
+    }
+  });
+
+  upstream.on("error", (err) => emitter.emit("error", err));
+  upstream.on("close", () => emitter.emit("close"));
+
+  emitter.send = (audio) => {
+    if (upstream.readyState === WebSocket.OPEN) {
+      upstream.send(audio);
+    }
+  };
+
+  // Vosk servers don't time out idle streams
+  emitter.keepAlive = () => {};
+
+  let closing = false;
+  emitter.close = () => {
+    if (closing) return;
+    closing = true;
+    if (upstream.readyState === WebSocket.OPEN) {
+      // eof makes Vosk return the final result, then it closes the connection
+      upstream.send(JSON.stringify({ eof: 1 }));
+      const timer = setTimeout(() => upstream.close(), CLOSE_TIMEOUT_MS);
+      upstream.once("close", () => clearTimeout(timer));
+    } else if (upstream.readyState === WebSocket.CONNECTING) {
+      upstream.terminate();
+    }
+  };
+
+  return emitter;
+}
@@ -5,10 +5,16 @@
  * - Extracts path starting at (music|sfx|ambience)/...
  * - Percent-encodes each segment with encodeURIComponent
  * - Writes back to server/soundCatalog.json preserving other fields
+ * - Re-applies catalogOverrides.json so curation survives the rewrite (idempotent on
+ *   entries that already have it; conflicts are reported)
+ * - Classifies every entry again (mood, category, intensity, energy, modes; see
+ *   ../catalog/classifySounds.js), so a taxonomy change can be applied without a rebuild
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadCatalogOverrides, reportOverrides } from '../catalog/catalogOverrides.js';
+import { classifyCatalog, reportClassification } from '../catalog/classifySounds.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -80,7 +86,10 @@ function main() {
       changed++;
     }
   }
-  fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2), 'utf-8');
+  const merged = classifyCatalog(catalog, loadCatalogOverrides());
+  reportOverrides(merged);
+  reportClassification(merged);
+  fs.writeFileSync(catalogPath, JSON.stringify(merged.sounds, null, 2), 'utf-8');
   console.log(`Updated ${changed} entries. Saved to ${catalogPath}`);
 }
 
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Generate the browser API client (../../api-client.js) from the OpenAPI document in
+ * ../openapi/spec.js: JSDoc typedefs for every component schema and one method per
+ * operation on createCueAIClient().
+ *
+ * Usage: npm run generate:client            (writes api-client.js)
+ *        npm run generate:client -- --check (exit 1 if api-client.js is out of date)
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openApiDocument } from '../openapi/spec.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const outputPath = path.join(__dirname, '..', '..', 'api-client.js');
+const { schemas } = openApiDocument.components;
+
+const literal = (value) => (typeof value === 'string' ? `'${value}'` : String(value));
+const refName = (ref) => ref.replace('#/components/schemas/', '');
+
+// JSDoc type expression for a schema
+function jsdocType(schema) {
+  if (!schema || Object.keys(schema).length === 0) return '*';
+  if (schema.$ref) return refName(schema.$ref);
+  if ('const' in schema) return literal(schema.const);
+  if (schema.allOf) return schema.allOf.map(jsdocType).join('&');
+  if (schema.oneOf) return `(${schema.oneOf.map(jsdocType).join('|')})`;
+  if (schema.enum) return `(${schema.enum.map(literal).join('|')})`;
+  const types = [].concat(schema.type || []).map((type) => {
+    switch (type) {
+      case 'integer':
+        return 'number';
+      case 'array':
+        return `${schema.items ? jsdocType(schema.items) : '*'}[]`;
+      case 'object':
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          return `Object<string, ${jsdocType(schema.additionalProperties)}>`;
+        }
+        return 'Object';
+      default:
+        return type;
+    }
+  });
+  if (types.length === 0) return '*';
+  return types.length === 1 ? types[0] : `(${types.join('|')})`;
+}
+
+// Inline record type for query/path parameters: { q: string, limit?: number }
+function parametersType(parameters) {
+  const fields = parameters.map((p) => `${p.name}${p.required ? '' : '?'}: ${jsdocType(p.schema)}`);
+  return `{ ${fields.join(', ')} }`;
+}
+
+const pascal = (text) => String(text).replace(/(^|_)(\w)/g, (_, __, c) => c.toUpperCase());
+
+// Message unions ({ type: 'sfx', ... } | ...) get one named typedef per inline branch
+function branchTypedefs(name, schema) {
+  return schema.oneOf
+    .filter((branch) => branch.properties?.type && 'const' in branch.properties.type && !branch.allOf)
+    .map((branch) => {
+      const branchName = `${name}${pascal(branch.properties.type.const)}`;
+      return { branch, branchName, text: typedef(branchName, branch) };
+    });
+}
+
+function unionTypedef(name, schema) {
+  if (!schema.oneOf) return typedef(name, schema);
+  const branches = branchTypedefs(name, schema);
+  const union = {
+    ...schema,
+    oneOf: schema.oneOf.map((branch) => {
+      const named = branches.find((b) => b.branch === branch);
+      return named ? { $ref: named.branchName } : branch;
+    }),
+  };
+  return [...branches.map((b) => b.text), typedef(name, union)].join('\n\n');
+}
+
+function typedef(name, schema) {
+  const lines = ['/**'];
+  if (schema.description) lines.push(` * ${schema.description}`);
+  if (schema.properties && !schema.oneOf) {
+    lines.push(` * @typedef {Object} ${name}`);
+    for (const [key, prop] of Object.entries(schema.properties)) {
+      const optional = !(schema.required || []).includes(key);
+      const description = prop.description ? ` - ${prop.description}` : '';
+      lines.push(` * @property {${jsdocType(prop)}} ${optional ? `[${key}]` : key}${description}`);
+    }
+  } else {
+    lines.push(` * @typedef {${jsdocType(schema)}} ${name}`);
+  }
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+function successResponse(operation) {
+  const [status, response] = Object.entries(operation.responses).find(([code]) => code.startsWith('2'));
+  const [contentType, media] = Object.entries(response.content || {})[0] || [];
+  if (contentType === 'application/json') return { status, kind: 'json', type: jsdocType(media.schema) };
+  if (contentType === 'text/plain') return { status, kind: 'text', type: 'string' };
+  return { status, kind: 'stream', type: 'Response' }; // NDJSON: the caller reads the body
+}
+
+function operationEntries() {
+  const entries = [];
+  for (const [route, item] of Object.entries(openApiDocument.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      entries.push({ route, method: method.toUpperCase(), operation, success: successResponse(operation) });
+    }
+  }
+  return entries;
+}
+
+function methodDoc({ route, method, operation, success }) {
+  const parameters = operation.parameters || [];
+  const pathParams = parameters.filter((p) => p.in === 'path');
+  const queryParams = parameters.filter((p) => p.in === 'query');
+  const fields = [];
+  if (pathParams.length) fields.push(`params: ${parametersType(pathParams)}`);
+  if (queryParams.length) fields.push(`query?: ${parametersType(queryParams)}`);
+  if (operation.requestBody) {
+    const body = jsdocType(operation.requestBody.content['application/json'].schema);
+    fields.push(`body${operation.requestBody.required ? '' : '?'}: ${body}`);
+  }
+  const required = pathParams.length > 0 || operation.requestBody?.required;
+  const optionsType = fields.length ? `RequestOptions & { ${fields.join(', ')} }` : 'RequestOptions';
+  const resolves = success.kind === 'stream' ? 'Response' : `${success.type}|Response|null`;
+  return [
+    '        /**',
+    `         * ${method} ${route} - ${operation.summary}`,
+    `         * @param {${optionsType}} ${required ? 'options' : '[options]'}`,
+    `         * @returns {Promise<${resolves}>}`,
+    '         */',
+  ].join('\n');
+}
+
+function render() {
+  const entries = operationEntries();
+  const operations = entries
+    .map(({ route, method, operation, success }) => `    ${operation.operationId}: { method: '${method}', path: '${route}', response: '${success.kind}' }`)
+    .join(',\n');
+  const methods = entries
+    .map((entry) => `${methodDoc(entry)}\n        ${entry.operation.operationId}: (options) => request(CUEAI_OPERATIONS.${entry.operation.operationId}, options)`)
+    .join(',\n');
+
+  return `// ===== CUEAI API CLIENT (GENERATED) =====
+// Generated from server/openapi/spec.js by \`npm run generate:client\` (in server/).
+// Do not edit by hand; change the spec and regenerate.
+// API version ${openApiDocument.info.version}
+
+${Object.entries(schemas).map(([name, schema]) => unionTypedef(name, schema)).join('\n\n')}
+
+/**
+ * Per-call options for every client method
+ * @typedef {Object} RequestOptions
+ * @property {Object<string, string>} [headers]
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeoutMs] - overrides the client default
+ * @property {boolean} [raw] - resolve with the Response (e.g. to read ETag) instead of the body
+ */
+
+const CUEAI_OPERATIONS = {
+${operations}
+};
+
+/**
+ * Create a client for the CueAI backend.
+ * Non-2xx responses (other than 304) reject with errorFromResponse(resp). A 304 resolves
+ * with null, or with the Response when raw is set. NDJSON operations resolve with the
+ * Response so the caller can read the stream.
+ * @param {Object} options
+ * @param {string|function(): string} options.baseUrl - backend URL, or a function returning it
+ * @param {Object<string, string>|function(): Object<string, string>} [options.headers] - sent with
+ *   every request (e.g. X-API-Key), or a function returning them; per-call headers win
+ * @param {number} [options.timeoutMs=15000]
+ * @param {function(Response): Promise<Error>} [options.errorFromResponse]
+ */
+function createCueAIClient({ baseUrl, headers: defaultHeaders = {}, timeoutMs = 15000, errorFromResponse = cueaiDefaultError } = {}) {
+    async function request(operation, options = {}) {
+        const { params = {}, query = {}, body, signal, raw = false } = options;
+        const headers = { ...(typeof defaultHeaders === 'function' ? defaultHeaders() : defaultHeaders), ...options.headers };
+        const base = String(typeof baseUrl === 'function' ? baseUrl() : baseUrl).replace(/\\/$/, '');
+        const pathname = operation.path.replace(/\\{(\\w+)\\}/g, (_, name) => encodeURIComponent(params[name]));
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) search.set(key, String(value));
+        });
+        const timeout = AbortSignal.timeout(options.timeoutMs || timeoutMs);
+        const resp = await fetch(\`\${base}\${pathname}\${search.toString() ? \`?\${search}\` : ''}\`, {
+            method: operation.method,
+            cache: 'no-cache',
+            headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: signal && AbortSignal.any ? AbortSignal.any([signal, timeout]) : timeout
+        });
+        if (resp.status === 304) return raw ? resp : null;
+        if (!resp.ok) throw await errorFromResponse(resp);
+        if (raw || operation.response === 'stream') return resp;
+        if (operation.response === 'text') return resp.text();
+        if (!(resp.headers.get('content-type') || '').includes('application/json')) {
+            const requestId = resp.headers.get('X-Request-Id');
+            throw Object.assign(new Error(\`Invalid JSON response\${requestId ? \` (request \${requestId})\` : ''}\`), { status: resp.status, requestId });
+        }
+        return resp.json();
+    }
+
+    return {
+${methods}
+    };
+}
+
+async function cueaiDefaultError(resp) {
+    let detail = '';
+    try { detail = (await resp.json()).error || ''; } catch (_) {}
+    return Object.assign(new Error(\`HTTP \${resp.status}\${detail ? \` - \${detail}\` : ''}\`), { status: resp.status });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createCueAIClient, CUEAI_OPERATIONS };
+}
+`;
+}
+
+const output = render();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf-8') : '';
+  if (current !== output) {
+    console.error(`❌ ${path.relative(process.cwd(), outputPath)} is out of date; run npm run generate:client`);
+    process.exit(1);
+  }
+  console.log('✅ api-client.js is up to date');
+} else {
+  fs.writeFileSync(outputPath, output);
+  console.log(`✅ Wrote ${outputPath} (${operationEntries().length} operations, ${Object.keys(schemas).length} types)`);
+}
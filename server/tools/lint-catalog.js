@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Lint soundCatalog.json: duplicate/colliding ids, missing media files, badly encoded
+ * URLs, music that doesn't loop, type/folder mismatches, entries without meaningful
+ * tags, entries without measured audio and entries only the taxonomy's default
+ * classification covers (rules in ../catalog/catalogLint.js). Prints a JSON report on stdout.
+ *
+ * Usage: npm run lint:catalog [-- --strict] [-- --local] [-- --catalog <path>]
+ *   --strict          warnings fail too
+ *   --local           CDN-hosted entries must also exist under server/media
+ *
+ * Without --local, CDN-hosted entries (the shipped catalog points at R2) are not checked
+ * for a file at all: the lint never fetches from the CDN, and a deploy's media/ folder only
+ * holds local copies. counts.unchecked says how many entries that was.
+ *   --catalog <path>  lint another file (default: SOUND_CATALOG_PATH or server/soundCatalog.json)
+ *
+ * Exit code: 0 clean (or warnings only), 1 lint errors (or warnings with --strict),
+ * 2 the catalog (or catalogOverrides.json) couldn't be read or isn't a JSON array.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lintCatalog } from '../catalog/catalogLint.js';
+import { loadCatalogOverrides } from '../catalog/catalogOverrides.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const args = process.argv.slice(2);
+const optionValue = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const catalogPath = path.resolve(
+  optionValue('--catalog') || process.env.SOUND_CATALOG_PATH || path.join(__dirname, '..', 'soundCatalog.json')
+);
+const mediaDir = path.join(__dirname, '..', 'media');
+const strict = args.includes('--strict');
+
+let sounds;
+let overrides;
+try {
+  sounds = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+  if (!Array.isArray(sounds)) throw new Error('soundCatalog.json must contain an array of sounds');
+  overrides = loadCatalogOverrides();
+} catch (err) {
+  console.log(JSON.stringify({ catalog: catalogPath, ok: false, error: err.message }, null, 2));
+  process.exit(2);
+}
+
+const result = lintCatalog(sounds, { mediaDir, checkCdnFiles: args.includes('--local'), overrides });
+const ok = result.ok && !(strict && result.counts.warnings > 0);
+console.log(JSON.stringify({ catalog: catalogPath, ...result, ok }, null, 2));
+if (!ok) {
+  console.error(`Catalog lint failed: ${result.counts.errors} error(s), ${result.counts.warnings} warning(s)`);
+}
+if (result.counts.unchecked > 0) {
+  console.error(`Note: ${result.counts.unchecked} entries were not checked for a file (CDN srcs are only checked against server/media with --local)`);
+}
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Measure the audio of the catalog as it is (duration, loudness, true peak, silence; see
+ * ../catalog/audioMetadata.js) without rebuilding it. The live catalog points at R2, which
+ * rebuild-catalog.js can't see; this reads the local copy of each entry's file instead
+ * (server/media/<folder>/<file>, matched by the src's path) and writes its `audio` field.
+ * Entries without a local copy keep what they have; the frontend plays those without
+ * loudness normalization until they are measured.
+ *
+ * Usage: npm run measure:catalog [-- --reanalyze]
+ *   --reanalyze   measure again even when the file size is unchanged
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readAudioMetadata, ANALYZED_EXTENSIONS } from '../catalog/audioMetadata.js';
+import { mediaKeyOf } from '../catalog/catalogOverrides.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const catalogPath = process.env.SOUND_CATALOG_PATH
+  ? path.resolve(process.env.SOUND_CATALOG_PATH)
+  : path.join(__dirname, '..', 'soundCatalog.json');
+const mediaDir = path.join(__dirname, '..', 'media');
+const reanalyze = process.argv.includes('--reanalyze');
+
+const catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+const counts = { measured: 0, reused: 0, noLocalFile: 0, skipped: 0, failed: 0 };
+for (const sound of catalog) {
+  const key = mediaKeyOf(sound);
+  const filePath = key && path.join(mediaDir, key);
+  if (!filePath || !fs.existsSync(filePath)) {
+    counts.noLocalFile++;
+    continue;
+  }
+  if (!ANALYZED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    counts.skipped++;
+    continue;
+  }
+  if (!reanalyze && sound.audio?.bytes === fs.statSync(filePath).size) {
+    counts.reused++;
+    continue;
+  }
+  try {
+    sound.audio = await readAudioMetadata(filePath);
+    counts.measured++;
+  } catch (err) {
+    console.warn(`⚠️  Could not decode ${key}:`, err.message);
+    counts.failed++;
+  }
+}
+
+fs.writeFileSync(catalogPath, JSON.stringify(catalog, null, 2), 'utf-8');
+console.log(`✓ Audio metadata: ${counts.measured} measured, ${counts.reused} reused, ${counts.skipped} skipped, ${counts.failed} failed`);
+console.log(`   ${catalog.filter(s => s.audio).length} of ${catalog.length} entries measured; ${counts.noLocalFile} have no local copy in media/`);
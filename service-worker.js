@@ -1,5 +1,5 @@
 // CueAI Service Worker
-const CACHE_NAME = 'cueai-v10'; // Bumped to force clients to fetch updated indicator logic
+const CACHE_NAME = 'cueai-v19'; // Bumped for skipping already streamed sfx in the analyze fallback
 
 // Note: Backend media files (https://pub-b8fe695f5b4b490ebe0dc151042193e2.r2.dev/cueai-media/*) are NOT cached here
 // because they are:
@@ -13,7 +13,11 @@ const urlsToCache = [
   './index.html',
   './styles.css',
   './game.js',
+  './api-client.js', // Generated from the backend OpenAPI document
   './api.js', // NEW: Centralized API service layer
+  './taxonomy.js', // Tag taxonomy logic shared with the server
+  './taxonomy.json',
+  './stt-worklet.js', // AudioWorklet for server streaming STT
   './manifest.json',
   './saved-sounds.json',
   './stories.json',
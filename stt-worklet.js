@@ -0,0 +1,62 @@
+// ===== CUEAI STT CAPTURE WORKLET =====
+// Runs on the audio thread: downmixes mic input to mono, resamples to 16 kHz
+// and posts linear16 (Int16 little-endian) PCM chunks to the main thread,
+// which forwards them to the backend /ws/transcribe socket.
+
+const TARGET_SAMPLE_RATE = 16000;
+const CHUNK_SAMPLES = 1600; // ~100ms of audio at 16 kHz
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        // `sampleRate` is a global of AudioWorkletGlobalScope (the context rate, e.g. 48000)
+        this.ratio = sampleRate / TARGET_SAMPLE_RATE;
+        this.position = 0; // fractional read position into the pending input
+        this.pending = new Float32Array(0); // input samples not yet consumed by the resampler
+        this.chunk = new Int16Array(CHUNK_SAMPLES);
+        this.chunkLength = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0 || !input[0]) return true;
+
+        // Downmix to mono
+        const frames = input[0].length;
+        const mono = new Float32Array(frames);
+        for (let ch = 0; ch < input.length; ch++) {
+            const data = input[ch];
+            for (let i = 0; i < frames; i++) mono[i] += data[i] / input.length;
+        }
+
+        // Append to pending buffer
+        const merged = new Float32Array(this.pending.length + mono.length);
+        merged.set(this.pending, 0);
+        merged.set(mono, this.pending.length);
+
+        // Linear interpolation resampler
+        let pos = this.position;
+        while (pos + 1 < merged.length) {
+            const idx = Math.floor(pos);
+            const frac = pos - idx;
+            const sample = merged[idx] + (merged[idx + 1] - merged[idx]) * frac;
+            const clamped = Math.max(-1, Math.min(1, sample));
+            this.chunk[this.chunkLength++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF;
+            if (this.chunkLength === CHUNK_SAMPLES) {
+                const out = this.chunk.buffer;
+                this.port.postMessage(out, [out]);
+                this.chunk = new Int16Array(CHUNK_SAMPLES);
+                this.chunkLength = 0;
+            }
+            pos += this.ratio;
+        }
+
+        // Keep the unconsumed tail for the next render quantum
+        const consumed = Math.floor(pos);
+        this.pending = merged.slice(consumed);
+        this.position = pos - consumed;
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
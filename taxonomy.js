@@ -0,0 +1,172 @@
+// CueAI tag taxonomy - loads taxonomy.json and applies it. Shared as-is by the browser
+// (window.CueTaxonomy, see game.js) and the backend (server/search/taxonomy.js), so tag
+// expansion, mood/category assignment and spoken cues work the same on both sides.
+//
+// taxonomy.json:
+//   tags              canonical tag -> { synonyms, broader (hypernyms, followed
+//                     transitively: ogre -> monster -> creature), related, mood, category }
+//                     plus optional intensity (0-1) and energy (low|medium|high)
+//   moods/categories  priority order and default; a sound gets the first mood/category any
+//                     of its tags carries (categories also from words in the id and the mood);
+//                     moods also give the default intensity and energy
+//   modes             app mode -> the categories/moods/maxIntensity its music must have
+//                     (no rules: every sound fits)
+//   typeTags          tags every catalog entry of a type gets
+//   stopWords         filler words from filenames ("one", "man") that aren't tags
+//   filenamePatterns  regex (case-insensitive) on a media filename -> tags (catalog rebuild)
+//   cues              spoken word -> sound search: `instant` triggers, `story` read-along
+// Bump `version` whenever the file changes.
+(function (global) {
+    'use strict';
+
+    const normalize = (term) => String(term || '').toLowerCase().trim();
+
+    function createTaxonomy(data) {
+        if (!data || typeof data.version !== 'number' || !data.tags || typeof data.tags !== 'object') {
+            throw new Error('taxonomy.json needs a numeric version and a tags object');
+        }
+        const tags = data.tags;
+        const moods = data.moods || { order: [], default: 'calm' };
+        const categories = data.categories || { order: [], default: 'general' };
+        const modeRules = data.modes || {};
+        const energyLevels = data.energyLevels || ['low', 'medium', 'high'];
+
+        // Every known term (canonical tag or synonym) -> its canonical tag
+        const canonicalOf = new Map();
+        for (const tag of Object.keys(tags)) canonicalOf.set(tag, tag);
+        for (const [tag, entry] of Object.entries(tags)) {
+            for (const synonym of entry.synonyms || []) {
+                if (!canonicalOf.has(synonym)) canonicalOf.set(synonym, tag);
+            }
+        }
+        const typeTagSet = new Set(Object.values(data.typeTags || {}).flat());
+        const stopWords = new Set(data.stopWords || []);
+        const patterns = (data.filenamePatterns || []).map(p => ({ regex: new RegExp(p.match, 'i'), tags: p.tags }));
+
+        const moodList = [...moods.order, moods.default];
+        const categoryList = [...categories.order, categories.default];
+        const canonical = (term) => canonicalOf.get(normalize(term)) || null;
+
+        // Terms plus, for each known one: its canonical tag and synonyms, related tags and all
+        // broader tags up the chain
+        function expand(terms) {
+            const result = new Set(terms);
+            for (const term of terms) {
+                const tag = canonical(term);
+                if (!tag) continue;
+                const entry = tags[tag];
+                result.add(tag);
+                (entry.synonyms || []).forEach(s => result.add(s));
+                (entry.related || []).forEach(r => result.add(r));
+                const pending = [...(entry.broader || [])];
+                const seen = new Set([tag]);
+                while (pending.length > 0) {
+                    const broader = pending.shift();
+                    if (seen.has(broader)) continue; // tolerate cycles in the data
+                    seen.add(broader);
+                    result.add(broader);
+                    pending.push(...(tags[broader]?.broader || []));
+                }
+            }
+            return result;
+        }
+
+        // First mood in priority order carried by any of the tags
+        function moodOf(soundTags) {
+            const carried = new Set((soundTags || []).map(t => tags[canonical(t)]?.mood).filter(Boolean));
+            return moods.order.find(m => carried.has(m)) || moods.default;
+        }
+
+        function categoryOf(soundTags, id = '', mood = moodOf(soundTags)) {
+            const carried = new Set((soundTags || []).map(t => tags[canonical(t)]?.category).filter(Boolean));
+            const lowerId = normalize(id);
+            return categories.order.find(c =>
+                carried.has(c) ||
+                ((categories.fromId || []).includes(c) && lowerId.includes(c)) ||
+                (categories.fromMood || {})[mood] === c
+            ) || categories.default;
+        }
+
+        const carriedBy = (soundTags, field) =>
+            (soundTags || []).map(t => tags[canonical(t)]?.[field]).filter(v => v !== undefined);
+        const isIntensity = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+        // Strongest intensity any tag carries, else the mood's
+        function intensityOf(soundTags, mood) {
+            const carried = carriedBy(soundTags, 'intensity').filter(isIntensity);
+            if (carried.length > 0) return Math.max(...carried);
+            return (moods.intensity || {})[mood] ?? 0.5;
+        }
+
+        // Highest energy level any tag carries, else the mood's
+        function energyOf(soundTags, mood) {
+            const carried = new Set(carriedBy(soundTags, 'energy'));
+            return [...energyLevels].reverse().find(e => carried.has(e)) || (moods.energy || {})[mood] || 'medium';
+        }
+
+        // Modes whose rules a mood/category/intensity satisfies
+        function modesOf({ mood, category, intensity }) {
+            return Object.keys(modeRules).filter(mode => {
+                const rule = modeRules[mode] || {};
+                return (!rule.categories || rule.categories.includes(category)) &&
+                    (!rule.moods || rule.moods.includes(mood)) &&
+                    (rule.maxIntensity === undefined || intensity <= rule.maxIntensity);
+            });
+        }
+
+        // Curated `mood`/`category` fields on a catalog entry win over its tags
+        function musicContext(sound) {
+            if (!sound) return { mood: 'unknown', category: categories.default };
+            const mood = moodList.includes(sound.mood) ? sound.mood : moodOf(sound.tags);
+            const category = categoryList.includes(sound.category) ? sound.category : categoryOf(sound.tags, sound.id, mood);
+            return { mood, category };
+        }
+
+        // Stored mood/category/intensity/energy/modes of a catalog entry; fields it already
+        // has (from the rebuild or catalogOverrides.json) win, missing ones are derived
+        function classify(sound) {
+            const { mood, category } = musicContext(sound);
+            const stored = sound || {};
+            const intensity = isIntensity(stored.intensity) ? stored.intensity : intensityOf(stored.tags, mood);
+            const energy = energyLevels.includes(stored.energy) ? stored.energy : energyOf(stored.tags, mood);
+            const modes = Array.isArray(stored.modes) && stored.modes.every(m => m in modeRules)
+                ? [...stored.modes]
+                : modesOf({ mood, category, intensity });
+            return { mood, category, intensity, energy, modes };
+        }
+
+        return {
+            version: data.version,
+            moods: moodList,
+            categories: categoryList,
+            modes: Object.keys(modeRules),
+            energyLevels: [...energyLevels],
+            stopWords,
+            canonical,
+            expand,
+            moodOf,
+            categoryOf,
+            musicContext,
+            classify,
+            isKnownTag: (tag) => canonicalOf.has(normalize(tag)) || typeTagSet.has(normalize(tag)),
+            isTypeTag: (tag) => typeTagSet.has(normalize(tag)),
+            typeTags: (type) => [...((data.typeTags || {})[type] || [])],
+            tagsForFilename(filename) {
+                const result = new Set();
+                for (const { regex, tags: patternTags } of patterns) {
+                    if (regex.test(filename)) patternTags.forEach(t => result.add(t));
+                }
+                return result;
+            },
+            instantCues: () => ({ ...((data.cues || {}).instant || {}) }),
+            storyCues: () => ({ ...((data.cues || {}).story || {}) })
+        };
+    }
+
+    const api = { createTaxonomy };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.CueTaxonomy = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);